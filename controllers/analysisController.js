@@ -1,20 +1,55 @@
-const gcsService = require('../services/gcsService');
+const storageService = require('../services/storageService');
 const frameService = require('../services/frameService');
 const gpt4Service = require('../services/gpt4Service');
 const claudeService = require('../services/claudeService');
-const { upsertAnalysis } = require('../services/supabaseService');
+const jobQueueService = require('../services/jobQueueService');
+const checkpointService = require('../services/checkpointService');
+const { PIPELINE_STAGES } = checkpointService;
+const { upsertAnalysis } = require('../services/analysisRecordService');
+
+// Each pipeline stage is retried this many times (with backoff) before the job fails
+const STAGE_RETRIES = parseInt(process.env.ANALYSIS_STAGE_RETRIES) || 2;
+const STAGE_RETRY_DELAY_MS = parseInt(process.env.ANALYSIS_STAGE_RETRY_DELAY_MS) || 5000;
+
+/**
+ * Wait `ms`, rejecting with the abort reason as soon as `signal` is aborted
+ */
+function waitUnlessAborted(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
 class AnalysisController {
   /**
-   * Main analysis pipeline orchestrator (background process)
+   * Main analysis pipeline orchestrator (run by a queue worker, see services/analysisWorker.js)
+   * Emits progress to the `analysis-<videoId>` room, resolves with the complete analysis and
+   * rethrows when a stage still fails after its retries.
+   * Stage outputs are checkpointed (services/checkpointService.js). With `resume`, completed stages
+   * are skipped and only failed frames are redone, using the metadata the analysis started with;
+   * `fromStage` forces that stage and everything after it to run again.
+   * Aborting `signal` (job cancelled) kills ffmpeg, aborts model requests and stores no results.
    */
-  async processVideoBackground(videoId, videoFileName, matchMetadata, io) {
+  async processVideoBackground(videoId, videoFileName, matchMetadata, io, { resume = false, fromStage = null, signal } = {}) {
     let analysisState = {
       videoId: videoId,
       status: 'processing',
       currentStage: 'initialization',
       progress: 0,
       startTime: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      etaSeconds: null,
+      estimatedCompletionAt: null,
+      errors: [],
       stages: {
         frame_extraction: { status: 'pending', progress: 0 },
         gpt4_analysis: { status: 'pending', progress: 0 },
@@ -25,69 +60,124 @@ class AnalysisController {
 
     try {
       console.log(`🚀 Starting analysis pipeline for video: ${videoId}`);
+      const storage = await storageService.forVideo(videoId);
+
+      // Resume from stored stage outputs, or start a fresh set of checkpoints
+      const checkpoint = resume ? await checkpointService.loadCheckpoint(storage, videoId) : null;
+      if (checkpoint) {
+        matchMetadata = checkpoint.manifest.matchMetadata || matchMetadata;
+        console.log(`♻️ Resuming analysis for video ${videoId} from checkpoints${fromStage ? ` (re-running from ${fromStage})` : ''}`);
+      } else {
+        await checkpointService.startCheckpoint(storage, videoId, { videoFileName, matchMetadata });
+      }
+
+      // A checkpoint is only reused while every stage before it was reused as well
+      const rerunFrom = fromStage ? PIPELINE_STAGES.indexOf(fromStage) : PIPELINE_STAGES.length;
+      let reuse = !!checkpoint;
+      const reusable = (stage, data) => (reuse && PIPELINE_STAGES.indexOf(stage) < rerunFrom && data ? data : null);
 
       // Emit initial status
-      io.to(`analysis-${videoId}`).emit('analysis-progress', analysisState);
+      this.emitProgress(io, analysisState);
 
       // Progress callback function
       const progressCallback = (update) => {
         analysisState.currentStage = update.stage;
-        analysisState.progress = this.calculateOverallProgress(analysisState.stages, update);
         analysisState.stages[update.stage] = {
+          ...analysisState.stages[update.stage],
           status: 'processing',
           progress: update.progress,
           message: update.message
         };
 
-        io.to(`analysis-${videoId}`).emit('analysis-progress', analysisState);
+        this.emitProgress(io, analysisState);
         console.log(`📊 Progress: ${update.stage} - ${update.progress}% - ${update.message}`);
       };
 
       // STAGE 1: Frame Extraction
       console.log('🎬 Stage 1: Frame Extraction');
-      analysisState.currentStage = 'frame_extraction';
-      io.to(`analysis-${videoId}`).emit('analysis-progress', analysisState);
+      this.startStage(analysisState, 'frame_extraction');
+      this.emitProgress(io, analysisState);
+
+      const frames = await this.runStage('frame_extraction', analysisState, async () => {
+        const extracted = await frameService.extractFrames(
+          videoFileName,
+          videoId,
+          progressCallback,
+          { previousFrames: reusable('frame_extraction', checkpoint?.frames), signal }
+        );
+        if (extracted.length === 0) {
+          throw new Error('No frames extracted from video');
+        }
+        return extracted;
+      }, signal);
 
-      const frames = await frameService.extractFrames(
-        videoFileName,
+      this.completeStage(analysisState, 'frame_extraction');
+      // Signed URLs expire, so the checkpoint keeps object names only
+      await checkpointService.saveCheckpoint(
+        storage,
         videoId,
-        progressCallback
+        'frames',
+        frames.map(({ url, ...frame }) => frame),
+        { stage: 'frame_extraction' }
       );
 
-      analysisState.stages.frame_extraction = { status: 'completed', progress: 100 };
-
-      if (frames.length === 0) {
-        throw new Error('No frames extracted from video');
-      }
-
       // STAGE 2: GPT-4 Vision Analysis
       console.log('🤖 Stage 2: GPT-4 Vision Analysis');
-      analysisState.currentStage = 'gpt4_analysis';
-      io.to(`analysis-${videoId}`).emit('analysis-progress', analysisState);
-
-      const gpt4Analysis = await gpt4Service.analyzeFrames(frames, progressCallback);
+      this.startStage(analysisState, 'gpt4_analysis');
+      this.emitProgress(io, analysisState);
+
+      // Frames analysed by an earlier run (or a failed attempt of this one) are not sent again
+      let frameAnalyses = reusable('gpt4_analysis', checkpoint?.frameAnalyses) || [];
+      const gpt4Analysis = await this.runStage('gpt4_analysis', analysisState, () =>
+        gpt4Service.analyzeFrames(frames, progressCallback, {
+          previousAnalyses: frameAnalyses,
+          onFrameAnalysed: async (analyses) => {
+            reuse = false;
+            frameAnalyses = analyses;
+            await checkpointService.saveCheckpoint(storage, videoId, 'frameAnalyses', analyses);
+          },
+          signal
+        }),
+        signal
+      );
 
-      analysisState.stages.gpt4_analysis = { status: 'completed', progress: 100 };
+      this.completeStage(analysisState, 'gpt4_analysis');
 
       // Generate GPT-4 match summary
-      const matchSummary = await gpt4Service.generateMatchSummary(gpt4Analysis, matchMetadata);
+      let matchSummary = reusable('gpt4_analysis', checkpoint?.matchSummary);
+      if (!matchSummary) {
+        reuse = false;
+        matchSummary = await this.runStage('gpt4_analysis', analysisState, () =>
+          gpt4Service.generateMatchSummary(gpt4Analysis, matchMetadata, { signal }),
+          signal
+        );
+        await checkpointService.saveCheckpoint(storage, videoId, 'matchSummary', matchSummary, { stage: 'gpt4_analysis' });
+      }
 
       // STAGE 3: Claude Enhancement
       console.log('🧠 Stage 3: Claude Tactical Enhancement');
-      analysisState.currentStage = 'claude_enhancement';
-      io.to(`analysis-${videoId}`).emit('analysis-progress', analysisState);
-
-      const enhancement = await claudeService.enhanceTacticalAnalysis({
-        frame_analyses: gpt4Analysis,
-        match_summary: matchSummary
-      }, matchMetadata);
+      this.startStage(analysisState, 'claude_enhancement');
+      this.emitProgress(io, analysisState);
+
+      let enhancement = reusable('claude_enhancement', checkpoint?.enhancement);
+      if (!enhancement) {
+        reuse = false;
+        enhancement = await this.runStage('claude_enhancement', analysisState, () =>
+          claudeService.enhanceTacticalAnalysis({
+            frame_analyses: gpt4Analysis,
+            match_summary: matchSummary
+          }, matchMetadata, { signal }),
+          signal
+        );
+        await checkpointService.saveCheckpoint(storage, videoId, 'enhancement', enhancement, { stage: 'claude_enhancement' });
+      }
 
-      analysisState.stages.claude_enhancement = { status: 'completed', progress: 100 };
+      this.completeStage(analysisState, 'claude_enhancement');
 
       // STAGE 4: Final Report Generation
       console.log('📊 Stage 4: Final Report Generation');
-      analysisState.currentStage = 'final_report';
-      io.to(`analysis-${videoId}`).emit('analysis-progress', analysisState);
+      this.startStage(analysisState, 'final_report');
+      this.emitProgress(io, analysisState);
 
       const processingStats = {
         total_time: this.calculateProcessingTime(analysisState.startTime),
@@ -97,13 +187,17 @@ class AnalysisController {
         analysis_quality: 'enterprise_grade'
       };
 
-      const finalReport = await claudeService.generateFinalReport(
-        enhancement,
-        matchMetadata,
-        processingStats
+      const finalReport = await this.runStage('final_report', analysisState, () =>
+        claudeService.generateFinalReport(
+          enhancement,
+          matchMetadata,
+          processingStats,
+          { signal }
+        ),
+        signal
       );
 
-      analysisState.stages.final_report = { status: 'completed', progress: 100 };
+      this.completeStage(analysisState, 'final_report');
 
       // Compile complete analysis result
       const completeAnalysis = {
@@ -123,20 +217,25 @@ class AnalysisController {
         analysis_state: {
           ...analysisState,
           status: 'completed',
+          progress: 100,
+          etaSeconds: 0,
+          estimatedCompletionAt: null,
+          updatedAt: new Date().toISOString(),
           endTime: new Date().toISOString(),
           totalProcessingTime: processingStats.total_time
         }
       };
 
-      // Store analysis result in GCS
-      await gcsService.uploadAnalysisResult(completeAnalysis, videoId);
+      // Store analysis result in storage (unless the job was cancelled meanwhile)
+      signal?.throwIfAborted();
+      await storage.uploadAnalysisResult(completeAnalysis, videoId);
 
-      // === NEW: Upsert analysis result to Supabase for business reporting ===
+      // === NEW: Upsert analysis record for business reporting ===
       try {
         await upsertAnalysis({
           id: videoId,
           organization_id: matchMetadata?.organization_id || null,
-          created_by: matchMetadata?.userId || matchMetadata?.userEmail,
+          created_by: matchMetadata?.userId || null,
           opponent_team: matchMetadata?.awayTeam || null,
           analysis_type: matchMetadata?.analysisType || 'tactical',
           analysis_data: completeAnalysis, // Store full analysis object for reporting
@@ -152,21 +251,13 @@ class AnalysisController {
           is_favorite: false,
           shared_with_squad: false
         });
-        console.log(`✅ Supabase analysis upserted for video: ${videoId}`);
+        console.log(`✅ Analysis record upserted for video: ${videoId}`);
       } catch (supabaseErr) {
-        console.error('❌ Failed to upsert analysis to Supabase:', supabaseErr);
+        console.error('❌ Failed to upsert analysis record:', supabaseErr);
       }
       // === END NEW ===
 
-      // Cleanup temporary files
-      setTimeout(async () => {
-        try {
-          await gcsService.cleanupTempFiles(videoId);
-          console.log(`🧹 Cleanup completed for video: ${videoId}`);
-        } catch (cleanupError) {
-          console.error('❌ Cleanup failed:', cleanupError);
-        }
-      }, parseInt(process.env.TEMP_CLEANUP_DELAY_MINUTES) * 60 * 1000 || 30 * 60 * 1000);
+      // Extracted frames are removed by the retention sweeper (framesDays)
 
       // Final progress update
       analysisState.status = 'completed';
@@ -180,52 +271,105 @@ class AnalysisController {
 
       console.log(`✅ Analysis pipeline completed for video: ${videoId}`);
       console.log(`⏱️ Total processing time: ${processingStats.total_time}`);
+      return completeAnalysis;
 
     } catch (error) {
+      // Cancelled: the cancel endpoint already told the client, nothing to report as a failure
+      if (signal?.aborted) {
+        console.log(`🛑 Analysis pipeline stopped for video ${videoId} (${signal.reason?.message || 'cancelled'})`);
+        throw signal.reason;
+      }
       console.error(`❌ Analysis pipeline failed for video ${videoId}:`, error);
 
       // FIXED: analysisState is now accessible here
+      const failedAt = new Date().toISOString();
+      if (analysisState.stages[analysisState.currentStage]) {
+        analysisState.stages[analysisState.currentStage] = {
+          ...analysisState.stages[analysisState.currentStage],
+          status: 'failed',
+          error: error.message,
+          failedAt
+        };
+      }
       const errorState = {
         videoId: videoId,
         status: 'failed',
         error: error.message,
-        failedAt: new Date().toISOString(),
-        currentStage: analysisState.currentStage || 'unknown'
+        failedAt,
+        currentStage: analysisState.currentStage || 'unknown',
+        progress: analysisState.progress,
+        stages: analysisState.stages,
+        errors: analysisState.errors
       };
 
       io.to(`analysis-${videoId}`).emit('analysis-error', errorState);
+      throw error;
     }
   }
 
   /**
-   * Route handler: starts analysis job asynchronously
+   * Run one pipeline stage, retrying it with a growing delay when it throws (never once cancelled)
+   * Failed attempts are recorded in analysisState.errors.
+   */
+  async runStage(stage, analysisState, task, signal) {
+    const { videoId } = analysisState;
+    for (let attempt = 1; ; attempt++) {
+      signal?.throwIfAborted();
+      try {
+        return await task();
+      } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        analysisState.errors.push({
+          stage,
+          attempt,
+          error: error.message,
+          at: new Date().toISOString(),
+          retrying: attempt <= STAGE_RETRIES
+        });
+        if (attempt > STAGE_RETRIES) throw error;
+        const delayMs = STAGE_RETRY_DELAY_MS * attempt;
+        console.warn(`🔁 Stage ${stage} failed for video ${videoId} (attempt ${attempt}/${STAGE_RETRIES + 1}), retrying in ${delayMs / 1000}s: ${error.message}`);
+        await waitUnlessAborted(delayMs, signal);
+      }
+    }
+  }
+
+  /**
+   * Route handler: queues the analysis job and responds immediately
+   * A worker picks it up from the durable queue, so it survives restarts of this process.
    */
   async startAnalysisJob(req, res) {
-    const { videoId, videoFileName, matchMetadata } = req.body;
-    const io = req.app.get('io');
+    const { videoId, videoFileName, matchMetadata, resume = false, resumeFromStage = null } = req.body;
 
-    // Respond immediately
-    res.json({
-      success: true,
-      jobStarted: true,
-      videoId,
-      message: 'Analysis job started.',
-    });
+    try {
+      const job = await jobQueueService.enqueueAnalysis({
+        videoId,
+        videoFileName,
+        matchMetadata,
+        resume,
+        fromStage: resumeFromStage
+      });
 
-    // Start analysis in background
-    setImmediate(() => {
-      this.processVideoBackground(videoId, videoFileName, matchMetadata, io)
-        .catch((error) => {
-          console.error(`❌ Background analysis failed for video ${videoId}:`, error);
-          io.to(`analysis-${videoId}`).emit('analysis-error', {
-            videoId,
-            status: 'failed',
-            error: error.message,
-            failedAt: new Date().toISOString(),
-            currentStage: 'initialization',
-          });
-        });
-    });
+      res.json({
+        success: true,
+        jobStarted: true,
+        jobId: job.id,
+        status: job.status,
+        videoId,
+        resumed: resume,
+        message: resume ? 'Analysis resume queued.' : 'Analysis job queued.',
+      });
+    } catch (error) {
+      if (error.status !== 409) throw error;
+      res.status(409).json({
+        success: false,
+        error: 'Analysis already in progress',
+        videoId,
+        jobId: error.job?.id ?? null,
+        status: error.job?.status ?? null,
+        message: error.message
+      });
+    }
   }
 
   /**
@@ -290,6 +434,50 @@ class AnalysisController {
     }
   }
 
+  /**
+   * Mark a stage as running (keeps its progress when resuming)
+   */
+  startStage(analysisState, stage) {
+    analysisState.currentStage = stage;
+    analysisState.stages[stage] = {
+      ...analysisState.stages[stage],
+      status: 'processing',
+      startedAt: new Date().toISOString()
+    };
+  }
+
+  completeStage(analysisState, stage) {
+    analysisState.stages[stage] = {
+      ...analysisState.stages[stage],
+      status: 'completed',
+      progress: 100,
+      completedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Refresh overall progress and ETA, then emit the state to the video's room
+   * The queue worker persists every emitted state on the job, which backs GET /status/:videoId.
+   */
+  emitProgress(io, analysisState) {
+    const now = Date.now();
+    analysisState.progress = this.calculateOverallProgress(analysisState.stages);
+    analysisState.updatedAt = new Date(now).toISOString();
+
+    // Linear estimate from the time spent so far; unknown until there is some progress to go on
+    const elapsedMs = now - new Date(analysisState.startTime).getTime();
+    if (analysisState.progress > 0 && analysisState.progress < 100) {
+      const remainingMs = (elapsedMs * (100 - analysisState.progress)) / analysisState.progress;
+      analysisState.etaSeconds = Math.round(remainingMs / 1000);
+      analysisState.estimatedCompletionAt = new Date(now + remainingMs).toISOString();
+    } else {
+      analysisState.etaSeconds = analysisState.progress >= 100 ? 0 : null;
+      analysisState.estimatedCompletionAt = null;
+    }
+
+    io.to(`analysis-${analysisState.videoId}`).emit('analysis-progress', analysisState);
+  }
+
   /**
    * Calculate overall progress across all stages
    */
@@ -334,30 +522,124 @@ class AnalysisController {
   }
 
   /**
-   * Get analysis status (unchanged)
+   * Get analysis status
+   * Reports the latest job for the video: queued (with queue position), running (stage, per-stage
+   * progress, ETA), failed (failing stage and reason), cancelled, or completed with the result.
    */
   async getAnalysisStatus(req, res) {
     const { videoId } = req.params;
 
     try {
-      // Try to get analysis result from GCS
-      const analysisExists = await gcsService.fileExists(`results/${videoId}/analysis.json`);
+      const job = await jobQueueService.getLatestJob(videoId);
+      const state = job?.analysis_state || null;
+
+      if (job?.status === 'queued') {
+        return res.json({
+          success: true,
+          videoId: videoId,
+          status: 'queued',
+          jobId: job.id,
+          queuedAt: job.created_at,
+          queuePosition: await jobQueueService.getQueuePosition(job),
+          attempts: job.attempts,
+          resumed: !!job.payload?.resume,
+          message: 'Analysis is waiting for a worker'
+        });
+      }
+
+      if (job?.status === 'running') {
+        // The stored ETA was estimated at the last update, count it down from there
+        const estimatedCompletionAt = state?.estimatedCompletionAt || null;
+        const etaSeconds = estimatedCompletionAt
+          ? Math.max(0, Math.round((new Date(estimatedCompletionAt) - Date.now()) / 1000))
+          : null;
+
+        return res.json({
+          success: true,
+          videoId: videoId,
+          status: 'running',
+          jobId: job.id,
+          stage: state?.currentStage || job.stage,
+          progress: state?.progress || 0,
+          stages: state?.stages || null,
+          errors: state?.errors || [],
+          startedAt: job.started_at,
+          updatedAt: state?.updatedAt || job.heartbeat_at,
+          etaSeconds: etaSeconds,
+          estimatedCompletionAt: estimatedCompletionAt,
+          attempt: job.attempts,
+          maxAttempts: job.max_attempts,
+          // The worker stopped heartbeating; another worker will pick the job up
+          stalled: new Date(job.lease_expires_at) < new Date(),
+          message: 'Analysis in progress'
+        });
+      }
+
+      if (job?.status === 'failed') {
+        const failedStage = job.error_stage || state?.currentStage || 'unknown';
+        return res.json({
+          success: true,
+          videoId: videoId,
+          status: 'failed',
+          jobId: job.id,
+          stage: failedStage,
+          error: job.last_error,
+          failedAt: job.finished_at,
+          progress: state?.progress || 0,
+          stages: state?.stages || null,
+          errors: state?.errors || [],
+          attempts: job.attempts,
+          message: `Analysis failed during ${failedStage}`
+        });
+      }
+
+      // The latest job was cancelled (its checkpoints are kept, POST /resume continues it)
+      if (job?.status === 'cancelled') {
+        return res.json({
+          success: true,
+          videoId: videoId,
+          status: 'cancelled',
+          jobId: job.id,
+          stage: job.stage,
+          progress: state?.progress || 0,
+          stages: state?.stages || null,
+          cancelledAt: job.finished_at,
+          cancelledBy: job.cancelled_by || null,
+          message: 'Analysis was cancelled'
+        });
+      }
+
+      // Succeeded, or analysed before the job queue existed: the result lives in storage
+      const storage = await storageService.forVideo(videoId);
+      const analysisExists = await storage.fileExists(`results/${videoId}/analysis.json`);
 
       if (analysisExists) {
-        const analysisResult = await gcsService.downloadAnalysisResult(videoId);
+        const analysisResult = await storage.downloadAnalysisResult(videoId);
 
         res.json({
           success: true,
           videoId: videoId,
           status: 'completed',
+          jobId: job?.id || null,
+          completedAt: job?.finished_at || analysisResult.analysis_state?.endTime || null,
           result: analysisResult
         });
+      } else if (job) {
+        res.json({
+          success: true,
+          videoId: videoId,
+          status: 'completed',
+          jobId: job.id,
+          completedAt: job.finished_at,
+          result: null,
+          message: 'Analysis completed but its results are no longer stored'
+        });
       } else {
         res.json({
           success: true,
           videoId: videoId,
           status: 'not_found',
-          message: 'Analysis not found or still processing'
+          message: 'No analysis found for this video'
         });
       }
 
@@ -0,0 +1,129 @@
+/**
+ * TAHLEEL.ai Role-Based Access Control
+ * Roles are carried on req.user (JWT + user record) and mapped to permissions here.
+ *
+ *   viewer      - read reports and analysis status
+ *   analyst     - viewer + upload videos and run analyses
+ *   head_coach  - analyst + share/export, delete videos and results, manage club members
+ *   admin       - platform admin: everything, including service status and all tenants
+ *                 (services:read, services:manage, tenants:read are granted to admins only)
+ *
+ * Requests authenticated with an organization API key carry `req.user.scopes`; they get the
+ * intersection of the key's scopes and the role of the member who created the key.
+ */
+
+const ROLES = ['viewer', 'analyst', 'head_coach', 'admin'];
+
+const VIEWER_PERMISSIONS = [
+  'analysis:read',
+  'results:read',
+  'upload:read'
+];
+
+const ANALYST_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'upload:write',
+  'analysis:write'
+];
+
+const HEAD_COACH_PERMISSIONS = [
+  ...ANALYST_PERMISSIONS,
+  'results:share',
+  'results:delete',
+  'upload:delete',
+  'org:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  analyst: ANALYST_PERMISSIONS,
+  head_coach: HEAD_COACH_PERMISSIONS,
+  admin: ['*']
+};
+
+/**
+ * Check whether a role grants a permission
+ */
+function hasPermission(role, permission) {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+/**
+ * Check whether an authenticated user (or API key) holds a permission
+ */
+function userHasPermission(user, permission) {
+  if (!user || !hasPermission(user.role, permission)) return false;
+  return !user.scopes || user.scopes.includes(permission);
+}
+
+/**
+ * Platform admins can see every tenant
+ */
+function isPlatformAdmin(user) {
+  return user?.role === 'admin';
+}
+
+/**
+ * Route middleware: require the authenticated user to hold a permission
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    if (!userHasPermission(req.user, permission)) {
+      const principal = req.user.apiKeyId ? `API key ${req.user.apiKeyId}` : `${req.user.id} (${req.user.role})`;
+      console.warn(`⛔ Permission denied: ${principal} lacks ${permission} for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Access Forbidden',
+        message: req.user.apiKeyId
+          ? `This API key is not allowed ${permission}`
+          : `Your role (${req.user.role || 'none'}) does not allow ${permission}`,
+        requiredPermission: permission
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Route middleware: require a verified email address (blocks paid AI work for unconfirmed accounts)
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Email not verified',
+      message: 'Please confirm your email address before starting analyses',
+      suggestion: 'Use POST /api/auth/resend-verification to get a new confirmation link'
+    });
+  }
+  next();
+};
+
+/**
+ * Route middleware: only interactive user sessions (not API keys), e.g. for managing keys or accounts
+ */
+const requireUserSession = (req, res, next) => {
+  if (req.user?.apiKeyId) {
+    return res.status(403).json({
+      success: false,
+      error: 'Access Forbidden',
+      message: 'This endpoint requires a user login; API keys cannot be used here'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  userHasPermission,
+  isPlatformAdmin,
+  requirePermission,
+  requireVerifiedEmail,
+  requireUserSession
+};
@@ -0,0 +1,75 @@
+/**
+ * TAHLEEL.ai rate limiting middleware
+ * Thin Express wrappers around services/rateLimitService (counters + lockouts live there).
+ */
+
+const rateLimitService = require('../services/rateLimitService');
+const { logAuthEvent } = require('../services/auditLogger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Route middleware: allow at most `max` requests per key within `windowMs`
+ * @param {object} options - { name, windowMs, max, keyGenerator(req) (defaults to client IP), message }
+ */
+const rateLimit = ({ name, windowMs, max, keyGenerator = (req) => req.ip, message }) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req);
+      if (!key) return next();
+
+      const result = await rateLimitService.hit(name, key, { windowMs, max });
+      res.set('RateLimit-Limit', String(result.limit));
+      res.set('RateLimit-Remaining', String(result.remaining));
+      res.set('RateLimit-Reset', String(result.retryAfterSeconds));
+
+      if (!result.allowed) {
+        logAuthEvent('rate_limited', { limiter: name, key, ip: req.ip, path: req.originalUrl });
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return res.status(429).json({
+          success: false,
+          error: 'Too many requests',
+          message: message || 'Too many requests, please try again later',
+          retryAfterSeconds: result.retryAfterSeconds
+        });
+      }
+      next();
+    } catch (error) {
+      // Never lock everyone out because the limiter store is down
+      console.error(`❌ Rate limiter ${name} failed:`, error.message);
+      next();
+    }
+  };
+};
+
+/**
+ * Route middleware for POST /login: reject locked accounts/IPs and slow down repeated failures
+ */
+const loginThrottle = async (req, res, next) => {
+  try {
+    const attempt = { ip: req.ip, email: req.body?.email };
+    const status = await rateLimitService.checkLogin(attempt);
+
+    if (status.blocked) {
+      logAuthEvent('login_blocked', { ...attempt, scope: status.scope, retryAfterSeconds: status.retryAfterSeconds });
+      res.set('Retry-After', String(status.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed login attempts',
+        message: 'Login temporarily locked. Please try again later or reset your password.',
+        retryAfterSeconds: status.retryAfterSeconds
+      });
+    }
+
+    if (status.delayMs > 0) await sleep(status.delayMs);
+    next();
+  } catch (error) {
+    console.error('❌ Login throttle failed:', error.message);
+    next();
+  }
+};
+
+module.exports = {
+  rateLimit,
+  loginThrottle
+};
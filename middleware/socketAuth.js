@@ -0,0 +1,34 @@
+/**
+ * TAHLEEL.ai Socket.io handshake authentication
+ * Clients send their access token when connecting: io(url, { auth: { token } })
+ * (non-browser clients may send an `Authorization: Bearer <token>` header instead).
+ * The authenticated user is kept on socket.data.user for room access checks.
+ */
+
+const { authenticateAccessToken } = require('../routes/auth');
+
+function handshakeError(message, status) {
+  const error = new Error(message);
+  error.data = { success: false, status, error: message };
+  return error;
+}
+
+/**
+ * Socket.io middleware (io.use): reject connections without a valid user access token
+ */
+const socketAuth = async (socket, next) => {
+  const bearer = (socket.handshake.headers?.authorization || '').split(' ')[1];
+  const token = socket.handshake.auth?.token || bearer;
+  if (!token) return next(handshakeError('Missing token.', 401));
+
+  try {
+    socket.data.user = await authenticateAccessToken(token);
+    next();
+  } catch (error) {
+    if (error.status === 401) return next(handshakeError(error.message, 401));
+    console.error('❌ Failed to authenticate socket:', error);
+    next(handshakeError('Failed to load user.', 500));
+  }
+};
+
+module.exports = { socketAuth };
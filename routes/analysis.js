@@ -1,18 +1,146 @@
 const express = require('express');
 const analysisController = require('../controllers/analysisController');
-const gcsService = require('../services/gcsService');
+const storageService = require('../services/storageService');
 const { sendQuotaExceededNotification } = require('../services/emailService'); // <-- NEW: Import email service
+const { getRequestOwner, stampOwner, isOwner, canAccess, checkVideoAccess } = require('../services/accessService');
+const { requirePermission, requireVerifiedEmail } = require('../middleware/permissions');
+const { getExistingAnalysis } = require('../services/duplicateService');
+const jobQueueService = require('../services/jobQueueService');
+const checkpointService = require('../services/checkpointService');
+const { abortJob } = require('../services/analysisWorker');
 
 const router = express.Router();
 
+/**
+ * Helper: Refuse videos that failed upload validation or are gone, and duplicates unless forceReanalysis is set
+ * @returns {Promise<{status: number, body: object}|null>} the error response, or null to proceed
+ */
+async function checkAnalysable(videoId, upload, forceReanalysis) {
+  if (['deleted', 'expired'].includes(upload?.processing_status)) {
+    return {
+      status: 410,
+      body: {
+        success: false,
+        error: `Video was ${upload.processing_status}`,
+        videoId: videoId
+      }
+    };
+  }
+  if (upload?.processing_status === 'rejected') {
+    return {
+      status: 422,
+      body: {
+        success: false,
+        error: 'Video was rejected at upload',
+        videoId: videoId,
+        rejection: upload.metadata?.rejection || null
+      }
+    };
+  }
+  if (upload?.processing_status === 'duplicate' && !forceReanalysis) {
+    const existingVideoId = upload.metadata?.duplicate_of;
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'Duplicate video',
+        duplicate: true,
+        videoId: videoId,
+        existingVideoId: existingVideoId,
+        analysis: existingVideoId ? await getExistingAnalysis(existingVideoId) : null,
+        message: 'Your club already uploaded this video - use the existing analysis, or pass forceReanalysis: true to analyse it again'
+      }
+    };
+  }
+  return null;
+}
+
+/**
+ * Helper: ENTERPRISE QUOTA ENFORCEMENT - refuse when the user used up this month's analyses
+ * Notifies the user (email + Socket.io) when the quota is exceeded.
+ * @returns {Promise<{status: number, body: object}|null>} the error response, or null to proceed
+ */
+async function checkQuota(req, matchMetadata) {
+  const MONTHLY_QUOTA = 10;
+  const { userId, userEmail } = getRequestOwner(req);
+  const coachName = req.user.name || matchMetadata.homeTeam || matchMetadata.coach_name || "Coach";
+
+  if (!userId) {
+    return {
+      status: 401,
+      body: {
+        success: false,
+        error: 'Authenticated user required for quota enforcement'
+      }
+    };
+  }
+
+  // Count number of completed analyses for this user in the current month
+  const clubStorage = await storageService.forOrganization(req.user.organizationId);
+  const analysisResults = await clubStorage.listAnalysisResults();
+
+  const now = new Date();
+  const thisMonth = now.getMonth();
+  let quotaUsed = 0;
+
+  for (const analysisData of analysisResults) {
+    if (isOwner(req.user, analysisData.matchMetadata)) {
+      const date = new Date(analysisData.analysis_state?.endTime || analysisData.analysis_state?.startTime);
+      if (date.getMonth() === thisMonth && date.getFullYear() === now.getFullYear()) {
+        quotaUsed++;
+      }
+    }
+  }
+
+  if (quotaUsed >= MONTHLY_QUOTA) {
+    // --- BEGIN QUOTA EXCEEDED LOGIC ---
+    try {
+      // Failed sends are parked in the email outbox and retried, never dropped
+      const delivery = await sendQuotaExceededNotification({
+        to: userEmail,
+        coach_name: coachName,
+        quota_used: quotaUsed,
+        quota_limit: MONTHLY_QUOTA
+      });
+      console.log(`📧 Quota exceeded email ${delivery.status} for ${userEmail} (${coachName})`);
+    } catch (emailErr) {
+      console.error('❌ Failed to send quota exceeded email:', emailErr);
+    }
+
+    // Optionally: emit Socket.io event for real-time notification
+    const io = req.app.get('io');
+    if (io && userId) {
+      io.to(`user-${userId}`).emit('quota-exceeded', {
+        userId,
+        quotaUsed,
+        quotaLimit: MONTHLY_QUOTA,
+        message: 'Monthly quota exceeded. Please contact support to upgrade your plan.'
+      });
+    }
+
+    return {
+      status: 403,
+      body: {
+        success: false,
+        error: 'Monthly quota exceeded',
+        quota: { used: quotaUsed, allowed: MONTHLY_QUOTA }
+      }
+    };
+    // --- END QUOTA EXCEEDED LOGIC ---
+  }
+  return null;
+}
+
 /**
  * POST /api/analysis/start
  * Start comprehensive tactical analysis pipeline (async job)
  * ENFORCES PER-USER MONTHLY QUOTA
  */
-router.post('/start', async (req, res) => {
+router.post('/start', requirePermission('analysis:write'), requireVerifiedEmail, async (req, res) => {
   try {
-    const { videoId, matchMetadata } = req.body;
+    const { videoId } = req.body;
+    // Owner is always the authenticated user, never the client-supplied fields
+    const matchMetadata = stampOwner(req.body.matchMetadata, req.user);
 
     if (!videoId) {
       return res.status(400).json({
@@ -21,88 +149,33 @@ router.post('/start', async (req, res) => {
       });
     }
 
-    // === ENTERPRISE QUOTA ENFORCEMENT ===
-    const MONTHLY_QUOTA = 10;
-    // Get userId/userEmail from matchMetadata (passed from frontend)
-    const userId = matchMetadata?.userId;
-    const userEmail = matchMetadata?.userEmail;
-    const coachName = matchMetadata?.homeTeam || matchMetadata?.coach_name || "Coach";
-
-    if (!userId && !userEmail) {
-      return res.status(401).json({
+    // Only the uploader or their club may analyse this video
+    const access = await checkVideoAccess(videoId, req.user);
+    if (!access.allowed) {
+      return res.status(access.status).json({
         success: false,
-        error: 'userId or userEmail required for quota enforcement'
+        error: access.reason,
+        videoId: videoId
       });
     }
 
-    // Count number of completed analyses for this user in the current month
-    const [resultFiles] = await gcsService.storage.bucket(gcsService.bucketName).getFiles({
-      prefix: 'results/'
-    });
-
-    const now = new Date();
-    const thisMonth = now.getMonth();
-    let quotaUsed = 0;
-
-    for (const file of resultFiles) {
-      try {
-        const [content] = await file.download();
-        const analysisData = JSON.parse(content.toString());
-        const md = analysisData.matchMetadata || {};
-        if (
-          ((userId && md.userId === userId) ||
-           (userEmail && md.userEmail === userEmail))
-        ) {
-          const date = new Date(analysisData.analysis_state?.endTime || analysisData.analysis_state?.startTime);
-          if (date.getMonth() === thisMonth && date.getFullYear() === now.getFullYear()) {
-            quotaUsed++;
-          }
-        }
-      } catch {}
+    const blocked = await checkAnalysable(videoId, access.upload, req.body.forceReanalysis === true);
+    if (blocked) {
+      return res.status(blocked.status).json(blocked.body);
     }
 
-    if (quotaUsed >= MONTHLY_QUOTA) {
-      // --- BEGIN QUOTA EXCEEDED LOGIC ---
-      try {
-        await sendQuotaExceededNotification({
-          to: userEmail,
-          coach_name: coachName,
-          quota_used: quotaUsed,
-          quota_limit: MONTHLY_QUOTA
-        });
-        console.log(`📧 Quota exceeded email sent to ${userEmail} (${coachName})`);
-      } catch (emailErr) {
-        console.error('❌ Failed to send quota exceeded email:', emailErr);
-      }
-
-      // Optionally: emit Socket.io event for real-time notification
-      const io = req.app.get('io');
-      if (io && userId) {
-        io.to(`user-${userId}`).emit('quota-exceeded', {
-          userId,
-          quotaUsed,
-          quotaLimit: MONTHLY_QUOTA,
-          message: 'Monthly quota exceeded. Please contact support to upgrade your plan.'
-        });
-      }
-
-      return res.status(403).json({
-        success: false,
-        error: 'Monthly quota exceeded',
-        quota: { used: quotaUsed, allowed: MONTHLY_QUOTA }
-      });
-      // --- END QUOTA EXCEEDED LOGIC ---
+    const overQuota = await checkQuota(req, matchMetadata);
+    if (overQuota) {
+      return res.status(overQuota.status).json(overQuota.body);
     }
-    // === END QUOTA ENFORCEMENT ===
 
     console.log(`🚀 Starting tactical analysis for video: ${videoId}`);
 
-    // Find video file in GCS
-    const [files] = await gcsService.storage.bucket(gcsService.bucketName).getFiles({
-      prefix: `videos/${videoId}/`
-    });
+    // Find video file in storage
+    const storage = await storageService.forVideo(videoId, access.upload);
+    const videoFile = await storage.findVideoFile(videoId);
 
-    if (files.length === 0) {
+    if (!videoFile) {
       return res.status(404).json({
         success: false,
         error: 'Video not found',
@@ -110,7 +183,6 @@ router.post('/start', async (req, res) => {
       });
     }
 
-    const videoFile = files[0];
     const videoFileName = videoFile.name;
 
     // Prepare request for analysis controller
@@ -118,7 +190,7 @@ router.post('/start', async (req, res) => {
       body: {
         videoId: videoId,
         videoFileName: videoFileName,
-        matchMetadata: matchMetadata || {}
+        matchMetadata: matchMetadata
       },
       app: req.app // Pass app for Socket.io access
     };
@@ -141,7 +213,7 @@ router.post('/start', async (req, res) => {
  * POST /api/analysis/quick
  * Start quick tactical analysis for urgent needs
  */
-router.post('/quick', async (req, res) => {
+router.post('/quick', requirePermission('analysis:write'), requireVerifiedEmail, async (req, res) => {
   try {
     const { videoId, urgencyLevel = 'high' } = req.body;
 
@@ -152,14 +224,28 @@ router.post('/quick', async (req, res) => {
       });
     }
 
+    // Only the uploader or their club may analyse this video
+    const access = await checkVideoAccess(videoId, req.user);
+    if (!access.allowed) {
+      return res.status(access.status).json({
+        success: false,
+        error: access.reason,
+        videoId: videoId
+      });
+    }
+
+    const blocked = await checkAnalysable(videoId, access.upload, req.body.forceReanalysis === true);
+    if (blocked) {
+      return res.status(blocked.status).json(blocked.body);
+    }
+
     console.log(`⚡ Starting quick analysis for video: ${videoId}`);
 
-    // Find video file in GCS
-    const [files] = await gcsService.storage.bucket(gcsService.bucketName).getFiles({
-      prefix: `videos/${videoId}/`
-    });
+    // Find video file in storage
+    const storage = await storageService.forVideo(videoId, access.upload);
+    const videoFile = await storage.findVideoFile(videoId);
 
-    if (files.length === 0) {
+    if (!videoFile) {
       return res.status(404).json({
         success: false,
         error: 'Video not found',
@@ -167,7 +253,6 @@ router.post('/quick', async (req, res) => {
       });
     }
 
-    const videoFile = files[0];
     const videoFileName = videoFile.name;
 
     // Prepare request for quick analysis
@@ -198,10 +283,20 @@ router.post('/quick', async (req, res) => {
  * GET /api/analysis/status/:videoId
  * Get current analysis status and progress
  */
-router.get('/status/:videoId', async (req, res) => {
+router.get('/status/:videoId', requirePermission('analysis:read'), async (req, res) => {
   try {
     const { videoId } = req.params;
 
+    // Only the uploader or their club may access this analysis
+    const access = await checkVideoAccess(videoId, req.user);
+    if (!access.allowed) {
+      return res.status(access.status).json({
+        success: false,
+        error: access.reason,
+        videoId: videoId
+      });
+    }
+
     // Use analysis controller to get status
     const statusRequest = {
       params: { videoId: videoId }
@@ -221,21 +316,45 @@ router.get('/status/:videoId', async (req, res) => {
 
 /**
  * POST /api/analysis/resume/:videoId
- * Resume failed or interrupted analysis
+ * Resume failed or interrupted analysis from its checkpoints
+ * Completed stages are skipped and only failed frames are redone; `fromStage` re-runs that stage onwards.
  */
-router.post('/resume/:videoId', async (req, res) => {
+router.post('/resume/:videoId', requirePermission('analysis:write'), requireVerifiedEmail, async (req, res) => {
   try {
     const { videoId } = req.params;
-    const { fromStage = 'frame_extraction' } = req.body;
+    const { fromStage = null } = req.body;
 
-    console.log(`🔄 Resuming analysis for video: ${videoId} from stage: ${fromStage}`);
+    if (fromStage && !checkpointService.PIPELINE_STAGES.includes(fromStage)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid fromStage',
+        allowed: checkpointService.PIPELINE_STAGES
+      });
+    }
+
+    // Only the uploader or their club may access this analysis
+    const access = await checkVideoAccess(videoId, req.user);
+    if (!access.allowed) {
+      return res.status(access.status).json({
+        success: false,
+        error: access.reason,
+        videoId: videoId
+      });
+    }
+
+    // Same gates as /start: gone, rejected and duplicate videos can't be queued through a resume either
+    const blocked = await checkAnalysable(videoId, access.upload, req.body.forceReanalysis === true);
+    if (blocked) {
+      return res.status(blocked.status).json(blocked.body);
+    }
+
+    console.log(`🔄 Resuming analysis for video: ${videoId}${fromStage ? ` from stage: ${fromStage}` : ''}`);
 
     // Find video file
-    const [files] = await gcsService.storage.bucket(gcsService.bucketName).getFiles({
-      prefix: `videos/${videoId}/`
-    });
+    const storage = await storageService.forVideo(videoId, access.upload);
+    const videoFile = await storage.findVideoFile(videoId);
 
-    if (files.length === 0) {
+    if (!videoFile) {
       return res.status(404).json({
         success: false,
         error: 'Video not found',
@@ -243,20 +362,17 @@ router.post('/resume/:videoId', async (req, res) => {
       });
     }
 
-    const videoFile = files[0];
     const videoFileName = videoFile.name;
 
     // Check what stages are already completed
-    const stageStatus = {
-      frame_extraction: await gcsService.storage.bucket(gcsService.bucketName).getFiles({
-        prefix: `frames/${videoId}/`
-      }).then(([files]) => files.length > 0),
-      analysis_result: await gcsService.fileExists(`results/${videoId}/analysis.json`)
-    };
+    const manifest = await checkpointService.getManifest(storage, videoId);
+    const stageStatus = {};
+    for (const stage of checkpointService.PIPELINE_STAGES) {
+      stageStatus[stage] = !!manifest?.stages?.[stage];
+    }
+    stageStatus.analysis_result = await storage.fileExists(`results/${videoId}/analysis.json`);
 
-    // Determine resume strategy
-    let resumeStage = fromStage;
-    if (stageStatus.analysis_result) {
+    if (stageStatus.analysis_result && !fromStage) {
       return res.json({
         success: true,
         videoId: videoId,
@@ -265,13 +381,23 @@ router.post('/resume/:videoId', async (req, res) => {
       });
     }
 
-    // Restart analysis from appropriate stage
+    // Keep the metadata the analysis was started with (checkpoint manifest, else the last job)
+    const latestJob = await jobQueueService.getLatestJob(videoId);
+    const matchMetadata = manifest?.matchMetadata || latestJob?.payload?.matchMetadata || stampOwner({}, req.user);
+
+    const overQuota = await checkQuota(req, matchMetadata);
+    if (overQuota) {
+      return res.status(overQuota.status).json(overQuota.body);
+    }
+
+    // Resume from checkpoints (missing ones are simply recomputed)
     const resumeRequest = {
       body: {
         videoId: videoId,
         videoFileName: videoFileName,
-        resumeFromStage: resumeStage,
-        matchMetadata: {}
+        matchMetadata: matchMetadata,
+        resume: true,
+        resumeFromStage: fromStage
       },
       app: req.app
     };
@@ -293,13 +419,35 @@ router.post('/resume/:videoId', async (req, res) => {
  * POST /api/analysis/cancel/:videoId
  * Cancel ongoing analysis
  */
-router.post('/cancel/:videoId', async (req, res) => {
+router.post('/cancel/:videoId', requirePermission('analysis:write'), async (req, res) => {
   try {
     const { videoId } = req.params;
     const io = req.app.get('io');
 
+    // Only the uploader or their club may access this analysis
+    const access = await checkVideoAccess(videoId, req.user);
+    if (!access.allowed) {
+      return res.status(access.status).json({
+        success: false,
+        error: access.reason,
+        videoId: videoId
+      });
+    }
+
     console.log(`🛑 Cancelling analysis for video: ${videoId}`);
 
+    // Mark the queued/running job cancelled so no worker picks it up or completes it, then stop the
+    // pipeline: right away if it runs in this process, else on its worker's next heartbeat
+    const job = await jobQueueService.cancelJob(videoId, { cancelledBy: req.user.id });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'No queued or running analysis for this video',
+        videoId: videoId
+      });
+    }
+    const abortedHere = abortJob(job.id);
+
     // Emit cancellation event
     io.to(`analysis-${videoId}`).emit('analysis-cancelled', {
       videoId: videoId,
@@ -307,26 +455,19 @@ router.post('/cancel/:videoId', async (req, res) => {
       timestamp: new Date().toISOString()
     });
 
-    // Cleanup temporary files
-    setTimeout(async () => {
-      try {
-        await gcsService.cleanupTempFiles(videoId);
-        console.log(`🧹 Cleanup completed for cancelled analysis: ${videoId}`);
-      } catch (cleanupError) {
-        console.error('❌ Cleanup failed for cancelled analysis:', cleanupError);
-      }
-    }, 5000);
-
+    // Extracted frames stay in storage: the retention sweeper removes them with the video's other artifacts
     res.json({
       success: true,
       videoId: videoId,
+      jobId: job.id,
       status: 'cancelled',
+      stoppedImmediately: abortedHere,
       message: 'Analysis cancelled successfully'
     });
 
   } catch (error) {
     console.error('❌ Error cancelling analysis:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to cancel analysis',
       message: error.message
@@ -336,54 +477,41 @@ router.post('/cancel/:videoId', async (req, res) => {
 
 /**
  * GET /api/analysis/history
- * Get analysis history for current user only (multi-user filter)
+ * Get analysis history for the current user and their organization
  */
-router.get('/history', async (req, res) => {
+router.get('/history', requirePermission('analysis:read'), async (req, res) => {
   try {
-    // Accept userId/userEmail from query params
-    const { limit = 10, offset = 0, userId, userEmail } = req.query;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = parseInt(req.query.offset) || 0;
 
     console.log('📊 Fetching analysis history...');
 
-    // Get all result files from GCS
-    const [resultFiles] = await gcsService.storage.bucket(gcsService.bucketName).getFiles({
-      prefix: 'results/'
-    });
+    // Get all stored analysis results on the club's storage
+    const storage = await storageService.forOrganization(req.user.organizationId);
+    const analysisResults = await storage.listAnalysisResults();
 
     const analysisHistory = [];
 
-    // Process files (limit to avoid timeout)
-    const filesToProcess = resultFiles.slice(offset, offset + parseInt(limit));
-
-    for (const file of filesToProcess) {
-      try {
-        const [content] = await file.download();
-        const analysisData = JSON.parse(content.toString());
-        const md = analysisData.matchMetadata || {};
-
-        // If userId/userEmail provided, filter jobs for this user only
-        if (userId && md.userId !== userId) continue;
-        if (userEmail && md.userEmail !== userEmail) continue;
-
-        analysisHistory.push({
-          videoId: analysisData.videoId,
-          processingTime: analysisData.processing_stats?.total_time,
-          analysisDate: analysisData.analysis_state?.endTime || analysisData.analysis_state?.startTime,
-          status: analysisData.analysis_state?.status,
-          framesAnalyzed: analysisData.frame_extraction?.total_frames,
-          confidenceScore: analysisData.final_report?.final_report?.report_metrics?.confidence_score || 'N/A'
-        });
-      } catch (parseError) {
-        console.error('❌ Error parsing analysis file:', parseError);
-      }
+    for (const analysisData of analysisResults) {
+      // The authenticated user's analyses plus their club's library
+      if (!canAccess(req.user, analysisData.matchMetadata)) continue;
+
+      analysisHistory.push({
+        videoId: analysisData.videoId,
+        processingTime: analysisData.processing_stats?.total_time,
+        analysisDate: analysisData.analysis_state?.endTime || analysisData.analysis_state?.startTime,
+        status: analysisData.analysis_state?.status,
+        framesAnalyzed: analysisData.frame_extraction?.total_frames,
+        confidenceScore: analysisData.final_report?.final_report?.report_metrics?.confidence_score || 'N/A'
+      });
     }
 
     res.json({
       success: true,
-      history: analysisHistory,
+      history: analysisHistory.slice(offset, offset + limit),
       pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
+        limit: limit,
+        offset: offset,
         total: analysisHistory.length
       },
       message: 'Analysis history retrieved successfully'
@@ -424,6 +552,7 @@ router.get('/test', (req, res) => {
     },
     features: {
       real_time_progress: 'Socket.io events',
+      job_queue: 'Durable queue with retries (workers: node worker.js)',
       estimated_time: '3-5 minutes full analysis',
       quick_analysis: '30-60 seconds',
       ai_models: ['GPT-4 Vision', 'Claude 3.5 Sonnet']
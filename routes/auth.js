@@ -1,17 +1,195 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const { getUserByEmail, createUser, getUserById } = require('../services/userService');
+const userService = require('../services/userService');
+const { getUserByEmail, createUser, getUserById, markEmailVerified, updatePassword } = userService;
+const organizationService = require('../services/organizationService');
+const totpService = require('../services/totpService');
+const sessionService = require('../services/sessionService');
+const authTokenService = require('../services/authTokenService');
+const apiKeyService = require('../services/apiKeyService');
+const { sendSubscriptionConfirmation, sendPasswordReset } = require('../services/emailService');
+const rateLimitService = require('../services/rateLimitService');
+const { logAuthEvent } = require('../services/auditLogger');
+const { rateLimit, loginThrottle } = require('../middleware/rateLimit');
 
 const router = express.Router();
 const JWT_SECRET = process.env.SUPABASE_JWT_SECRET || 'supersecretkey'; // Use env var in production
-const JWT_EXPIRES_IN = '7d'; // 7 days
+const JWT_EXPIRES_IN = process.env.ACCESS_TOKEN_TTL || '15m'; // Short-lived; renewed with the refresh token
+const PLATFORM_ADMIN_EMAILS = (process.env.PLATFORM_ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+const API_BASE_URL = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const MFA_LOGIN_TOKEN_TTL = '5m';
+const MFA_ENROLL_TOKEN_TTL = '15m';
+
+// Per-IP request limits (failed logins are additionally tracked per account, see rateLimitService)
+const MINUTE = 60 * 1000;
+const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: 15 * MINUTE,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT) || 50,
+  message: 'Too many login attempts from this address, please try again later'
+});
+const registerLimiter = rateLimit({
+  name: 'register',
+  windowMs: 60 * MINUTE,
+  max: parseInt(process.env.REGISTER_RATE_LIMIT) || 5,
+  message: 'Too many accounts created from this address, please try again later'
+});
+const passwordResetLimiter = rateLimit({
+  name: 'forgot_password',
+  windowMs: 60 * MINUTE,
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT) || 10
+});
+const verificationEmailLimiter = rateLimit({
+  name: 'resend_verification',
+  windowMs: 60 * MINUTE,
+  max: 5,
+  keyGenerator: (req) => req.user?.id
+});
+// Per-user limit on endpoints that check a 2FA code with a session (or enrolment) token
+const twoFactorCodeLimiter = rateLimit({
+  name: 'two_factor_code',
+  windowMs: 15 * MINUTE,
+  max: parseInt(process.env.TWO_FACTOR_CODE_RATE_LIMIT) || 10,
+  keyGenerator: (req) => req.user?.id,
+  message: 'Too many authentication code attempts, please try again later'
+});
+
+/**
+ * Issue an access token for a user, bound to a login session
+ */
+function issueToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, email: user.email, team: user.team, organizationId: user.organizationId || null, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+/**
+ * Start a session for a device and issue the access + refresh token pair
+ */
+async function startSession(user, req) {
+  const { session, refreshToken } = await sessionService.createSession(user.id, {
+    device: req.get('User-Agent'),
+    ipAddress: req.ip
+  });
+  return {
+    token: issueToken(user, session.id),
+    refreshToken,
+    expiresIn: JWT_EXPIRES_IN
+  };
+}
+
+/**
+ * Short-lived token for the second login step (purpose: mfa_login | mfa_enroll)
+ * These never carry a session id, so authMiddleware rejects them for normal API use.
+ */
+function issueStepToken(user, purpose, expiresIn) {
+  return jwt.sign({ id: user.id, purpose }, JWT_SECRET, { expiresIn });
+}
+
+function verifyStepToken(token, purpose) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.purpose === purpose ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether the user's club makes 2FA mandatory
+ */
+async function organizationRequiresTwoFactor(user) {
+  if (!user.organizationId) return false;
+  const organization = await organizationService.getOrganizationById(user.organizationId);
+  return !!organization?.settings?.requireTwoFactor;
+}
+
+/**
+ * Verify a TOTP code or a one-time recovery code and record its use
+ * Both are consumed with a compare-and-set, so concurrent requests can't use the same code twice.
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user.twoFactorEnabled) return false;
+
+  if (recoveryCode) {
+    const hash = totpService.hashRecoveryCode(recoveryCode);
+    if (!user.twoFactor.recoveryCodeHashes.includes(hash)) return false;
+    if (!(await userService.consumeRecoveryCode(user.id, hash))) return false;
+    console.warn(`🔐 Recovery code used by ${user.email}`);
+    return true;
+  }
+
+  const step = totpService.verifyCode(totpService.decryptSecret(user.twoFactor.secret), code, {
+    lastUsedStep: user.twoFactor.lastUsedStep
+  });
+  if (step === null) return false;
+  return userService.consumeTotpStep(user.id, user.twoFactor.lastUsedStep, step);
+}
+
+/**
+ * Record a failed login (audit log + brute-force counters) and send the generic 401
+ */
+async function rejectLogin(req, res, { email, userId, reason, error = 'Invalid credentials.' }) {
+  const attempt = { ip: req.ip, email };
+  logAuthEvent(reason === 'invalid_second_factor' ? 'mfa_failed' : 'login_failed', {
+    ...attempt,
+    userId,
+    reason,
+    userAgent: req.get('User-Agent')
+  });
+
+  const lockout = await rateLimitService.recordLoginFailure(attempt);
+  if (lockout.locked) {
+    logAuthEvent(lockout.scope === 'ip' ? 'ip_locked' : 'account_locked', {
+      ...attempt,
+      userId,
+      retryAfterSeconds: lockout.retryAfterSeconds
+    });
+  }
+  return res.status(401).json({ success: false, error });
+}
+
+/**
+ * Public user shape returned by auth endpoints
+ */
+function publicUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    team: user.team,
+    organizationId: user.organizationId || null,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: user.twoFactorEnabled
+  };
+}
+
+/**
+ * Email a one-time confirmation link for the user's address
+ */
+async function sendVerificationEmail(user) {
+  const delivery = await sendSubscriptionConfirmation({
+    to: user.email,
+    coach_name: user.name,
+    user_id: user.id,
+    confirm_url: `${API_BASE_URL}/api/auth/verify-email?token={token}`
+  });
+  console.log(`📧 Verification email ${delivery.status} for ${user.email}`);
+}
 
 /**
  * POST /api/auth/register
  * Register new user (Coach/Team)
  */
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimiter, async (req, res) => {
   try {
     const { name, email, password, team } = req.body;
     if (!name || !email || !password) {
@@ -24,20 +202,26 @@ router.post('/register', async (req, res) => {
 
     const passwordHash = await bcrypt.hash(password, 12);
 
-    const newUser = await createUser({ name, email, passwordHash, team });
+    // Self-registered coaches manage their own library; platform admins are bootstrapped by email
+    const role = PLATFORM_ADMIN_EMAILS.includes(email.trim().toLowerCase()) ? 'admin' : 'head_coach';
+    const newUser = await createUser({ name, email, passwordHash, team, role });
+    logAuthEvent('user_registered', { ip: req.ip, email: newUser.email, userId: newUser.id });
 
-    // Issue JWT
-    const token = jwt.sign(
-      { id: newUser.id, email: newUser.email, team: newUser.team },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    // Confirm the address before the account can start analyses
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (emailErr) {
+      console.error('❌ Failed to send verification email:', emailErr);
+    }
+
+    // Issue JWT + refresh token
+    const tokens = await startSession(newUser, req);
 
     res.json({
       success: true,
       message: 'Registration successful',
-      token,
-      user: { id: newUser.id, name: newUser.name, email: newUser.email, team: newUser.team }
+      ...tokens,
+      user: publicUser(newUser)
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -46,68 +230,471 @@ router.post('/register', async (req, res) => {
 
 /**
  * POST /api/auth/login
- * Authenticate user and issue JWT
+ * Authenticate user and issue JWT + refresh token
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, loginThrottle, async (req, res) => {
   try {
     const { email, password } = req.body;
     if (!email || !password) return res.status(400).json({ success: false, error: 'Email and password required.' });
 
     const user = await getUserByEmail(email);
-    if (!user) return res.status(401).json({ success: false, error: 'Invalid credentials.' });
+    if (!user || !user.isActive) {
+      return rejectLogin(req, res, { email, reason: user ? 'inactive_user' : 'unknown_user' });
+    }
 
     const valid = await bcrypt.compare(password, user.passwordHash);
-    if (!valid) return res.status(401).json({ success: false, error: 'Invalid credentials.' });
+    if (!valid) return rejectLogin(req, res, { email, userId: user.id, reason: 'invalid_password' });
+
+    // Second step: TOTP code (POST /api/auth/login/2fa)
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        mfaToken: issueStepToken(user, 'mfa_login', MFA_LOGIN_TOKEN_TTL),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
+    // Club requires 2FA but the user has not enrolled yet: only enrolment is allowed
+    if (await organizationRequiresTwoFactor(user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication required',
+        mfaEnrollmentRequired: true,
+        enrollmentToken: issueStepToken(user, 'mfa_enroll', MFA_ENROLL_TOKEN_TTL),
+        message: 'Your club requires two-factor authentication. Enrol via POST /api/auth/2fa/enroll'
+      });
+    }
+
+    // Failures are only forgotten once the whole login succeeded (not after the password step of a 2FA login)
+    await rateLimitService.recordLoginSuccess({ email });
+
+    // Issue JWT + refresh token
+    const tokens = await startSession(user, req);
+    logAuthEvent('login_succeeded', { ip: req.ip, email: user.email, userId: user.id });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...tokens,
+      user: publicUser(user)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Issue JWT
-    const token = jwt.sign(
-      { id: user.id, email: user.email, team: user.team },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+/**
+ * POST /api/auth/login/2fa
+ * Complete a login with a TOTP code or a recovery code
+ */
+router.post('/login/2fa', loginLimiter, async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ success: false, error: 'mfaToken and code (or recoveryCode) required.' });
+    }
+
+    const payload = verifyStepToken(mfaToken, 'mfa_login');
+    if (!payload) return res.status(401).json({ success: false, error: 'Login step expired. Please sign in again.' });
+
+    const user = await getUserById(payload.id);
+    if (!user || !user.isActive) return res.status(401).json({ success: false, error: 'Invalid credentials.' });
+
+    // Code guessing counts towards the same account lockout as password guessing
+    const status = await rateLimitService.checkLogin({ ip: req.ip, email: user.email });
+    if (status.blocked) {
+      logAuthEvent('login_blocked', { ip: req.ip, email: user.email, scope: status.scope, retryAfterSeconds: status.retryAfterSeconds });
+      res.set('Retry-After', String(status.retryAfterSeconds));
+      return res.status(429).json({ success: false, error: 'Too many failed login attempts', retryAfterSeconds: status.retryAfterSeconds });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return rejectLogin(req, res, {
+        email: user.email,
+        userId: user.id,
+        reason: 'invalid_second_factor',
+        error: 'Invalid authentication code.'
+      });
+    }
+    await rateLimitService.recordLoginSuccess({ email: user.email });
+
+    const tokens = await startSession(user, req);
+    logAuthEvent('login_succeeded', { ip: req.ip, email: user.email, userId: user.id, secondFactor: recoveryCode ? 'recovery_code' : 'totp' });
 
     res.json({
       success: true,
       message: 'Login successful',
-      token,
-      user: { id: user.id, name: user.name, email: user.email, team: user.team }
+      ...tokens,
+      user: publicUser(await getUserById(user.id))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enroll
+ * Start TOTP enrolment: returns the secret and otpauth:// URI for the authenticator app
+ * Accepts a normal access token or the enrollmentToken from a login blocked by club policy
+ */
+router.post('/2fa/enroll', twoFactorEnrollmentAuth, async (req, res) => {
+  try {
+    const user = await getUserById(req.user.id);
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({ success: false, error: 'Two-factor authentication already enabled.' });
+    }
+
+    const secret = totpService.generateSecret();
+    await userService.setPendingTwoFactorSecret(user.id, totpService.encryptSecret(secret));
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: totpService.buildOtpAuthUri(secret, user.email),
+      message: 'Scan the URI with your authenticator app, then confirm with POST /api/auth/2fa/activate'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/activate
+ * Confirm enrolment with a first code; returns recovery codes (shown once)
+ */
+router.post('/2fa/activate', twoFactorEnrollmentAuth, twoFactorCodeLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ success: false, error: 'code required.' });
+
+    const user = await getUserById(req.user.id);
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ success: false, error: 'No enrolment in progress. Call POST /api/auth/2fa/enroll first.' });
+    }
+
+    const step = totpService.verifyCode(totpService.decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) return res.status(401).json({ success: false, error: 'Invalid authentication code.' });
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+    const updated = await userService.enableTwoFactor(user.id, {
+      secret: user.twoFactor.pendingSecret,
+      recoveryCodeHashes: hashes,
+      lastUsedStep: step
+    });
+    console.log(`🔐 Two-factor authentication enabled for ${user.email}`);
+
+    // Enrolment forced at login completes that login
+    const tokens = req.user.enrollmentOnly ? await startSession(updated, req) : {};
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes: codes,
+      ...tokens,
+      user: publicUser(updated)
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * POST /api/auth/2fa/disable
+ * Turn 2FA off (requires password and a current code; blocked when the club mandates 2FA)
+ */
+router.post('/2fa/disable', sessionAuth, twoFactorCodeLimiter, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ success: false, error: 'password and code (or recoveryCode) required.' });
+    }
+
+    const user = await getUserById(req.user.id);
+    if (!user.twoFactorEnabled) return res.json({ success: true, message: 'Two-factor authentication is not enabled.' });
+    if (await organizationRequiresTwoFactor(user)) {
+      return res.status(403).json({ success: false, error: 'Your club requires two-factor authentication.' });
+    }
+
+    const validPassword = await bcrypt.compare(password, user.passwordHash);
+    if (!validPassword || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ success: false, error: 'Invalid credentials.' });
+    }
+
+    await userService.disableTwoFactor(user.id);
+    console.log(`🔓 Two-factor authentication disabled for ${user.email}`);
+    res.json({ success: true, message: 'Two-factor authentication disabled.' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace all recovery codes (requires a current code)
+ */
+router.post('/2fa/recovery-codes', sessionAuth, twoFactorCodeLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ success: false, error: 'code required.' });
+
+    const user = await getUserById(req.user.id);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled.' });
+    }
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(401).json({ success: false, error: 'Invalid authentication code.' });
+    }
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+    await userService.recordTwoFactorUse(user.id, { recoveryCodeHashes: hashes });
+    res.json({ success: true, recoveryCodes: codes, message: 'Previous recovery codes no longer work.' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/auth/me
  * Get current user info (requires JWT)
  */
-router.get('/me', authMiddleware, async (req, res) => {
+router.get('/me', sessionAuth, async (req, res) => {
   try {
     const user = await getUserById(req.user.id);
     if (!user) return res.status(404).json({ success: false, error: 'User not found.' });
     res.json({
       success: true,
-      user: { id: user.id, name: user.name, email: user.email, team: user.team }
+      user: publicUser(user)
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * GET /api/auth/verify-email?token=...
+ * Confirm an email address from the link in the verification email
+ */
+router.get('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token) return res.status(400).json({ success: false, error: 'token required.' });
+
+    const userId = await authTokenService.consumeToken(token, 'verify_email');
+    const user = await markEmailVerified(userId);
+    if (!user) return res.status(404).json({ success: false, error: 'User not found.' });
+
+    console.log(`✅ Email verified for ${user.email}`);
+    res.json({ success: true, message: 'Email verified successfully.', user: publicUser(user) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a fresh verification link to the current user
+ */
+router.post('/resend-verification', sessionAuth, verificationEmailLimiter, async (req, res) => {
+  try {
+    const user = await getUserById(req.user.id);
+    if (user.emailVerified) return res.json({ success: true, message: 'Email already verified.' });
+    await sendVerificationEmail(user);
+    res.json({ success: true, message: 'Verification email sent.' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link (always responds the same way so emails cannot be enumerated)
+ */
+router.post('/forgot-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ success: false, error: 'Email required.' });
+
+    const user = await getUserByEmail(email);
+    if (user && user.isActive) {
+      try {
+        const delivery = await sendPasswordReset({
+          to: user.email,
+          coach_name: user.name,
+          user_id: user.id,
+          reset_url: `${FRONTEND_URL}/reset-password?token={token}`
+        });
+        console.log(`📧 Password reset email ${delivery.status} for ${user.email}`);
+      } catch (emailErr) {
+        console.error('❌ Failed to send password reset email:', emailErr);
+      }
+    }
+
+    res.json({ success: true, message: 'If that email is registered, a reset link has been sent.' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with a reset token; every existing session is logged out
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) return res.status(400).json({ success: false, error: 'Token and password required.' });
+
+    const userId = await authTokenService.consumeToken(token, 'password_reset');
+    const passwordHash = await bcrypt.hash(password, 12);
+    const user = await updatePassword(userId, passwordHash);
+    if (!user) return res.status(404).json({ success: false, error: 'User not found.' });
+
+    // Following the emailed link proves ownership of the address too
+    if (!user.emailVerified) await markEmailVerified(user.id);
+    await sessionService.revokeAllSessions(user.id, 'password_reset');
+    await rateLimitService.recordLoginSuccess({ email: user.email });
+    logAuthEvent('password_reset', { ip: req.ip, email: user.email, userId: user.id });
+
+    console.log(`🔑 Password reset for ${user.email}`);
+    res.json({ success: true, message: 'Password updated. Please log in again.' });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token (the refresh token is rotated)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ success: false, error: 'refreshToken required.' });
+
+    const { session, refreshToken: nextRefreshToken } = await sessionService.rotateRefreshToken(refreshToken, {
+      ipAddress: req.ip
+    });
+
+    const user = await getUserById(session.user_id);
+    if (!user || !user.isActive) {
+      await sessionService.revokeSession(session.id, 'user_inactive');
+      return res.status(401).json({ success: false, error: 'User no longer active.' });
+    }
+
+    res.json({
+      success: true,
+      token: issueToken(user, session.id),
+      refreshToken: nextRefreshToken,
+      expiresIn: JWT_EXPIRES_IN
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/auth/logout
- * Logout (stateless JWT, just remove on frontend)
+ * Revoke the current session; its access and refresh tokens stop working immediately
  */
-router.post('/logout', (req, res) => {
-  // JWT is stateless, so logout is handled client-side.
-  // Optionally, implement a blacklist for revoked tokens.
-  res.json({ success: true, message: 'Logged out. Please delete token on frontend.' });
+router.post('/logout', sessionAuth, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.sessionId, 'logout');
+    res.json({ success: true, message: 'Logged out.' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 /**
- * Auth middleware for protected routes
+ * POST /api/auth/logout-all
+ * Revoke every session of the current user (all devices)
  */
-function authMiddleware(req, res, next) {
+router.post('/logout-all', sessionAuth, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user.id, 'logout_all');
+    console.log(`🔒 Revoked ${revoked} sessions for user ${req.user.id}`);
+    res.json({ success: true, revokedSessions: revoked, message: 'Logged out of all sessions.' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List active sessions (devices) of the current user
+ */
+router.get('/sessions', sessionAuth, async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.user.id);
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sessionId }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Revoke one of the current user's sessions (e.g. a lost device)
+ */
+router.delete('/sessions/:sessionId', sessionAuth, async (req, res) => {
+  try {
+    const session = await sessionService.getSession(req.params.sessionId);
+    if (!session || session.user_id !== req.user.id) {
+      return res.status(404).json({ success: false, error: 'Session not found.' });
+    }
+    await sessionService.revokeSession(session.id, 'revoked_by_user');
+    res.json({ success: true, sessionId: session.id, message: 'Session revoked.' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+function unauthorized(message) {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+}
+
+/**
+ * Resolve a user access token (JWT) to the authenticated user
+ * Rejects tokens whose session was revoked (logout, logout-all, token reuse), then loads the
+ * current user record so membership changes apply immediately. Shared with the Socket.io handshake.
+ * @returns {Promise<object>} the req.user shape; throws with status 401 when the token is not accepted
+ */
+async function authenticateAccessToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw unauthorized('Invalid or expired token.');
+  }
+  if (payload.purpose) throw unauthorized('Invalid or expired token.');
+
+  if (!(await sessionService.isSessionActive(payload.sid))) {
+    throw unauthorized('Session revoked or expired.');
+  }
+  const user = await getUserById(payload.id);
+  if (!user || !user.isActive) throw unauthorized('User no longer active.');
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    team: user.team,
+    organizationId: user.organizationId || null,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    sessionId: payload.sid
+  };
+}
+
+/**
+ * Auth middleware for user sessions (account endpoints only accept these, not API keys)
+ */
+async function sessionAuth(req, res, next) {
   const authHeader = req.headers.authorization;
   if (!authHeader) return res.status(401).json({ success: false, error: 'Missing Authorization header.' });
 
@@ -115,12 +702,74 @@ function authMiddleware(req, res, next) {
   if (!token) return res.status(401).json({ success: false, error: 'Missing token.' });
 
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload;
+    req.user = await authenticateAccessToken(token);
+  } catch (error) {
+    if (error.status === 401) return res.status(401).json({ success: false, error: error.message });
+    console.error('❌ Failed to load authenticated user:', error);
+    return res.status(500).json({ success: false, error: 'Failed to load user.' });
+  }
+  next();
+}
+
+/**
+ * Authenticate an organization API key (X-API-Key header or `Authorization: Bearer thk_...`)
+ * The key acts as the member who created it, limited to the key's scopes.
+ */
+async function apiKeyAuth(apiKey, req, res, next) {
+  try {
+    const key = await apiKeyService.authenticateApiKey(apiKey);
+    if (!key) {
+      logAuthEvent('api_key_rejected', { ip: req.ip, path: req.originalUrl });
+      return res.status(401).json({ success: false, error: 'Invalid, revoked or expired API key.' });
+    }
+
+    // A key stops working when its creator leaves the club or is deactivated
+    const creator = await getUserById(key.createdBy);
+    if (!creator || !creator.isActive || creator.organizationId !== key.organizationId) {
+      return res.status(401).json({ success: false, error: 'API key owner is no longer an active club member.' });
+    }
+
+    req.user = {
+      id: creator.id,
+      email: creator.email,
+      name: creator.name,
+      team: creator.team,
+      organizationId: key.organizationId,
+      role: creator.role,
+      emailVerified: creator.emailVerified,
+      apiKeyId: key.id,
+      scopes: key.scopes
+    };
     next();
   } catch (error) {
-    return res.status(401).json({ success: false, error: 'Invalid or expired token.' });
+    console.error('❌ Failed to authenticate API key:', error);
+    return res.status(500).json({ success: false, error: 'Failed to authenticate API key.' });
   }
 }
 
-module.exports = { router, authMiddleware };
+/**
+ * Authenticate API requests: user access tokens (Bearer JWT) or organization API keys
+ */
+async function authMiddleware(req, res, next) {
+  const bearer = (req.headers.authorization || '').split(' ')[1];
+  const apiKey = req.get('X-API-Key') || (apiKeyService.isApiKey(bearer) ? bearer : null);
+  if (apiKey) return apiKeyAuth(apiKey, req, res, next);
+  return sessionAuth(req, res, next);
+}
+
+/**
+ * Auth for 2FA enrolment: a regular access token, or the enrollmentToken issued
+ * when a club's mandatory-2FA policy blocked the login
+ */
+async function twoFactorEnrollmentAuth(req, res, next) {
+  const token = (req.headers.authorization || '').split(' ')[1];
+  const enrollment = token && verifyStepToken(token, 'mfa_enroll');
+  if (!enrollment) return sessionAuth(req, res, next);
+
+  const user = await getUserById(enrollment.id).catch(() => null);
+  if (!user || !user.isActive) return res.status(401).json({ success: false, error: 'User no longer active.' });
+  req.user = { id: user.id, email: user.email, enrollmentOnly: true };
+  next();
+}
+
+module.exports = { router, authMiddleware, authenticateAccessToken, issueToken, publicUser };
@@ -0,0 +1,559 @@
+const express = require('express');
+const organizationService = require('../services/organizationService');
+const apiKeyService = require('../services/apiKeyService');
+const storageService = require('../services/storageService');
+const retentionService = require('../services/retentionService');
+const { logAuthEvent } = require('../services/auditLogger');
+const { sendOrganizationInvite } = require('../services/emailService');
+const { requirePermission, userHasPermission, isPlatformAdmin, requireUserSession } = require('../middleware/permissions');
+
+const router = express.Router();
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Roles a club can hand out (platform admin is never assignable from a club)
+const CLUB_ROLES = ['viewer', 'analyst', 'head_coach'];
+
+/**
+ * Helper: Load the organization from :orgId and make sure the user belongs to it (or is a platform admin)
+ */
+async function loadMemberOrganization(req, res) {
+  const { orgId } = req.params;
+  if (req.user.organizationId !== orgId && !isPlatformAdmin(req.user)) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied',
+      message: 'You are not a member of this organization'
+    });
+    return null;
+  }
+  const organization = await organizationService.getOrganizationById(orgId);
+  if (!organization) {
+    res.status(404).json({ success: false, error: 'Organization not found' });
+    return null;
+  }
+  return organization;
+}
+
+function publicMember(user) {
+  return { id: user.id, name: user.name, email: user.email, team: user.team, role: user.role, joinedAt: user.createdAt };
+}
+
+/**
+ * POST /api/orgs
+ * Create a club organization; the creator becomes its first member
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ success: false, error: 'Organization name is required' });
+    }
+
+    const organization = await organizationService.createOrganization({ name, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      organization,
+      message: 'Organization created successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error creating organization:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to create organization',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/orgs
+ * List every organization (platform admin only)
+ */
+router.get('/', requirePermission('tenants:read'), async (req, res) => {
+  try {
+    const organizations = await organizationService.listOrganizations();
+    res.json({
+      success: true,
+      organizations,
+      total: organizations.length
+    });
+  } catch (error) {
+    console.error('❌ Error listing organizations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list organizations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/orgs/current
+ * Get the organization of the authenticated user
+ */
+router.get('/current', async (req, res) => {
+  try {
+    if (!req.user.organizationId) {
+      return res.status(404).json({ success: false, error: 'You do not belong to an organization' });
+    }
+    const organization = await organizationService.getOrganizationById(req.user.organizationId);
+    if (!organization) {
+      return res.status(404).json({ success: false, error: 'Organization not found' });
+    }
+    res.json({ success: true, organization, retentionPolicy: retentionService.resolvePolicy(organization.settings) });
+  } catch (error) {
+    console.error('❌ Error getting organization:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get organization',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/orgs/invites
+ * Pending club invites addressed to the authenticated user's email
+ */
+router.get('/invites', requireUserSession, async (req, res) => {
+  try {
+    const invites = await organizationService.listInvitesForUser(req.user);
+    res.json({ success: true, invites, total: invites.length });
+  } catch (error) {
+    console.error('❌ Error listing invites:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list invites',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/orgs/invites/:inviteId/accept
+ * Join the inviting club with the invited role (requires a verified email and no other club)
+ */
+router.post('/invites/:inviteId/accept', requireUserSession, async (req, res) => {
+  try {
+    const { invite, member } = await organizationService.acceptInvite(req.user, req.params.inviteId);
+
+    console.log(`👥 ${member.email} accepted invite ${invite.id} and joined organization ${invite.organizationId}`);
+
+    res.json({
+      success: true,
+      organizationId: invite.organizationId,
+      invite,
+      member: publicMember(member),
+      message: 'You joined the organization'
+    });
+  } catch (error) {
+    console.error('❌ Error accepting invite:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to accept invite',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/orgs/invites/:inviteId/decline
+ * Decline a club invite
+ */
+router.post('/invites/:inviteId/decline', requireUserSession, async (req, res) => {
+  try {
+    const invite = await organizationService.declineInvite(req.user, req.params.inviteId);
+    res.json({ success: true, invite, message: 'Invite declined' });
+  } catch (error) {
+    console.error('❌ Error declining invite:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to decline invite',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/orgs/:orgId/members
+ * List members of the club
+ */
+router.get('/:orgId/members', async (req, res) => {
+  try {
+    const organization = await loadMemberOrganization(req, res);
+    if (!organization) return;
+
+    const members = await organizationService.listMembers(organization.id);
+
+    res.json({
+      success: true,
+      organizationId: organization.id,
+      members: members.map(publicMember),
+      total: members.length
+    });
+  } catch (error) {
+    console.error('❌ Error listing organization members:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list members',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/orgs/:orgId/invites
+ * Invite an email address to the club with a club role (default analyst); they join once they accept
+ */
+router.post('/:orgId/invites', requirePermission('org:manage'), async (req, res) => {
+  try {
+    const organization = await loadMemberOrganization(req, res);
+    if (!organization) return;
+
+    const { email, role = 'analyst' } = req.body;
+    if (!email) {
+      return res.status(400).json({ success: false, error: 'email is required' });
+    }
+    if (!CLUB_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of: ${CLUB_ROLES.join(', ')}` });
+    }
+
+    const invite = await organizationService.inviteMember(organization.id, { email, role, invitedBy: req.user.id });
+
+    try {
+      await sendOrganizationInvite({
+        to: invite.email,
+        organization_name: organization.name,
+        inviter_name: req.user.name,
+        role: invite.role,
+        invites_link: `${FRONTEND_URL}/invites`
+      });
+    } catch (emailErr) {
+      console.error('❌ Failed to send organization invite email:', emailErr);
+    }
+
+    console.log(`✉️ Invited ${invite.email} to organization ${organization.id}`);
+
+    res.status(201).json({
+      success: true,
+      organizationId: organization.id,
+      invite,
+      message: 'Invite sent. The user joins once they accept it.'
+    });
+  } catch (error) {
+    console.error('❌ Error inviting organization member:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to invite member',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/orgs/:orgId/invites
+ * List the club's pending invites
+ */
+router.get('/:orgId/invites', requirePermission('org:manage'), async (req, res) => {
+  try {
+    const organization = await loadMemberOrganization(req, res);
+    if (!organization) return;
+
+    const invites = await organizationService.listOrganizationInvites(organization.id);
+    res.json({ success: true, organizationId: organization.id, invites, total: invites.length });
+  } catch (error) {
+    console.error('❌ Error listing organization invites:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list invites',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/orgs/:orgId/invites/:inviteId
+ * Revoke a pending invite
+ */
+router.delete('/:orgId/invites/:inviteId', requirePermission('org:manage'), async (req, res) => {
+  try {
+    const organization = await loadMemberOrganization(req, res);
+    if (!organization) return;
+
+    const invite = await organizationService.revokeInvite(organization.id, req.params.inviteId);
+    res.json({ success: true, invite, message: 'Invite revoked' });
+  } catch (error) {
+    console.error('❌ Error revoking organization invite:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to revoke invite',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/orgs/:orgId/members/:userId/role
+ * Change a member's club role
+ */
+router.put('/:orgId/members/:userId/role', requirePermission('org:manage'), async (req, res) => {
+  try {
+    const organization = await loadMemberOrganization(req, res);
+    if (!organization) return;
+
+    const { userId } = req.params;
+    const { role } = req.body;
+    if (!CLUB_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of: ${CLUB_ROLES.join(', ')}` });
+    }
+    if (userId === organization.createdBy && role !== 'head_coach') {
+      return res.status(400).json({ success: false, error: 'The organization owner must remain head_coach' });
+    }
+
+    const member = await organizationService.setMemberRole(organization.id, userId, role);
+
+    console.log(`👥 Set role of ${userId} to ${role} in organization ${organization.id}`);
+
+    res.json({
+      success: true,
+      organizationId: organization.id,
+      member: publicMember(member),
+      message: 'Member role updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating member role:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to update member role',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/orgs/:orgId/settings
+ * Update club settings
+ *   requireTwoFactor - members must enrol in 2FA before they can sign in
+ *   storageProfile   - storage backend for new uploads (platform admins only; see STORAGE_PROFILES).
+ *                      Existing videos stay on the backend they were uploaded to.
+ *   retention        - days to keep { rawVideoDays, proxyDays, framesDays, resultsDays }; null keeps a
+ *                      category forever, omitted keys use the platform default, retention: null resets all
+ */
+router.patch('/:orgId/settings', requirePermission('org:manage'), async (req, res) => {
+  try {
+    const organization = await loadMemberOrganization(req, res);
+    if (!organization) return;
+
+    const { requireTwoFactor, storageProfile, retention } = req.body;
+    const settings = { ...(organization.settings || {}) };
+
+    if (requireTwoFactor !== undefined) {
+      if (typeof requireTwoFactor !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'requireTwoFactor must be a boolean' });
+      }
+      settings.requireTwoFactor = requireTwoFactor;
+    }
+
+    if (storageProfile !== undefined) {
+      if (!isPlatformAdmin(req.user)) {
+        return res.status(403).json({ success: false, error: 'Access denied', message: 'Only platform admins can change the storage backend' });
+      }
+      if (storageProfile !== null && !storageService.hasProfile(storageProfile)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown storage profile. Available: default${storageService.listProfiles().map(name => `, ${name}`).join('')}`
+        });
+      }
+      settings.storageProfile = storageProfile;
+    }
+
+    if (retention !== undefined) {
+      const policy = retentionService.validatePolicy(retention);
+      if (policy) {
+        settings.retention = { ...(settings.retention || {}), ...policy };
+      } else {
+        delete settings.retention;
+      }
+    }
+
+    if (requireTwoFactor === undefined && storageProfile === undefined && retention === undefined) {
+      return res.status(400).json({ success: false, error: 'Provide requireTwoFactor, storageProfile and/or retention' });
+    }
+
+    const updated = await organizationService.updateOrganization(organization.id, { settings });
+
+    console.log(`⚙️ Organization ${organization.id} settings updated:`, { requireTwoFactor, storageProfile, retention });
+
+    res.json({
+      success: true,
+      organization: updated,
+      retentionPolicy: retentionService.resolvePolicy(updated.settings),
+      message: 'Organization settings updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating organization settings:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to update organization settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/orgs/:orgId/members/:userId
+ * Remove a member from the club (members may also remove themselves)
+ */
+router.delete('/:orgId/members/:userId', async (req, res) => {
+  try {
+    const organization = await loadMemberOrganization(req, res);
+    if (!organization) return;
+
+    const { userId } = req.params;
+    const isSelf = userId === req.user.id;
+    if (!isSelf && !userHasPermission(req.user, 'org:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Only head coaches can remove other members'
+      });
+    }
+    if (userId === organization.createdBy) {
+      return res.status(400).json({ success: false, error: 'The organization owner cannot be removed' });
+    }
+
+    await organizationService.removeMember(organization.id, userId);
+
+    console.log(`👥 Removed ${userId} from organization ${organization.id}`);
+
+    res.json({
+      success: true,
+      organizationId: organization.id,
+      userId,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error removing organization member:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to remove member',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/orgs/:orgId/api-keys
+ * List the club's API keys (secrets are never returned)
+ */
+router.get('/:orgId/api-keys', requireUserSession, requirePermission('org:manage'), async (req, res) => {
+  try {
+    const organization = await loadMemberOrganization(req, res);
+    if (!organization) return;
+
+    const apiKeys = await apiKeyService.listApiKeys(organization.id);
+    res.json({ success: true, organizationId: organization.id, apiKeys, availableScopes: apiKeyService.API_KEY_SCOPES });
+  } catch (error) {
+    console.error('❌ Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/orgs/:orgId/api-keys
+ * Create a scoped API key; the key is only shown in this response
+ */
+router.post('/:orgId/api-keys', requireUserSession, requirePermission('org:manage'), async (req, res) => {
+  try {
+    const organization = await loadMemberOrganization(req, res);
+    if (!organization) return;
+
+    const { name, scopes, expiresInDays } = req.body;
+    if (expiresInDays !== undefined && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+      return res.status(400).json({ success: false, error: 'expiresInDays must be a positive integer' });
+    }
+
+    const { apiKey, key } = await apiKeyService.createApiKey(organization.id, {
+      name,
+      scopes,
+      createdBy: req.user.id,
+      expiresInDays
+    });
+
+    logAuthEvent('api_key_created', { organizationId: organization.id, apiKeyId: apiKey.id, userId: req.user.id, scopes: apiKey.scopes });
+
+    res.status(201).json({
+      success: true,
+      apiKey,
+      key,
+      message: 'API key created. Store it now - it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('❌ Error creating API key:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/orgs/:orgId/api-keys/:keyId/rotate
+ * Issue a new secret for a key; the previous secret stops working immediately
+ */
+router.post('/:orgId/api-keys/:keyId/rotate', requireUserSession, requirePermission('org:manage'), async (req, res) => {
+  try {
+    const organization = await loadMemberOrganization(req, res);
+    if (!organization) return;
+
+    const { apiKey, key } = await apiKeyService.rotateApiKey(organization.id, req.params.keyId);
+
+    logAuthEvent('api_key_rotated', { organizationId: organization.id, apiKeyId: apiKey.id, userId: req.user.id });
+
+    res.json({
+      success: true,
+      apiKey,
+      key,
+      message: 'API key rotated. Store the new key now - it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('❌ Error rotating API key:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to rotate API key',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/orgs/:orgId/api-keys/:keyId
+ * Revoke a key
+ */
+router.delete('/:orgId/api-keys/:keyId', requireUserSession, requirePermission('org:manage'), async (req, res) => {
+  try {
+    const organization = await loadMemberOrganization(req, res);
+    if (!organization) return;
+
+    const apiKey = await apiKeyService.revokeApiKey(organization.id, req.params.keyId);
+
+    logAuthEvent('api_key_revoked', { organizationId: organization.id, apiKeyId: apiKey.id, userId: req.user.id });
+
+    res.json({ success: true, apiKey, message: 'API key revoked' });
+  } catch (error) {
+    console.error('❌ Error revoking API key:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,41 +1,37 @@
 const express = require('express');
-const gcsService = require('../services/gcsService');
+const storageService = require('../services/storageService');
+const storyboardService = require('../services/storyboardService');
+const hlsService = require('../services/hlsService');
+const { canAccess, checkVideoAccess } = require('../services/accessService');
+const { requirePermission } = require('../middleware/permissions');
 
 const router = express.Router();
 
 /**
- * Helper: Check if requesting user owns this video/analysis
+ * Helper: Check if the authenticated user (or their club) owns this video/analysis
  */
 async function checkOwnership(videoId, req) {
-  // Accept userId/userEmail from frontend (query or headers)
-  const userId = req.query.userId || req.headers['x-user-id'];
-  const userEmail = req.query.userEmail || req.headers['x-user-email'];
-
-  if (!userId && !userEmail) {
-    // No user info provided - block access!
+  if (!req.user?.id) {
     return { allowed: false, reason: 'Missing user information' };
   }
 
-  // Download analysis result metadata
+  // Download analysis result metadata (from the storage backend the video lives on)
+  let storage;
   let analysisResult;
   try {
-    analysisResult = await gcsService.downloadAnalysisResult(videoId);
+    storage = await storageService.forVideo(videoId);
+    analysisResult = await storage.downloadAnalysisResult(videoId);
   } catch (err) {
     return { allowed: false, reason: 'Analysis result not found' };
   }
 
   const matchMetadata = analysisResult.matchMetadata || {};
 
-  // Owner match logic (must match one)
-  const isOwner =
-    (userId && matchMetadata.userId === userId) ||
-    (userEmail && matchMetadata.userEmail === userEmail);
-
-  if (!isOwner) {
-    return { allowed: false, reason: 'User does not own this analysis result' };
+  if (!canAccess(req.user, matchMetadata)) {
+    return { allowed: false, reason: 'User does not have access to this analysis result' };
   }
 
-  return { allowed: true, matchMetadata, analysisResult };
+  return { allowed: true, matchMetadata, analysisResult, storage };
 }
 
 /**
@@ -43,7 +39,7 @@ async function checkOwnership(videoId, req) {
  * Get complete tactical analysis results - FIXED for frontend display
  * 🔒 PRIVACY: Only allow owner to access
  */
-router.get('/:videoId', async (req, res) => {
+router.get('/:videoId', requirePermission('results:read'), async (req, res) => {
   try {
     const { videoId } = req.params;
     const { format = 'json' } = req.query;
@@ -197,7 +193,7 @@ router.get('/:videoId', async (req, res) => {
  * Get formatted tactical report for coaches - FIXED with real data
  * 🔒 PRIVACY: Only owner can view
  */
-router.get('/:videoId/tactical-report', async (req, res) => {
+router.get('/:videoId/tactical-report', requirePermission('results:read'), async (req, res) => {
   try {
     const { videoId } = req.params;
     // PRIVACY: Check user ownership
@@ -278,7 +274,7 @@ router.get('/:videoId/tactical-report', async (req, res) => {
  * Get quick tactical insights - FIXED with real Claude data
  * 🔒 PRIVACY: Only owner can view
  */
-router.get('/:videoId/quick-insights', async (req, res) => {
+router.get('/:videoId/quick-insights', requirePermission('results:read'), async (req, res) => {
   try {
     const { videoId } = req.params;
     // PRIVACY: Check user ownership
@@ -348,7 +344,7 @@ router.get('/:videoId/quick-insights', async (req, res) => {
  * Get raw AI analysis data for technical review
  * 🔒 PRIVACY: Only owner can view
  */
-router.get('/:videoId/raw-analysis', async (req, res) => {
+router.get('/:videoId/raw-analysis', requirePermission('results:read'), async (req, res) => {
   try {
     const { videoId } = req.params;
     const { component = 'all' } = req.query;
@@ -414,12 +410,184 @@ router.get('/:videoId/raw-analysis', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/results/:videoId/storyboard
+ * Storyboard sprite sheets and WebVTT thumbnail track for scrubbing through the match
+ * ?format=vtt returns the thumbnails track itself (text/vtt) with signed sheet URLs
+ * 🔒 PRIVACY: Uploader and their club only
+ */
+router.get('/:videoId/storyboard', requirePermission('results:read'), async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { format = 'json', retry = 'false' } = req.query;
+
+    // The storyboard belongs to the video, so it is available before any analysis has run
+    const access = await checkVideoAccess(videoId, req.user);
+    if (!access.allowed) {
+      return res.status(access.status).json({
+        success: false,
+        error: 'Access denied',
+        message: access.reason,
+        videoId
+      });
+    }
+
+    const storage = await storageService.forVideo(videoId, access.upload);
+    const manifest = await storyboardService.getManifest(videoId, storage);
+
+    if (!manifest) {
+      const previous = access.upload.metadata?.storyboard;
+      if (previous?.status === 'failed' && retry !== 'true' && !storyboardService.isGenerating(videoId)) {
+        return res.status(500).json({
+          success: false,
+          error: 'Storyboard generation failed',
+          message: previous.error,
+          videoId,
+          suggestion: 'Retry with ?retry=true'
+        });
+      }
+
+      const videoFile = await storage.findVideoFile(videoId);
+      if (!videoFile) {
+        return res.status(404).json({
+          success: false,
+          error: 'Video not found',
+          videoId
+        });
+      }
+
+      storyboardService.startStoryboard(videoId, videoFile.name, storage);
+      return res.status(202).json({
+        success: true,
+        videoId,
+        status: 'processing',
+        message: 'Storyboard is being generated - try again shortly'
+      });
+    }
+
+    // Sign every sheet once and use the same URLs for the JSON and the track
+    const sheetUrls = {};
+    for (const sheet of manifest.sheets) {
+      sheetUrls[sheet] = await storage.getFrameUrl(sheet);
+    }
+    const vtt = storyboardService.buildVtt(manifest, sheet => sheetUrls[sheet]);
+
+    if (format === 'vtt') {
+      res.type('text/vtt');
+      return res.send(vtt);
+    }
+
+    const secondsPerSheet = manifest.columns * manifest.rows * manifest.interval;
+    res.json({
+      success: true,
+      videoId,
+      storyboard: {
+        interval: manifest.interval,
+        tileWidth: manifest.tileWidth,
+        tileHeight: manifest.tileHeight,
+        columns: manifest.columns,
+        rows: manifest.rows,
+        durationSeconds: manifest.durationSeconds,
+        thumbnailCount: manifest.thumbnailCount,
+        sheets: manifest.sheets.map((sheet, index) => ({
+          index: index + 1,
+          url: sheetUrls[sheet],
+          startTime: index * secondsPerSheet,
+          endTime: Math.min((index + 1) * secondsPerSheet, manifest.durationSeconds)
+        })),
+        vtt,
+        vttUrl: `/api/results/${videoId}/storyboard?format=vtt`,
+        generatedAt: manifest.createdAt
+      },
+      retrievedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error retrieving storyboard:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve storyboard',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/results/:videoId/hls.m3u8
+ * HLS playlist for in-app playback; segment URIs are short-lived signed URLs
+ * (valid for X-Signed-Urls-Expire-In seconds - re-fetch the playlist when they expire)
+ * 🔒 PRIVACY: Uploader and their club only
+ */
+router.get('/:videoId/hls.m3u8', requirePermission('results:read'), async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { retry = 'false' } = req.query;
+
+    const access = await checkVideoAccess(videoId, req.user);
+    if (!access.allowed) {
+      return res.status(access.status).json({
+        success: false,
+        error: 'Access denied',
+        message: access.reason,
+        videoId
+      });
+    }
+
+    const storage = await storageService.forVideo(videoId, access.upload);
+    const playlist = await hlsService.getSignedPlaylist(videoId, storage);
+
+    if (!playlist) {
+      const previous = access.upload.metadata?.hls;
+      if (previous?.status === 'failed' && retry !== 'true' && !hlsService.isPackaging(videoId)) {
+        return res.status(500).json({
+          success: false,
+          error: 'HLS packaging failed',
+          message: previous.error,
+          videoId,
+          suggestion: 'Retry with ?retry=true'
+        });
+      }
+
+      const videoFile = await storage.findVideoFile(videoId);
+      if (!videoFile) {
+        return res.status(404).json({
+          success: false,
+          error: 'Video not found',
+          videoId
+        });
+      }
+
+      hlsService.startHlsPackaging(videoId, videoFile.name, storage);
+      return res.status(202).json({
+        success: true,
+        videoId,
+        status: 'processing',
+        message: 'Video is being prepared for playback - try again shortly'
+      });
+    }
+
+    // Signed URLs inside must not be cached past their expiry
+    res.set('Cache-Control', 'private, no-store');
+    res.set('X-Signed-Urls-Expire-In', String(hlsService.URL_TTL_SECONDS));
+    res.type('application/vnd.apple.mpegurl');
+    res.send(playlist);
+
+  } catch (error) {
+    console.error('❌ Error retrieving HLS playlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve playback playlist',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/results/:videoId/export
  * Export analysis results in various formats
  * 🔒 PRIVACY: Only owner can export
  */
-router.post('/:videoId/export', async (req, res) => {
+router.post('/:videoId/export', requirePermission('results:share'), async (req, res) => {
   try {
     const { videoId } = req.params;
     const { format = 'pdf', sections = ['all'] } = req.body;
@@ -444,7 +612,7 @@ router.post('/:videoId/export', async (req, res) => {
         status: 'ready',
         estimatedSize: '2-5 MB',
         expiresIn: '24 hours',
-        downloadUrl: `https://storage.googleapis.com/${gcsService.bucketName}/exports/${videoId}/tactical-report.${format}`
+        downloadUrl: await ownership.storage.getSignedUrl(`exports/${videoId}/tactical-report.${format}`, { expiresInSeconds: 24 * 60 * 60 })
       },
       exportContent: {
         executiveSummary: sections.includes('all') || sections.includes('executive'),
@@ -477,7 +645,7 @@ router.post('/:videoId/export', async (req, res) => {
  * Delete analysis results (retain video)
  * 🔒 PRIVACY: Only owner can delete
  */
-router.delete('/:videoId', async (req, res) => {
+router.delete('/:videoId', requirePermission('results:delete'), async (req, res) => {
   try {
     const { videoId } = req.params;
     const { confirmDelete = false } = req.body;
@@ -502,17 +670,12 @@ router.delete('/:videoId', async (req, res) => {
 
     console.log(`🗑️ Deleting analysis results for video: ${videoId}`);
 
-    // Delete result files
-    const [resultFiles] = await gcsService.storage.bucket(gcsService.bucketName).getFiles({
-      prefix: `results/${videoId}/`
-    });
-
-    // Delete frame files
-    const [frameFiles] = await gcsService.storage.bucket(gcsService.bucketName).getFiles({
-      prefix: `frames/${videoId}/`
-    });
-
-    const allFiles = [...resultFiles, ...frameFiles];
+    // Result and frame files
+    const { storage } = ownership;
+    const allFiles = [
+      ...(await storage.list(`results/${videoId}/`)),
+      ...(await storage.list(`frames/${videoId}/`))
+    ];
 
     if (allFiles.length === 0) {
       return res.status(404).json({
@@ -523,7 +686,7 @@ router.delete('/:videoId', async (req, res) => {
     }
 
     // Delete files
-    const deletePromises = allFiles.map(file => file.delete());
+    const deletePromises = allFiles.map(file => storage.delete(file.name));
     await Promise.all(deletePromises);
 
     console.log(`✅ Deleted ${allFiles.length} analysis files for video: ${videoId}`);
@@ -561,6 +724,8 @@ router.get('/test', (req, res) => {
       executive_summary: 'GET /api/results/:videoId/executive-summary',
       quick_insights: 'GET /api/results/:videoId/quick-insights',
       raw_analysis: 'GET /api/results/:videoId/raw-analysis',
+      storyboard: 'GET /api/results/:videoId/storyboard',
+      hls_playlist: 'GET /api/results/:videoId/hls.m3u8',
       export: 'POST /api/results/:videoId/export',
       delete: 'DELETE /api/results/:videoId'
     },
@@ -0,0 +1,83 @@
+const express = require('express');
+const storageService = require('../services/storageService');
+
+const router = express.Router();
+
+/**
+ * Helper: Resolve the storage profile and object key and check the signed-URL parameters
+ * (local driver only; the URL names the profile it was signed for)
+ * @returns {{storage: object, key: string}|null} null once an error response was sent
+ */
+function verifySignedRequest(req, res, action) {
+  const profile = req.query.profile || 'default';
+  const storage = storageService.hasProfile(profile) ? storageService.forProfile(profile) : null;
+  if (storage?.driverName !== 'local') {
+    res.status(404).json({ success: false, error: 'Local storage endpoints are disabled' });
+    return null;
+  }
+
+  const key = req.params[0];
+  const valid = req.query.action === action && storage.driver.verifySignature(key, req.query);
+  if (!valid) {
+    res.status(403).json({ success: false, error: 'Invalid or expired signature' });
+    return null;
+  }
+  return { storage, key };
+}
+
+/**
+ * GET /api/storage/local/:key
+ * Signed download (equivalent of a GCS V4 read URL); supports Range requests
+ */
+router.get('/*', async (req, res) => {
+  try {
+    const signed = verifySignedRequest(req, res, 'read');
+    if (!signed) return;
+    const { storage, key } = signed;
+
+    if (!(await storage.exists(key))) {
+      return res.status(404).json({ success: false, error: 'Object not found' });
+    }
+    const metadata = await storage.getMetadata(key);
+
+    res.type(metadata.contentType);
+    res.sendFile(storage.driver.objectPath(key), { dotfiles: 'allow', acceptRanges: true });
+  } catch (error) {
+    console.error('❌ Error serving local storage object:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to read object',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/storage/local/:key
+ * Signed upload (equivalent of a GCS V4 write URL); the request body is the object
+ */
+router.put('/*', async (req, res) => {
+  try {
+    const signed = verifySignedRequest(req, res, 'write');
+    if (!signed) return;
+    const { storage, key } = signed;
+
+    const contentType = req.get('Content-Type');
+    if (req.query.contentType && req.query.contentType !== contentType) {
+      return res.status(403).json({ success: false, error: 'Content-Type does not match the signed URL' });
+    }
+
+    await storage.put(key, req, { contentType });
+    console.log(`📥 Local storage upload stored: ${key}`);
+    res.status(200).end();
+  } catch (error) {
+    console.error('❌ Error storing local storage object:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to store object',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,36 +1,222 @@
 const express = require('express');
-const multer = require('multer');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const gcsService = require('../services/gcsService');
-const { upsertVideoUpload } = require('../services/supabaseService');
+const storageService = require('../services/storageService');
+const resumableUploadService = require('../services/resumableUploadService');
+const directUploadService = require('../services/directUploadService');
+const videoValidationService = require('../services/videoValidationService');
+const duplicateService = require('../services/duplicateService');
+const transcodeService = require('../services/transcodeService');
+const storyboardService = require('../services/storyboardService');
+const hlsService = require('../services/hlsService');
+const { upsertVideoUpload, updateVideoUpload, getVideoUpload } = require('../services/videoUploadService');
+const { stampOwner, checkVideoAccess } = require('../services/accessService');
+const { requirePermission } = require('../middleware/permissions');
+const jobQueueService = require('../services/jobQueueService');
+const { abortJob } = require('../services/analysisWorker');
 
 const router = express.Router();
 
-// Configure multer for memory storage (we'll upload directly to GCS)
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 500 * 1024 * 1024, // 500MB max file size
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept video files only
-    if (file.mimetype.startsWith('video/')) {
-      cb(null, true);
+/**
+ * Helper: Read the forceReanalysis override (JSON boolean or multipart "true")
+ */
+function isForced(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Helper: Check an uploaded video object and record it in video_uploads
+ * Shared by /verify (signed-URL uploads) and resumable upload finalize.
+ * The video is probed with ffprobe; rejected videos are recorded as 'rejected' with the reason.
+ * A video the club already uploaded is recorded as 'duplicate' and the existing videoId is returned,
+ * unless forceReanalysis is set. Accepted videos get a proxy, storyboard and HLS rendition started in the background.
+ * `upload` is the reserved video_uploads row: verifying it keeps its owner and merges its metadata
+ * (proxy/storyboard/HLS status survive a re-verify). Without one (direct uploads) the row is created.
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function verifyStoredVideo({ videoId, fileName, matchMetadata, storage, user, upload = null, forceReanalysis = false, extraMetadata = {} }) {
+  // The object must belong to this videoId (no claiming other uploads by name)
+  if (!fileName.startsWith(`videos/${videoId}/`)) {
+    return {
+      status: 400,
+      body: { success: false, error: 'fileName does not belong to this videoId', videoId: videoId }
+    };
+  }
+
+  // Check if file exists in storage
+  const fileExists = await storage.fileExists(fileName);
+  
+  if (!fileExists) {
+    return {
+      status: 404,
+      body: { success: false, error: 'Video file not found in storage', videoId: videoId }
+    };
+  }
+  
+  // Get file metadata
+  const metadata = await storage.getFileMetadata(fileName);
+  
+  // Validate file size (should be > 1MB for real video)
+  const fileSizeBytes = parseInt(metadata.size);
+  const fileSizeMB = Math.round(fileSizeBytes / (1024 * 1024));
+  
+  if (fileSizeBytes < 1024 * 1024) { // Less than 1MB
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Video file too small - upload may have failed',
+        videoId: videoId,
+        fileSize: fileSizeMB + ' MB'
+      }
+    };
+  }
+  
+  // Decode check: duration, resolution, fps, codecs, bitrate, audio
+  const { media, rejection } = await videoValidationService.inspectStoredVideo(storage, fileName);
+
+  // Duplicate check: same content already uploaded by the club
+  let fingerprint = null;
+  let duplicateOf = null;
+  if (!rejection) {
+    fingerprint = await duplicateService.computeFingerprint(storage, fileName, fileSizeBytes);
+    try {
+      duplicateOf = await duplicateService.findDuplicate(fingerprint, { user, excludeVideoId: videoId });
+    } catch (lookupErr) {
+      console.error('❌ Duplicate lookup failed, treating upload as new:', lookupErr.message);
+    }
+  }
+  const isDuplicate = !!duplicateOf && !forceReanalysis;
+
+  let processingStatus = 'ready_for_analysis';
+  if (rejection) {
+    processingStatus = 'rejected';
+    console.warn(`⚠️ Video rejected: ${fileName} (${rejection.code})`);
+  } else if (isDuplicate) {
+    processingStatus = 'duplicate';
+    console.log(`♻️ Duplicate upload: ${fileName} matches video ${duplicateOf.id}`);
+  } else {
+    console.log(`📊 Video verified: ${fileName} (${fileSizeMB} MB, ${Math.round(media.durationSeconds)}s ${media.width}x${media.height})`);
+  }
+  
+  // Prepare analysis metadata
+  const analysisMetadata = {
+    videoId: videoId,
+    fileName: fileName,
+    fileSize: fileSizeMB + ' MB',
+    uploadTime: new Date().toISOString(),
+    matchMetadata: matchMetadata,
+    media: media,
+    status: processingStatus
+  };
+
+  // === Save upload metadata (the video is unusable without its record, so failures fail the request) ===
+  const uploadRecord = {
+    file_name: fileName,
+    file_type: metadata.contentType,
+    file_size_bytes: fileSizeBytes,
+    storage_url: storage.uri(fileName),
+    media_duration_seconds: media?.durationSeconds ? Math.round(media.durationSeconds) : null,
+    opponent_team: matchMetadata?.awayTeam || null,
+    match_date: matchMetadata?.matchDate || null,
+    processing_status: processingStatus,
+    metadata: {
+      ...matchMetadata,
+      ...extraMetadata,
+      storage_profile: storage.profileName,
+      media: media,
+      content_fingerprint: fingerprint,
+      duplicate_of: duplicateOf?.id || null,
+      rejection: rejection || null
+    }
+  };
+  try {
+    if (upload) {
+      // Reserved or re-verified upload: owner and club stay as reserved
+      await updateVideoUpload(videoId, uploadRecord);
     } else {
-      cb(new Error('Only video files are allowed'), false);
+      await upsertVideoUpload({
+        ...uploadRecord,
+        id: videoId,
+        organization_id: matchMetadata?.organization_id || null,
+        uploaded_by: user.id
+      });
     }
+    console.log(`✅ Upload record saved for video: ${videoId}`);
+  } catch (supabaseErr) {
+    console.error('❌ Failed to save video upload record:', supabaseErr);
+    const error = new Error('Failed to record the upload, please verify it again');
+    error.status = 503;
+    throw error;
   }
-});
+
+  if (rejection) {
+    return {
+      status: 422,
+      body: {
+        success: false,
+        error: 'Video rejected',
+        videoId: videoId,
+        fileName: fileName,
+        rejection: rejection,
+        media: media
+      }
+    };
+  }
+
+  if (isDuplicate) {
+    return {
+      status: 200,
+      body: {
+        success: true,
+        duplicate: true,
+        videoId: duplicateOf.id,
+        uploadedVideoId: videoId,
+        fileName: fileName,
+        status: 'duplicate',
+        readyForAnalysis: false,
+        analysis: await duplicateService.getExistingAnalysis(duplicateOf.id, duplicateOf),
+        message: 'Your club already uploaded this video - use the existing videoId, or resend with forceReanalysis: true to analyse it again'
+      }
+    };
+  }
+
+
+  // Normalized 720p proxy for frame extraction, review storyboard and HLS playback, produced in the background
+  transcodeService.startProxyTranscode(videoId, fileName, storage);
+  storyboardService.startStoryboard(videoId, fileName, storage);
+  hlsService.startHlsPackaging(videoId, fileName, storage);
+  
+  return {
+    status: 200,
+    body: {
+      success: true,
+      videoId: videoId,
+      fileName: fileName,
+      proxyFileName: transcodeService.proxyFileName(videoId),
+      fileSize: fileSizeMB + ' MB',
+      uploadTime: metadata.timeCreated,
+      status: 'verified',
+      readyForAnalysis: true,
+      media: media,
+      ...(duplicateOf && { duplicateOf: duplicateOf.id }),
+      analysisMetadata: analysisMetadata,
+      message: 'Video upload verified successfully'
+    }
+  };
+}
 
 /**
  * GET /api/upload/signed-url
- * Generate signed URL for direct video upload to GCS
+ * Generate signed URL for direct video upload to storage (GCS or local driver)
  */
-router.get('/signed-url', async (req, res) => {
+router.get('/signed-url', requirePermission('upload:write'), async (req, res) => {
   try {
-    const { fileName, contentType } = req.query;
-    
-    if (!fileName || !contentType) {
+    const { contentType } = req.query;
+    // Only the file's own name: the object key is always videos/<videoId>/<name>
+    const fileName = req.query.fileName && path.basename(String(req.query.fileName));
+
+    if (!fileName || fileName === '..' || !contentType) {
       return res.status(400).json({
         success: false,
         error: 'fileName and contentType are required'
@@ -47,7 +233,25 @@ router.get('/signed-url', async (req, res) => {
     
     console.log(`🔗 Generating signed upload URL for: ${fileName}`);
     
-    const uploadData = await gcsService.generateSignedUploadUrl(fileName, contentType);
+    // Club data stays on the club's storage backend (STORAGE_PROFILES)
+    const storage = await storageService.forOrganization(req.user.organizationId);
+    const uploadData = await storage.generateSignedUploadUrl(fileName, contentType);
+
+    // Reserve the videoId for this user/club so nobody else can verify or claim it
+    await upsertVideoUpload({
+      id: uploadData.videoId,
+      organization_id: req.user.organizationId || null,
+      uploaded_by: req.user.id,
+      file_name: uploadData.fileName,
+      file_type: contentType,
+      file_size_bytes: null,
+      storage_url: storage.uri(uploadData.fileName),
+      media_duration_seconds: null,
+      opponent_team: null,
+      match_date: null,
+      processing_status: 'awaiting_upload',
+      metadata: { storage_profile: storage.profileName }
+    });
     
     res.json({
       success: true,
@@ -72,10 +276,12 @@ router.get('/signed-url', async (req, res) => {
 /**
  * POST /api/upload/verify
  * Verify video upload completion and prepare for analysis
+ * Pass forceReanalysis: true to keep a video the club has already uploaded
  */
-router.post('/verify', async (req, res) => {
+router.post('/verify', requirePermission('upload:write'), async (req, res) => {
   try {
-    const { videoId, fileName, matchMetadata } = req.body;
+    const { videoId, fileName } = req.body;
+    const matchMetadata = stampOwner(req.body.matchMetadata, req.user);
     
     if (!videoId || !fileName) {
       return res.status(400).json({
@@ -85,86 +291,40 @@ router.post('/verify', async (req, res) => {
     }
     
     console.log(`✅ Verifying upload for video: ${videoId}`);
-    
-    // Check if file exists in GCS
-    const fileExists = await gcsService.fileExists(fileName);
-    
-    if (!fileExists) {
+
+    // Only a videoId reserved by this user (GET /signed-url) can be verified
+    const upload = await getVideoUpload(videoId);
+    if (!upload) {
       return res.status(404).json({
         success: false,
-        error: 'Video file not found in storage',
+        error: 'No upload reserved for this videoId',
         videoId: videoId
       });
     }
-    
-    // Get file metadata
-    const metadata = await gcsService.getFileMetadata(fileName);
-    
-    // Validate file size (should be > 1MB for real video)
-    const fileSizeBytes = parseInt(metadata.size);
-    const fileSizeMB = Math.round(fileSizeBytes / (1024 * 1024));
-    
-    if (fileSizeBytes < 1024 * 1024) { // Less than 1MB
-      return res.status(400).json({
+    if (upload.uploaded_by !== req.user.id) {
+      return res.status(403).json({
         success: false,
-        error: 'Video file too small - upload may have failed',
-        videoId: videoId,
-        fileSize: fileSizeMB + ' MB'
+        error: 'Only the uploader can verify this upload',
+        videoId: videoId
       });
     }
-    
-    console.log(`📊 Video verified: ${fileName} (${fileSizeMB} MB)`);
-    
-    // Prepare analysis metadata
-    const analysisMetadata = {
-      videoId: videoId,
-      fileName: fileName,
-      fileSize: fileSizeMB + ' MB',
-      uploadTime: new Date().toISOString(),
-      matchMetadata: matchMetadata || {},
-      status: 'ready_for_analysis'
-    };
 
-    // === Supabase Upsert: Save upload metadata ===
-    try {
-      const userId = matchMetadata?.userId || null;
-      const userEmail = matchMetadata?.userEmail || null;
-      await upsertVideoUpload({
-        id: videoId,
-        organization_id: matchMetadata?.organization_id || null,
-        uploaded_by: userId || userEmail,
-        file_name: fileName,
-        file_type: metadata.contentType,
-        file_size_bytes: fileSizeBytes,
-        storage_url: `gs://${gcsService.bucketName}/${fileName}`,
-        media_duration_seconds: null, // Optionally extract duration from metadata
-        opponent_team: matchMetadata?.awayTeam || null,
-        match_date: matchMetadata?.matchDate || null,
-        processing_status: 'ready_for_analysis',
-        metadata: {
-          ...matchMetadata
-        }
-      });
-      console.log(`✅ Supabase upload record created for video: ${videoId}`);
-    } catch (supabaseErr) {
-      console.error('❌ Failed to upsert video upload to Supabase:', supabaseErr);
-    }
-    
-    res.json({
-      success: true,
-      videoId: videoId,
-      fileName: fileName,
-      fileSize: fileSizeMB + ' MB',
-      uploadTime: metadata.timeCreated,
-      status: 'verified',
-      readyForAnalysis: true,
-      analysisMetadata: analysisMetadata,
-      message: 'Video upload verified successfully'
+    const storage = await storageService.forVideo(videoId, upload);
+
+    const result = await verifyStoredVideo({
+      videoId,
+      fileName,
+      matchMetadata,
+      storage,
+      user: req.user,
+      upload,
+      forceReanalysis: isForced(req.body.forceReanalysis)
     });
+    res.status(result.status).json(result.body);
     
   } catch (error) {
     console.error('❌ Error verifying upload:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to verify upload',
       message: error.message
@@ -173,84 +333,240 @@ router.post('/verify', async (req, res) => {
 });
 
 /**
- * POST /api/upload/direct
- * Direct video upload to backend (alternative to signed URL)
+ * POST /api/upload/resumable
+ * Create a resumable upload session for large match videos (tus-style)
+ * Body: { fileName, contentType, fileSize (bytes), matchMetadata }
  */
-router.post('/direct', upload.single('video'), async (req, res) => {
+router.post('/resumable', requirePermission('upload:write'), async (req, res) => {
   try {
-    if (!req.file) {
+    const { fileName, contentType, fileSize } = req.body;
+    if (!fileName || !contentType || !fileSize) {
       return res.status(400).json({
         success: false,
-        error: 'No video file provided'
+        error: 'fileName, contentType and fileSize are required'
       });
     }
-    
-    const { matchMetadata } = req.body;
-    const videoId = uuidv4();
-    const fileName = `videos/${videoId}/${req.file.originalname}`;
-    
-    console.log(`📤 Direct upload starting for: ${req.file.originalname}`);
-    
-    // Upload to GCS
-    const file = gcsService.bucket.file(fileName);
-    
-    await file.save(req.file.buffer, {
-      metadata: {
-        contentType: req.file.mimetype,
-        metadata: {
-          videoId: videoId,
-          originalName: req.file.originalname,
-          uploadTime: new Date().toISOString(),
-          matchMetadata: JSON.stringify(matchMetadata || {})
-        }
-      }
+    if (!contentType.startsWith('video/')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only video files are supported'
+      });
+    }
+
+    const matchMetadata = stampOwner(req.body.matchMetadata, req.user);
+    const storage = await storageService.forOrganization(req.user.organizationId);
+    const session = await resumableUploadService.createSession({
+      fileName,
+      contentType,
+      fileSize,
+      matchMetadata,
+      user: req.user,
+      storage
     });
-    
-    const fileSizeMB = Math.round(req.file.size / (1024 * 1024));
 
-    // === Supabase Upsert: Save upload metadata ===
-    try {
-      const md = typeof matchMetadata === 'string' ? JSON.parse(matchMetadata) : matchMetadata;
-      const userId = md?.userId || null;
-      const userEmail = md?.userEmail || null;
-      await upsertVideoUpload({
-        id: videoId,
-        organization_id: md?.organization_id || null,
-        uploaded_by: userId || userEmail,
-        file_name: fileName,
-        file_type: req.file.mimetype,
-        file_size_bytes: req.file.size,
-        storage_url: `gs://${gcsService.bucketName}/${fileName}`,
-        media_duration_seconds: null,
-        opponent_team: md?.awayTeam || null,
-        match_date: md?.matchDate || null,
-        processing_status: 'ready_for_analysis',
-        metadata: {
-          ...md
-        }
+    // Reserve the videoId for this user/club so nobody else can verify or claim it
+    await upsertVideoUpload({
+      id: session.videoId,
+      organization_id: req.user.organizationId || null,
+      uploaded_by: req.user.id,
+      file_name: session.fileName,
+      file_type: contentType,
+      file_size_bytes: session.fileSize,
+      storage_url: storage.uri(session.fileName),
+      media_duration_seconds: null,
+      opponent_team: null,
+      match_date: null,
+      processing_status: 'awaiting_upload',
+      metadata: { storage_profile: storage.profileName }
+    });
+
+    console.log(`📦 Resumable upload created: ${session.uploadId} for ${session.fileName} (${session.fileSize} bytes)`);
+
+    res.status(201)
+      .set('Location', `${req.baseUrl}/resumable/${session.uploadId}`)
+      .json({
+        success: true,
+        ...session,
+        message: 'Upload session created. PATCH chunks with an Upload-Offset header, then POST /finalize'
       });
-      console.log(`✅ Supabase upload record created for direct video: ${videoId}`);
-    } catch (supabaseErr) {
-      console.error('❌ Failed to upsert video upload to Supabase:', supabaseErr);
+  } catch (error) {
+    console.error('❌ Error creating resumable upload:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to create upload session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/upload/resumable/:uploadId (HEAD supported)
+ * Current offset of an upload session, to resume after a dropped connection
+ */
+router.get('/resumable/:uploadId', requirePermission('upload:write'), async (req, res) => {
+  try {
+    const session = await resumableUploadService.getStatus(req.params.uploadId, req.user);
+    res.set('Upload-Offset', String(session.offset));
+    res.set('Upload-Length', String(session.fileSize));
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, ...session });
+  } catch (error) {
+    console.error('❌ Error reading resumable upload status:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to read upload session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/upload/resumable/:uploadId
+ * Append a chunk; the Upload-Offset header must equal the current offset
+ * Body: raw bytes (Content-Type: application/offset+octet-stream)
+ */
+router.patch('/resumable/:uploadId', requirePermission('upload:write'), async (req, res) => {
+  try {
+    const offsetHeader = req.get('Upload-Offset');
+    if (offsetHeader === undefined || !/^\d+$/.test(offsetHeader)) {
+      return res.status(400).json({ success: false, error: 'Upload-Offset header required' });
     }
-    
-    console.log(`✅ Direct upload completed: ${fileName} (${fileSizeMB} MB)`);
-    
+    if (req.is('application/json') || req.is('application/x-www-form-urlencoded')) {
+      return res.status(415).json({ success: false, error: 'Send chunks as application/offset+octet-stream' });
+    }
+
+    const contentLength = req.get('Content-Length') !== undefined ? parseInt(req.get('Content-Length')) : undefined;
+    const session = await resumableUploadService.appendChunk(req.params.uploadId, req.user, {
+      offset: parseInt(offsetHeader),
+      body: req,
+      contentLength
+    });
+
+    res.set('Upload-Offset', String(session.offset));
     res.json({
       success: true,
-      videoId: videoId,
-      fileName: fileName,
-      originalName: req.file.originalname,
-      fileSize: fileSizeMB + ' MB',
-      contentType: req.file.mimetype,
-      uploadMethod: 'direct',
-      readyForAnalysis: true,
-      message: 'Video uploaded successfully'
+      uploadId: session.uploadId,
+      offset: session.offset,
+      fileSize: session.fileSize,
+      complete: session.offset === session.fileSize
+    });
+  } catch (error) {
+    console.error('❌ Error appending upload chunk:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to store chunk',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/upload/resumable/:uploadId/finalize
+ * Assemble the chunks, then run the /verify checks and record the upload
+ */
+router.post('/resumable/:uploadId/finalize', requirePermission('upload:write'), async (req, res) => {
+  try {
+    const session = await resumableUploadService.finalize(req.params.uploadId, req.user);
+    const storage = storageService.forProfile(session.storageProfile);
+    const matchMetadata = req.body.matchMetadata
+      ? stampOwner(req.body.matchMetadata, req.user)
+      : session.matchMetadata;
+
+    const result = await verifyStoredVideo({
+      videoId: session.videoId,
+      fileName: session.fileName,
+      matchMetadata,
+      storage,
+      user: req.user,
+      upload: await getVideoUpload(session.videoId),
+      forceReanalysis: isForced(req.body.forceReanalysis)
+    });
+    res.status(result.status).json({ ...result.body, uploadId: session.uploadId, uploadMethod: 'resumable' });
+  } catch (error) {
+    console.error('❌ Error finalizing resumable upload:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to finalize upload',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/upload/resumable/:uploadId
+ * Abort an upload session and delete its chunks
+ */
+router.delete('/resumable/:uploadId', requirePermission('upload:write'), async (req, res) => {
+  try {
+    const session = await resumableUploadService.abort(req.params.uploadId, req.user);
+    res.json({ success: true, uploadId: session.uploadId, status: session.status, message: 'Upload aborted' });
+  } catch (error) {
+    console.error('❌ Error aborting resumable upload:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to abort upload',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/upload/direct
+ * Direct video upload to backend (alternative to signed URL)
+ * The multipart `video` part is streamed straight to storage; send matchMetadata before the file.
+ */
+router.post('/direct', requirePermission('upload:write'), async (req, res, next) => {
+  try {
+    const videoId = uuidv4();
+    const storage = await storageService.forOrganization(req.user.organizationId);
+    const uploadTime = new Date().toISOString();
+
+    console.log(`📤 Direct upload starting for video: ${videoId}`);
+
+    // Stream to the club's storage, hashing and counting bytes on the way
+    const received = await directUploadService.receiveVideo(req, {
+      storage,
+      videoId,
+      buildMetadata: (fields, originalName) => ({
+        videoId: videoId,
+        originalName: originalName,
+        uploadTime: uploadTime,
+        uploadedBy: req.user.id,
+        matchMetadata: JSON.stringify(stampOwner(fields.matchMetadata, req.user))
+      })
+    });
+
+    const result = await verifyStoredVideo({
+      videoId,
+      fileName: received.fileName,
+      matchMetadata: stampOwner(received.fields.matchMetadata, req.user),
+      storage,
+      user: req.user,
+      forceReanalysis: isForced(received.fields.forceReanalysis),
+      extraMetadata: { content_sha256: received.sha256 }
+    });
+
+    if (result.status === 200) {
+      console.log(`✅ Direct upload completed: ${received.fileName} (${Math.round(received.size / (1024 * 1024))} MB, sha256 ${received.sha256})`);
+    }
+
+    res.status(result.status).json({
+      ...result.body,
+      originalName: received.originalName,
+      fileSizeBytes: received.size,
+      sha256: received.sha256,
+      contentType: received.contentType,
+      uploadMethod: 'direct'
     });
     
   } catch (error) {
+    // The client may still be sending the body; don't keep the connection around for it
+    res.set('Connection', 'close');
+    if (error.code === 'LIMIT_FILE_SIZE' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return next(error);
+    }
     console.error('❌ Direct upload failed:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Direct upload failed',
       message: error.message
@@ -262,16 +578,24 @@ router.post('/direct', upload.single('video'), async (req, res) => {
  * GET /api/upload/status/:videoId
  * Check upload status and file information
  */
-router.get('/status/:videoId', async (req, res) => {
+router.get('/status/:videoId', requirePermission('upload:read'), async (req, res) => {
   try {
     const { videoId } = req.params;
+
+    const access = await checkVideoAccess(videoId, req.user);
+    if (!access.allowed) {
+      return res.status(access.status).json({
+        success: false,
+        error: access.reason,
+        videoId: videoId
+      });
+    }
+
+    // Find video file in storage
+    const storage = await storageService.forVideo(videoId, access.upload);
+    const videoFile = await storage.findVideoFile(videoId);
     
-    // Find video file in GCS
-    const [files] = await gcsService.storage.bucket(gcsService.bucketName).getFiles({
-      prefix: `videos/${videoId}/`
-    });
-    
-    if (files.length === 0) {
+    if (!videoFile) {
       return res.status(404).json({
         success: false,
         error: 'Video not found',
@@ -279,18 +603,15 @@ router.get('/status/:videoId', async (req, res) => {
       });
     }
     
-    const videoFile = files[0];
-    const [metadata] = await videoFile.getMetadata();
-    
-    const fileSizeMB = Math.round(parseInt(metadata.size) / (1024 * 1024));
+    const fileSizeMB = Math.round(videoFile.size / (1024 * 1024));
     
     res.json({
       success: true,
       videoId: videoId,
       fileName: videoFile.name,
       fileSize: fileSizeMB + ' MB',
-      contentType: metadata.contentType,
-      uploadTime: metadata.timeCreated,
+      contentType: videoFile.contentType,
+      uploadTime: videoFile.timeCreated,
       status: 'uploaded',
       readyForAnalysis: true
     });
@@ -309,39 +630,57 @@ router.get('/status/:videoId', async (req, res) => {
  * DELETE /api/upload/:videoId
  * Delete uploaded video and associated files
  */
-router.delete('/:videoId', async (req, res) => {
+router.delete('/:videoId', requirePermission('upload:delete'), async (req, res) => {
   try {
     const { videoId } = req.params;
-    
-    console.log(`🗑️ Deleting video and associated files: ${videoId}`);
-    
-    // Delete video files
-    const [videoFiles] = await gcsService.storage.bucket(gcsService.bucketName).getFiles({
-      prefix: `videos/${videoId}/`
-    });
-    
-    // Delete frame files
-    const [frameFiles] = await gcsService.storage.bucket(gcsService.bucketName).getFiles({
-      prefix: `frames/${videoId}/`
-    });
-    
-    // Delete result files
-    const [resultFiles] = await gcsService.storage.bucket(gcsService.bucketName).getFiles({
-      prefix: `results/${videoId}/`
-    });
-    
-    const allFiles = [...videoFiles, ...frameFiles, ...resultFiles];
-    
-    if (allFiles.length === 0) {
+
+    const access = await checkVideoAccess(videoId, req.user);
+    if (!access.allowed) {
+      return res.status(access.status).json({
+        success: false,
+        error: access.reason,
+        videoId: videoId
+      });
+    }
+
+    if (access.upload.processing_status === 'deleted') {
       return res.status(404).json({
         success: false,
-        error: 'No files found for videoId',
+        error: 'Video already deleted',
         videoId: videoId
       });
     }
-    
+
+    console.log(`🗑️ Deleting video and associated files: ${videoId}`);
+
+    // Stop any analysis first so it doesn't read the original or write results after the delete
+    const job = await jobQueueService.cancelJob(videoId, { cancelledBy: req.user.id });
+    if (job) abortJob(job.id, 'Video deleted');
+
+    // The record stays (ownership, audit) but no longer counts as an upload, e.g. for duplicate detection.
+    // Background jobs in other processes see the status and store nothing more for this video.
+    await updateVideoUpload(videoId, {
+      processing_status: 'deleted',
+      metadata: { deleted_at: new Date().toISOString(), deleted_by: req.user.id }
+    });
+
+    // Stop proxy, storyboard and HLS jobs running here before listing, so they can't add files after it
+    await Promise.all([
+      transcodeService.cancelProxy(videoId),
+      storyboardService.cancelStoryboard(videoId),
+      hlsService.cancelHlsPackaging(videoId)
+    ]);
+
+    // Video, frame and result files
+    const storage = await storageService.forVideo(videoId, access.upload);
+    const allFiles = [
+      ...(await storage.list(`videos/${videoId}/`)),
+      ...(await storage.list(`frames/${videoId}/`)),
+      ...(await storage.list(`results/${videoId}/`))
+    ];
+
     // Delete all files
-    const deletePromises = allFiles.map(file => file.delete());
+    const deletePromises = allFiles.map(file => storage.delete(file.name));
     await Promise.all(deletePromises);
     
     console.log(`✅ Deleted ${allFiles.length} files for video: ${videoId}`);
@@ -350,12 +689,13 @@ router.delete('/:videoId', async (req, res) => {
       success: true,
       videoId: videoId,
       deletedFiles: allFiles.length,
+      cancelledJobId: job?.id || null,
       message: 'Video and associated files deleted successfully'
     });
     
   } catch (error) {
     console.error('❌ Error deleting video:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to delete video',
       message: error.message
@@ -375,6 +715,11 @@ router.get('/test', (req, res) => {
     endpoints: {
       signed_url: 'GET /api/upload/signed-url',
       verify: 'POST /api/upload/verify',
+      resumable_create: 'POST /api/upload/resumable',
+      resumable_status: 'GET /api/upload/resumable/:uploadId',
+      resumable_chunk: 'PATCH /api/upload/resumable/:uploadId',
+      resumable_finalize: 'POST /api/upload/resumable/:uploadId/finalize',
+      resumable_abort: 'DELETE /api/upload/resumable/:uploadId',
       direct: 'POST /api/upload/direct',
       status: 'GET /api/upload/status/:videoId',
       delete: 'DELETE /api/upload/:videoId'
@@ -382,8 +727,11 @@ router.get('/test', (req, res) => {
     configuration: {
       max_file_size: '500MB',
       supported_formats: ['video/mp4', 'video/avi', 'video/mov', 'video/mkv'],
-      storage: 'Google Cloud Storage',
-      upload_methods: ['signed_url', 'direct']
+      max_resumable_file_size: `${Math.round(resumableUploadService.MAX_FILE_SIZE / (1024 * 1024 * 1024))}GB`,
+      min_duration_seconds: videoValidationService.MIN_DURATION_SECONDS,
+      max_duration_seconds: videoValidationService.MAX_DURATION_SECONDS,
+      storage: storageService.driverName,
+      upload_methods: ['signed_url', 'resumable', 'direct']
     },
     timestamp: new Date().toISOString()
   });
@@ -8,22 +8,33 @@ require('dotenv').config();
 const uploadRoutes = require('./routes/upload');
 const analysisRoutes = require('./routes/analysis');
 const resultsRoutes = require('./routes/results');
+const orgRoutes = require('./routes/orgs');
+const storageRoutes = require('./routes/storage');
 
 // === AUTH ROUTE IMPORT (multi-user authentication) ===
 const { router: authRouter, authMiddleware } = require('./routes/auth');
 
 // Middleware imports
 const { errorHandler } = require('./middleware/errorHandler');
+const { requirePermission, userHasPermission } = require('./middleware/permissions');
+const { socketAuth } = require('./middleware/socketAuth');
+const { checkVideoAccess } = require('./services/accessService');
 
 // Service imports for connection checks
 const OpenAI = require('openai');
 const Anthropic = require('@anthropic-ai/sdk');
 
-// 🔧 ONLY USE gcsService - Remove duplicate Google Cloud Storage setup
-const gcsService = require('./services/gcsService');
+// 🔧 ONLY USE storageService - GCS in production, local disk with STORAGE_DRIVER=local
+const storageService = require('./services/storageService');
 
-// ➕ Supabase Service Status Check
-const { checkSupabaseConnection } = require('./services/supabaseService');
+// Email outbox (retries sends that failed at request time)
+const { startOutboxWorker } = require('./services/emailService');
+
+// Storage retention (per-organization lifecycle for videos, proxies, frames and results)
+const retentionService = require('./services/retentionService');
+
+// Analysis job queue worker (standalone workers run `node worker.js`)
+const { startAnalysisWorker, startEventRelay, getLatestEvent } = require('./services/analysisWorker');
 
 const app = express();
 const server = createServer(app);
@@ -39,6 +50,13 @@ const io = new Server(server, {
 // Make io available to routes
 app.set('io', io);
 
+// Behind Cloud Run / a load balancer set TRUST_PROXY (hop count or subnet list) so req.ip is the
+// client address from X-Forwarded-For - auth rate limiting and lockouts are keyed on it
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Initialize service clients for connection testing
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
@@ -121,24 +139,25 @@ async function checkClaudeConnection() {
 }
 
 /**
- * Check Google Cloud Storage connection using gcsService
+ * Check object storage connection using storageService (reported as googleCloud for API compatibility)
  */
 async function checkGoogleCloudConnection() {
   try {
-    console.log('☁️ Testing Google Cloud Storage connection...');
-    const connected = await gcsService.testConnection();
+    console.log(`☁️ Testing storage connection (${storageService.driverName})...`);
+    const connected = await storageService.testConnection();
     if (connected) {
       serviceStatus.googleCloud = {
         connected: true,
         lastCheck: new Date().toISOString(),
         error: null,
-        bucket: process.env.GOOGLE_CLOUD_STORAGE_BUCKET,
+        driver: storageService.driverName,
+        bucket: storageService.bucketName,
         status: "operational"
       };
-      console.log('✅ Google Cloud Storage connection successful');
+      console.log('✅ Storage connection successful');
       return true;
     } else {
-      throw new Error('GCS connection test returned false');
+      throw new Error('Storage connection test returned false');
     }
   } catch (error) {
     serviceStatus.googleCloud = {
@@ -147,7 +166,7 @@ async function checkGoogleCloudConnection() {
       error: error.message,
       status: "failed"
     };
-    console.error('❌ Google Cloud Storage connection failed:', error.message);
+    console.error('❌ Storage connection failed:', error.message);
     return false;
   }
 }
@@ -158,6 +177,8 @@ async function checkGoogleCloudConnection() {
 async function checkSupabaseService() {
   try {
     console.log('🗄️ Testing Supabase connection...');
+    // Loaded here: it needs Supabase credentials, which DATA_STORE=file installs don't have
+    const { checkSupabaseConnection } = require('./services/supabaseService');
     const status = await checkSupabaseConnection();
     serviceStatus.supabase = {
       connected: status.connected,
@@ -211,9 +232,13 @@ async function checkAllServices() {
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:3000",
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Retry-After']
 }));
 
+// === LOCAL STORAGE (signed-URL endpoints for STORAGE_DRIVER=local, before body parsers) ===
+app.use('/api/storage/local', storageRoutes);
+
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -224,6 +249,7 @@ app.use('/api/auth', authRouter);
 app.use('/api/upload', authMiddleware, uploadRoutes);
 app.use('/api/analysis', authMiddleware, analysisRoutes);
 app.use('/api/results', authMiddleware, resultsRoutes);
+app.use('/api/orgs', authMiddleware, orgRoutes);
 
 // Main service routes (unprotected - REMOVE for production)
 // app.use('/api/upload', uploadRoutes);
@@ -269,8 +295,8 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Service status endpoint
-app.get('/api/status', (req, res) => {
+// Service status endpoint (platform admin only)
+app.get('/api/status', authMiddleware, requirePermission('services:read'), (req, res) => {
   res.json({
     success: true,
     timestamp: new Date().toISOString(),
@@ -288,8 +314,8 @@ app.get('/api/status', (req, res) => {
   });
 });
 
-// Manual service check endpoint
-app.post('/api/check-services', async (req, res) => {
+// Manual service check endpoint (platform admin only)
+app.post('/api/check-services', authMiddleware, requirePermission('services:manage'), async (req, res) => {
   try {
     console.log('🔄 Manual service check requested...');
     const allConnected = await checkAllServices();
@@ -310,6 +336,28 @@ app.post('/api/check-services', async (req, res) => {
   }
 });
 
+// Retention sweep endpoint (platform admin only) - dry run unless dryRun: false is sent
+app.post('/api/retention/sweep', authMiddleware, requirePermission('services:manage'), async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun !== false;
+    const organizationId = req.body.organizationId || null;
+    console.log(`🧹 Manual retention sweep requested by ${req.user.id}${dryRun ? ' (dry run)' : ''}`);
+    const report = await retentionService.sweep({ dryRun, organizationId });
+    res.json({
+      success: true,
+      report: report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Retention sweep failed:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Retention sweep failed',
+      message: error.message
+    });
+  }
+});
+
 // Root endpoint
 app.get('/', (req, res) => {
   const operational = serviceStatus.gpt4.connected &&
@@ -331,7 +379,8 @@ app.get('/', (req, res) => {
       health: '/health',
       status: '/api/status',
       checkServices: 'POST /api/check-services',
-      auth: '/api/auth'
+      auth: '/api/auth',
+      orgs: '/api/orgs'
     },
     services: {
       gpt4: serviceStatus.gpt4.connected ? '✅ Connected' : '❌ Disconnected',
@@ -342,17 +391,54 @@ app.get('/', (req, res) => {
   });
 });
 
-// Socket.io connection handling
+/**
+ * Same rules as GET /api/analysis/status/:videoId: analysis:read plus access to the video
+ */
+async function checkAnalysisRoomAccess(videoId, user) {
+  if (!userHasPermission(user, 'analysis:read')) {
+    return { allowed: false, status: 403, reason: `Your role (${user.role || 'none'}) does not allow analysis:read` };
+  }
+  if (typeof videoId !== 'string' || !videoId) {
+    return { allowed: false, status: 400, reason: 'videoId is required' };
+  }
+  return checkVideoAccess(videoId, user);
+}
+
+// Socket.io connection handling (handshake requires a user access token)
+io.use(socketAuth);
 io.on('connection', (socket) => {
-  console.log(`🔌 Client connected: ${socket.id}`);
+  const user = socket.data.user;
+  console.log(`🔌 Client connected: ${socket.id} (user ${user.id})`);
+  // Per-user room for account notifications (quota-exceeded)
+  socket.join(`user-${user.id}`);
   // Send current service status to client
   socket.emit('service-status', serviceStatus);
   socket.on('disconnect', () => {
     console.log(`🔌 Client disconnected: ${socket.id}`);
   });
-  socket.on('join-analysis', (analysisId) => {
-    socket.join(`analysis-${analysisId}`);
-    console.log(`📊 Client joined analysis room: ${analysisId}`);
+  // Only the uploader or their club may follow an analysis; late joiners get its latest persisted event
+  socket.on('join-analysis', async (analysisId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const access = await checkAnalysisRoomAccess(analysisId, user);
+      if (!access.allowed) {
+        console.warn(`⛔ Socket ${socket.id} (user ${user.id}) refused analysis room: ${analysisId}`);
+        const denied = { success: false, videoId: analysisId, status: access.status, error: access.reason };
+        socket.emit('analysis-join-error', denied);
+        return reply(denied);
+      }
+
+      socket.join(`analysis-${analysisId}`);
+      console.log(`📊 Client joined analysis room: ${analysisId}`);
+      const latest = await getLatestEvent(analysisId);
+      if (latest) socket.emit(latest.name, latest.data);
+      reply({ success: true, videoId: analysisId, replayed: latest?.name || null });
+    } catch (error) {
+      console.error(`❌ Failed to join analysis room ${analysisId}:`, error);
+      const failed = { success: false, videoId: analysisId, status: 500, error: 'Failed to join analysis' };
+      socket.emit('analysis-join-error', failed);
+      reply(failed);
+    }
   });
   // Handle service check requests
   socket.on('check-services', async () => {
@@ -370,7 +456,7 @@ app.use('*', (req, res) => {
   res.status(404).json({
     error: 'Route not found',
     message: `${req.method} ${req.originalUrl} not found`,
-    availableRoutes: ['/api/upload', '/api/analysis', '/api/results', '/health', '/api/status', '/api/auth']
+    availableRoutes: ['/api/upload', '/api/analysis', '/api/results', '/health', '/api/status', '/api/auth', '/api/orgs']
   });
 });
 
@@ -388,6 +474,29 @@ async function startServer() {
     // Broadcast service status to all connected clients
     io.emit('service-status', serviceStatus);
   }, 5 * 60 * 1000); // 5 minutes
+  // Re-send queued emails (quota notices, verification links) that failed at request time
+  startOutboxWorker();
+  // Enforce storage retention now and every RETENTION_SWEEP_INTERVAL_HOURS
+  retentionService.startRetentionSweeper();
+  // Run queued analyses in this process too, unless dedicated workers handle them
+  const worker = process.env.ANALYSIS_WORKER_IN_PROCESS !== 'false' ? startAnalysisWorker({ io }) : null;
+  // Forward progress from standalone workers to Socket.io clients
+  startEventRelay(io, { ignoreWorkerId: worker?.workerId });
+
+  // On shutdown stop taking requests and hand running jobs back to the queue, so another worker
+  // resumes them right away instead of after the visibility timeout
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`🛑 ${signal} received, shutting down`);
+    server.close();
+    if (worker) await worker.stop();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
   server.listen(PORT, () => {
     console.log(`🚀 TAHLEEL.ai MVP Backend running on port ${PORT}`);
     console.log(`🎯 Target: Arab League Teams ($15K-$45K subscriptions)`);
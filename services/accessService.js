@@ -0,0 +1,86 @@
+// Request identity and ownership checks for TAHLEEL.ai
+// Identity always comes from the verified JWT on req.user (set by authMiddleware),
+// never from client-supplied userId/userEmail/organization_id fields.
+// Records are visible to their owner, to every member of the owning organization (club library)
+// and to platform admins.
+
+const { getVideoUpload } = require('./videoUploadService');
+const { isPlatformAdmin } = require('../middleware/permissions');
+
+/**
+ * Get the verified owner identity for a request
+ */
+function getRequestOwner(req) {
+  const user = req.user || {};
+  return {
+    userId: user.id || null,
+    userEmail: user.email || null,
+    organizationId: user.organizationId || null
+  };
+}
+
+/**
+ * Overwrite any client-supplied owner fields in matchMetadata with the verified identity
+ */
+function stampOwner(matchMetadata, user) {
+  const md = typeof matchMetadata === 'string' ? safeParse(matchMetadata) : (matchMetadata || {});
+  return {
+    ...md,
+    userId: user?.id || null,
+    userEmail: user?.email || null,
+    organization_id: user?.organizationId || null
+  };
+}
+
+/**
+ * Check whether the user personally owns a record stamped with owner matchMetadata
+ */
+function isOwner(user, matchMetadata = {}) {
+  if (!user?.id) return false;
+  if (matchMetadata.userId) return matchMetadata.userId === user.id;
+  // Legacy records stamped before server-side ownership only carry the email
+  return !!user.email && matchMetadata.userEmail === user.email;
+}
+
+/**
+ * Check whether the user may see a record: their own, or their club's
+ */
+function canAccess(user, matchMetadata = {}) {
+  if (isPlatformAdmin(user) || isOwner(user, matchMetadata)) return true;
+  return !!user?.organizationId && matchMetadata.organization_id === user.organizationId;
+}
+
+/**
+ * Check access to an uploaded video through its video_uploads record
+ * @returns {Promise<{allowed: boolean, status?: number, reason?: string, upload?: object}>}
+ */
+async function checkVideoAccess(videoId, user) {
+  const upload = await getVideoUpload(videoId);
+  if (!upload) {
+    return { allowed: false, status: 404, reason: 'Video not found' };
+  }
+  const allowed =
+    isPlatformAdmin(user) ||
+    upload.uploaded_by === user?.id ||
+    (!!upload.organization_id && upload.organization_id === user?.organizationId);
+  if (!allowed) {
+    return { allowed: false, status: 403, reason: 'You do not have access to this video' };
+  }
+  return { allowed: true, upload };
+}
+
+function safeParse(value) {
+  try {
+    return JSON.parse(value) || {};
+  } catch {
+    return {};
+  }
+}
+
+module.exports = {
+  getRequestOwner,
+  stampOwner,
+  isOwner,
+  canAccess,
+  checkVideoAccess
+};
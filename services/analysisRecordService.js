@@ -0,0 +1,44 @@
+// Analysis records (`analyses`) for business reporting
+// The full analysis lives in storage (results/<videoId>/analysis.json); this row keeps the headline
+// fields queryable. Stored through the configured DATA_STORE, so DATA_STORE=file runs without Supabase.
+
+const { createStore } = require('./stores');
+
+let store = createStore('analyses');
+
+/**
+ * Swap the underlying store (tests, offline tooling)
+ */
+function setAnalysisRecordStore(adapter) {
+  store = adapter;
+}
+
+/**
+ * Create or replace the analysis record of a video
+ */
+async function upsertAnalysis({ id, organization_id, created_by, opponent_team, analysis_type = 'tactical', analysis_data, weaknesses, strategies, formation_recommendation, key_players, recent_news, confidence_score, ai_enhanced, data_source, processing_time_seconds, is_favorite = false, shared_with_squad = false }) {
+  return store.upsert({
+    id,
+    organization_id,
+    created_by,
+    opponent_team,
+    analysis_type,
+    analysis_data,
+    weaknesses,
+    strategies,
+    formation_recommendation,
+    key_players,
+    recent_news,
+    confidence_score,
+    ai_enhanced,
+    data_source,
+    processing_time_seconds,
+    is_favorite,
+    shared_with_squad
+  });
+}
+
+module.exports = {
+  upsertAnalysis,
+  setAnalysisRecordStore
+};
@@ -0,0 +1,300 @@
+// Analysis queue worker for TAHLEEL.ai
+// Claims jobs from the durable queue (services/jobQueueService) and runs the analysis pipeline.
+// Runs inside server.js (ANALYSIS_WORKER_CONCURRENCY jobs at a time; ANALYSIS_WORKER_IN_PROCESS=false
+// turns it off) and/or as dedicated processes with `node worker.js`. While a job runs, its lease is
+// renewed every JOB_HEARTBEAT_SECONDS; on shutdown running jobs are handed back to the queue.
+// Standalone workers have no Socket.io server: the latest pipeline event is written to the job
+// (last_event) and the API process relays it to the `analysis-<videoId>` room (startEventRelay).
+// Clients joining a room late are sent the job's latest persisted event (getLatestEvent).
+// Cancelling a job aborts its pipeline: immediately when it runs in the cancelling process
+// (abortJob), otherwise as soon as the worker's next heartbeat finds the job cancelled.
+
+const os = require('os');
+const crypto = require('crypto');
+const analysisController = require('../controllers/analysisController');
+const jobQueueService = require('./jobQueueService');
+const storageService = require('./storageService');
+
+const CONCURRENCY = parseInt(process.env.ANALYSIS_WORKER_CONCURRENCY) || 1;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const EVENT_FLUSH_INTERVAL_MS = 1000;
+
+// Jobs running in this process (any worker), so a cancel can abort them without waiting for a heartbeat
+const runningJobs = new Map(); // jobId -> context
+
+function createWorkerId() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Stop a job's pipeline: kills ffmpeg and aborts model requests; nothing more is written to the job
+ */
+function stopJob(context, reason) {
+  if (context.lost) return;
+  context.lost = true;
+  clearInterval(context.heartbeatTimer);
+  const error = new Error(reason);
+  error.code = 'ANALYSIS_CANCELLED';
+  context.abortController.abort(error);
+}
+
+/**
+ * Abort a job if it is running in this process
+ * @returns {boolean} whether it was running here
+ */
+function abortJob(jobId, reason = 'Analysis cancelled') {
+  const context = runningJobs.get(jobId);
+  if (!context) return false;
+  console.log(`🛑 Aborting analysis job ${jobId} on worker ${context.workerId}`);
+  stopJob(context, reason);
+  return true;
+}
+
+/**
+ * Run one claimed job to completion, holding its lease
+ */
+async function runJob(context, io) {
+  const { workerId } = context;
+  const { id: jobId, video_id: videoId, payload } = context.job;
+  let pendingEvent = null;
+  let lastFlush = 0;
+
+  // Stage, pipeline state + latest event (result stripped, it lives in storage) for the next write to the job
+  const progressPatch = () => {
+    const patch = { stage: context.stage };
+    if (context.analysisState) patch.analysis_state = context.analysisState;
+    if (pendingEvent) patch.last_event = pendingEvent;
+    pendingEvent = null;
+    return patch;
+  };
+
+  const renew = () => {
+    if (context.lost || context.finished) return context.renewal;
+    context.renewal = extendLease();
+    return context.renewal;
+  };
+
+  const extendLease = async () => {
+    await context.renewal;
+    try {
+      const renewed = await jobQueueService.heartbeat(context.job, progressPatch());
+      if (renewed) {
+        context.job = renewed;
+      } else if (!context.lost) {
+        console.warn(`⚠️ Analysis job ${jobId} is no longer held by worker ${workerId} (cancelled or reclaimed), stopping it`);
+        stopJob(context, 'Analysis job was cancelled or taken over by another worker');
+      }
+    } catch (error) {
+      console.error(`❌ Heartbeat failed for analysis job ${jobId}:`, error.message);
+    }
+  };
+
+  // Socket.io-style emitter handed to the pipeline
+  const emitter = {
+    to(room) {
+      return {
+        emit(name, data) {
+          if (io) io.to(room).emit(name, data);
+          if (data?.currentStage) context.stage = data.currentStage;
+          if (name === 'analysis-progress') context.analysisState = data;
+          if (name === 'analysis-error') context.analysisState = { ...context.analysisState, ...data };
+          if (name === 'analysis-completed') context.analysisState = data.result?.analysis_state || context.analysisState;
+          pendingEvent = {
+            name,
+            payload: name === 'analysis-completed' ? { ...data, result: undefined } : data,
+            at: new Date().toISOString()
+          };
+          if (name === 'analysis-progress' && Date.now() - lastFlush >= EVENT_FLUSH_INTERVAL_MS) {
+            lastFlush = Date.now();
+            renew();
+          }
+        }
+      };
+    }
+  };
+
+  // Stop heartbeats and let an in-flight one land before the final state change
+  const finish = async () => {
+    context.finished = true;
+    clearInterval(context.heartbeatTimer);
+    await context.renewal;
+  };
+
+  context.heartbeatTimer = setInterval(renew, jobQueueService.HEARTBEAT_INTERVAL_MS);
+  console.log(`👷 Worker ${workerId} running analysis job ${jobId} for video ${videoId} (attempt ${context.job.attempts}/${context.job.max_attempts})`);
+
+  try {
+    // A job picked up again after its worker died carries on from that worker's checkpoints
+    const analysis = await analysisController.processVideoBackground(
+      videoId,
+      payload.videoFileName,
+      payload.matchMetadata,
+      emitter,
+      {
+        resume: payload.resume || context.job.attempts > 1,
+        fromStage: payload.fromStage,
+        signal: context.abortController.signal
+      }
+    );
+    await finish();
+    if (context.lost) return;
+    const completed = await jobQueueService.completeJob(context.job, {
+      ...progressPatch(),
+      result: {
+        resultsFile: `results/${videoId}/analysis.json`,
+        processingTime: analysis.processing_stats.total_time,
+        framesAnalyzed: analysis.frame_extraction.total_frames
+      }
+    });
+    if (!completed) console.warn(`⚠️ Analysis job ${jobId} finished but its lease was lost, result not recorded on the job`);
+  } catch (error) {
+    await finish();
+    if (context.lost) return;
+    await jobQueueService.failJob(context.job, error, progressPatch())
+      .catch(recordError => console.error(`❌ Failed to record failure of analysis job ${jobId}:`, recordError.message));
+  }
+}
+
+/**
+ * Start polling the queue
+ * @param {object} options
+ * @param {object} [options.io] - Socket.io server to emit progress on directly (API process)
+ * @param {number} [options.concurrency] - jobs run at the same time
+ * @returns {{workerId: string, poll: function, stop: function}}
+ */
+function startAnalysisWorker({ io = null, concurrency = CONCURRENCY, workerId = createWorkerId() } = {}) {
+  const running = new Map(); // jobId -> context
+  let polling = false;
+  let stopped = false;
+
+  const poll = async () => {
+    if (polling || stopped) return;
+    polling = true;
+    try {
+      while (!stopped && running.size < concurrency) {
+        const job = await jobQueueService.claimNextJob(workerId);
+        if (!job) break;
+        const context = {
+          workerId,
+          job,
+          stage: job.stage,
+          analysisState: null,
+          lost: false,
+          finished: false,
+          renewal: Promise.resolve(),
+          abortController: new AbortController(),
+          heartbeatTimer: null
+        };
+        running.set(job.id, context);
+        runningJobs.set(job.id, context);
+        runJob(context, io)
+          .catch(error => console.error(`❌ Analysis job ${job.id} crashed the worker loop:`, error))
+          .finally(() => {
+            clearInterval(context.heartbeatTimer);
+            running.delete(job.id);
+            runningJobs.delete(job.id);
+            poll();
+          });
+      }
+    } catch (error) {
+      console.error('❌ Analysis queue poll failed:', error.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  /**
+   * Stop claiming jobs and return the running ones to the queue
+   */
+  const stop = async () => {
+    stopped = true;
+    clearInterval(timer);
+    const contexts = [...running.values()];
+    for (const context of contexts) {
+      stopJob(context, 'Worker shutting down');
+      await jobQueueService.releaseJob(context.job)
+        .catch(error => console.error(`❌ Failed to release analysis job ${context.job.id}:`, error.message));
+    }
+    console.log(`👋 Worker ${workerId} stopped, ${contexts.length} running job(s) returned to the queue`);
+  };
+
+  const timer = setInterval(poll, POLL_INTERVAL_MS);
+  console.log(`👷 Analysis worker ${workerId} polling the job queue (concurrency ${concurrency})`);
+  poll();
+  return { workerId, poll, stop };
+}
+
+/**
+ * Socket payload for a stored event (completed events carry the result, which lives in storage)
+ */
+async function eventData(job, name, payload) {
+  if (name !== 'analysis-completed') return payload;
+  const storage = await storageService.forVideo(job.video_id);
+  return { ...payload, result: await storage.downloadAnalysisResult(job.video_id).catch(() => null) };
+}
+
+/**
+ * Latest persisted event for a video's most recent job, for clients that join its room late
+ * @returns {Promise<{name: string, data: object}|null>} null before the job has reported anything
+ */
+async function getLatestEvent(videoId) {
+  const job = await jobQueueService.getLatestJob(videoId);
+  if (!job) return null;
+  const at = job.finished_at || job.last_event?.at || null;
+
+  let name = job.last_event?.name;
+  let payload = job.last_event?.payload;
+  if (job.status === 'cancelled') {
+    name = 'analysis-cancelled';
+    payload = { videoId, status: 'cancelled', timestamp: at };
+  } else if (job.status === 'failed' && name !== 'analysis-error') {
+    name = 'analysis-error';
+    payload = { videoId, status: 'failed', error: job.last_error, failedAt: at, currentStage: job.error_stage || 'unknown' };
+  } else if (job.status === 'succeeded') {
+    name = 'analysis-completed';
+    payload = { videoId, status: 'completed', processingTime: job.result?.processingTime };
+  } else if (job.analysis_state) {
+    // Heartbeats keep analysis_state fresher than the throttled last_event
+    name = 'analysis-progress';
+    payload = { ...job.analysis_state, status: job.status === 'queued' ? 'queued' : job.analysis_state.status };
+  }
+  if (!name) return null;
+  return { name, data: { ...(await eventData(job, name, payload)), replayed: true } };
+}
+
+/**
+ * Relay events written by standalone workers to the Socket.io rooms of this API process
+ * @param {string} [ignoreWorkerId] - the in-process worker, which already emits directly
+ */
+function startEventRelay(io, { ignoreWorkerId = null, intervalMs = POLL_INTERVAL_MS } = {}) {
+  let since = new Date().toISOString();
+  let relaying = false;
+
+  const relay = async () => {
+    if (relaying) return;
+    relaying = true;
+    try {
+      const jobs = await jobQueueService.listJobEventsSince(since);
+      for (const job of jobs) {
+        const event = job.last_event;
+        if (event.at > since) since = event.at;
+        if (job.worker_id && job.worker_id === ignoreWorkerId) continue;
+
+        io.to(`analysis-${job.video_id}`).emit(event.name, await eventData(job, event.name, event.payload));
+      }
+    } catch (error) {
+      console.error('❌ Analysis event relay failed:', error.message);
+    } finally {
+      relaying = false;
+    }
+  };
+
+  return setInterval(relay, intervalMs);
+}
+
+module.exports = {
+  abortJob,
+  getLatestEvent,
+  startAnalysisWorker,
+  startEventRelay
+};
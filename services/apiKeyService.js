@@ -0,0 +1,194 @@
+// Organization API keys for machine-to-machine access (club video pipelines, CI jobs)
+// Keys look like `thk_<keyId>_<secret>`; only a SHA-256 hash of the secret is stored and the
+// full key is shown once, at creation/rotation. Each key is limited to a set of scopes and acts
+// on behalf of the member who created it (ownership stamping, org scoping, quota).
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./stores');
+
+const KEY_PREFIX = 'thk_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // avoid a write on every request
+
+// Scopes a key may carry (club management and platform permissions are never delegated)
+const API_KEY_SCOPES = [
+  'analysis:read',
+  'analysis:write',
+  'results:read',
+  'results:share',
+  'results:delete',
+  'upload:read',
+  'upload:write',
+  'upload:delete'
+];
+
+let store = createStore('api_keys');
+
+/**
+ * Swap the underlying store (tests, offline tooling)
+ */
+function setApiKeyStore(adapter) {
+  store = adapter;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function formatKey(keyId, secret) {
+  return `${KEY_PREFIX}${keyId.replace(/-/g, '')}_${secret}`;
+}
+
+/**
+ * Split a presented key into id + secret (null when it is not an API key)
+ */
+function parseKey(apiKey) {
+  const match = /^thk_([0-9a-f]{32})_([A-Za-z0-9_-]+)$/.exec(String(apiKey || ''));
+  if (!match) return null;
+  const hex = match[1];
+  const keyId = `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  return { keyId, secret: match[2] };
+}
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+function isActive(row) {
+  return !!row && !row.revoked_at && (!row.expires_at || new Date(row.expires_at) > new Date());
+}
+
+/**
+ * Map an `api_keys` row to the API shape (never includes the hash)
+ */
+function toApiKey(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    organizationId: row.organization_id,
+    name: row.name,
+    keyPreview: `${KEY_PREFIX}…${row.key_hint}`,
+    scopes: row.scopes || [],
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    rotatedAt: row.rotated_at || null,
+    lastUsedAt: row.last_used_at || null,
+    expiresAt: row.expires_at || null,
+    revokedAt: row.revoked_at || null
+  };
+}
+
+function keyError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Validate requested scopes against the allowed list
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw keyError(`scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`);
+  }
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) throw keyError(`Unknown scopes: ${unknown.join(', ')}`);
+  return [...new Set(scopes)];
+}
+
+/**
+ * Create a key for an organization
+ * @returns {Promise<{apiKey: object, key: string}>} key is the plaintext secret (shown once)
+ */
+async function createApiKey(organizationId, { name, scopes, createdBy, expiresInDays }) {
+  if (!name || !String(name).trim()) throw keyError('name is required');
+  const secret = newSecret();
+  const id = uuidv4();
+  const row = await store.insert({
+    id,
+    organization_id: organizationId,
+    name: String(name).trim(),
+    key_hash: hashSecret(secret),
+    key_hint: secret.slice(-4),
+    scopes: validateScopes(scopes),
+    created_by: createdBy,
+    last_used_at: null,
+    rotated_at: null,
+    expires_at: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+    revoked_at: null
+  });
+  return { apiKey: toApiKey(row), key: formatKey(id, secret) };
+}
+
+async function listApiKeys(organizationId) {
+  const rows = await store.find({ organization_id: organizationId }, { orderBy: 'created_at', ascending: false });
+  return rows.map(toApiKey);
+}
+
+async function getApiKey(organizationId, keyId) {
+  const row = await store.get(keyId);
+  if (!row || row.organization_id !== organizationId) return null;
+  return row;
+}
+
+/**
+ * Replace a key's secret; the old key stops working immediately
+ */
+async function rotateApiKey(organizationId, keyId) {
+  const row = await getApiKey(organizationId, keyId);
+  if (!row) throw keyError('API key not found', 404);
+  if (!isActive(row)) throw keyError('API key is revoked or expired', 409);
+
+  const secret = newSecret();
+  const updated = await store.update(keyId, {
+    key_hash: hashSecret(secret),
+    key_hint: secret.slice(-4),
+    rotated_at: new Date().toISOString()
+  });
+  return { apiKey: toApiKey(updated), key: formatKey(keyId, secret) };
+}
+
+async function revokeApiKey(organizationId, keyId) {
+  const row = await getApiKey(organizationId, keyId);
+  if (!row) throw keyError('API key not found', 404);
+  if (row.revoked_at) return toApiKey(row);
+  return toApiKey(await store.update(keyId, { revoked_at: new Date().toISOString() }));
+}
+
+/**
+ * Resolve a presented key to its record (null if unknown, revoked, expired or wrong secret)
+ * Also records when the key was last used.
+ */
+async function authenticateApiKey(apiKey) {
+  const parsed = parseKey(apiKey);
+  if (!parsed) return null;
+
+  const row = await store.get(parsed.keyId);
+  if (!isActive(row)) return null;
+
+  const expected = Buffer.from(row.key_hash, 'hex');
+  const presented = Buffer.from(hashSecret(parsed.secret), 'hex');
+  if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) return null;
+
+  if (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+    await store.update(row.id, { last_used_at: new Date().toISOString() }).catch(error => {
+      console.error(`❌ Failed to record API key use (${row.id}):`, error.message);
+    });
+  }
+  return toApiKey(row);
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+  setApiKeyStore
+};
@@ -0,0 +1,40 @@
+const winston = require('winston');
+
+// Security audit trail for authentication events (failed logins, lockouts, throttling)
+// Written as JSON lines so they can be shipped to a SIEM / log explorer as-is.
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { category: 'auth_audit' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/auth-audit.log' })
+  ]
+});
+
+// Events that indicate an attack or a user in trouble are logged as warnings
+const WARNING_EVENTS = new Set([
+  'login_failed',
+  'login_blocked',
+  'account_locked',
+  'ip_locked',
+  'mfa_failed',
+  'rate_limited'
+]);
+
+/**
+ * Record an authentication event
+ * @param {string} event - e.g. login_failed, login_succeeded, account_locked, rate_limited
+ * @param {object} details - ip, email, userId, reason, retryAfterSeconds ...
+ */
+function logAuthEvent(event, details = {}) {
+  const level = WARNING_EVENTS.has(event) ? 'warn' : 'info';
+  logger.log(level, `🛡️ ${event}`, { event, ...details });
+}
+
+module.exports = {
+  logAuthEvent
+};
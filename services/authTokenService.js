@@ -0,0 +1,79 @@
+// Signed, expiring, one-time tokens for email verification and password reset
+// Tokens are JWTs (signature + expiry) whose jti is recorded in `auth_tokens`;
+// a token is accepted once, and issuing a new one supersedes older unused tokens of the same purpose.
+
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./stores');
+
+const TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || process.env.SUPABASE_JWT_SECRET || 'supersecretkey';
+
+const TOKEN_TTL = {
+  verify_email: process.env.VERIFY_EMAIL_TOKEN_TTL || '48h',
+  password_reset: process.env.PASSWORD_RESET_TOKEN_TTL || '1h'
+};
+
+let store = createStore('auth_tokens');
+
+/**
+ * Swap the underlying store (tests, offline tooling)
+ */
+function setAuthTokenStore(adapter) {
+  store = adapter;
+}
+
+/**
+ * Issue a one-time token for a user and purpose
+ */
+async function issueToken(userId, purpose) {
+  if (!TOKEN_TTL[purpose]) throw new Error(`Unknown token purpose: ${purpose}`);
+
+  // Older unused tokens for the same purpose stop working
+  const previous = await store.find({ user_id: userId, purpose, used_at: null });
+  for (const record of previous) {
+    await store.update(record.id, { used_at: new Date().toISOString() });
+  }
+
+  const jti = uuidv4();
+  const token = jwt.sign({ sub: userId, purpose }, TOKEN_SECRET, { expiresIn: TOKEN_TTL[purpose], jwtid: jti });
+  const { exp } = jwt.decode(token);
+  await store.insert({
+    id: jti,
+    user_id: userId,
+    purpose,
+    expires_at: new Date(exp * 1000).toISOString(),
+    used_at: null
+  });
+  return token;
+}
+
+/**
+ * Verify and burn a one-time token
+ * @returns {Promise<string>} the user id the token was issued for
+ */
+async function consumeToken(token, purpose) {
+  let payload;
+  try {
+    payload = jwt.verify(token, TOKEN_SECRET);
+  } catch (error) {
+    throw tokenError('Invalid or expired token');
+  }
+  if (payload.purpose !== purpose) throw tokenError('Invalid or expired token');
+
+  // Compare-and-set, so two requests with the same token can't both use it
+  const [record] = await store.updateWhere({ id: payload.jti, used_at: null }, { used_at: new Date().toISOString() });
+  if (!record) throw tokenError('Token has already been used');
+  return payload.sub;
+}
+
+function tokenError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+module.exports = {
+  issueToken,
+  consumeToken,
+  setAuthTokenStore
+};
@@ -0,0 +1,104 @@
+// Analysis pipeline checkpoints
+// Each stage's output is stored under the video's prefix as it completes, so an interrupted or
+// failed analysis can resume without re-extracting frames or paying for model calls again:
+//   videos/<videoId>/checkpoints/manifest.json            videoFileName, original matchMetadata, completed stages
+//   videos/<videoId>/checkpoints/frames.json              extracted frames (fileName null for frames that failed)
+//   videos/<videoId>/checkpoints/gpt4_frames.json         per-frame GPT-4 analyses (saved after every frame)
+//   videos/<videoId>/checkpoints/match_summary.json       GPT-4 match summary
+//   videos/<videoId>/checkpoints/claude_enhancement.json  Claude tactical enhancement
+// Checkpoints follow the results retention policy (resultsDays).
+
+const PIPELINE_STAGES = ['frame_extraction', 'gpt4_analysis', 'claude_enhancement', 'final_report'];
+
+const CHECKPOINT_FILES = {
+  frames: 'frames.json',
+  frameAnalyses: 'gpt4_frames.json',
+  matchSummary: 'match_summary.json',
+  enhancement: 'claude_enhancement.json'
+};
+
+function checkpointPrefix(videoId) {
+  return `videos/${videoId}/checkpoints/`;
+}
+
+async function readJson(storage, fileName) {
+  if (!(await storage.fileExists(fileName))) return null;
+  try {
+    return JSON.parse((await storage.get(fileName)).toString());
+  } catch (error) {
+    console.warn(`⚠️ Ignoring unreadable checkpoint ${fileName}: ${error.message}`);
+    return null;
+  }
+}
+
+async function writeJson(storage, fileName, data, videoId) {
+  await storage.put(fileName, JSON.stringify(data), {
+    contentType: 'application/json',
+    metadata: { videoId }
+  });
+}
+
+/**
+ * Load every checkpoint for a video
+ * @returns {Promise<object|null>} { manifest, frames, frameAnalyses, matchSummary, enhancement } or null
+ */
+async function loadCheckpoint(storage, videoId) {
+  const manifest = await readJson(storage, `${checkpointPrefix(videoId)}manifest.json`);
+  if (!manifest) return null;
+  const checkpoint = { manifest };
+  for (const [key, file] of Object.entries(CHECKPOINT_FILES)) {
+    checkpoint[key] = await readJson(storage, `${checkpointPrefix(videoId)}${file}`);
+  }
+  return checkpoint;
+}
+
+/**
+ * Start a fresh set of checkpoints (drops any from a previous analysis of the video)
+ */
+async function startCheckpoint(storage, videoId, { videoFileName, matchMetadata }) {
+  await storage.deletePrefix(checkpointPrefix(videoId));
+  const manifest = {
+    videoId,
+    videoFileName,
+    matchMetadata,
+    stages: {},
+    createdAt: new Date().toISOString()
+  };
+  await writeJson(storage, `${checkpointPrefix(videoId)}manifest.json`, manifest, videoId);
+  return manifest;
+}
+
+/**
+ * Store one checkpoint artifact; pass `stage` once the stage is complete to record it in the manifest
+ * Failures are logged, never thrown: a missing checkpoint only means more work on resume.
+ */
+async function saveCheckpoint(storage, videoId, key, data, { stage } = {}) {
+  try {
+    await writeJson(storage, `${checkpointPrefix(videoId)}${CHECKPOINT_FILES[key]}`, data, videoId);
+    if (stage) {
+      const manifestFile = `${checkpointPrefix(videoId)}manifest.json`;
+      const manifest = (await readJson(storage, manifestFile)) || { videoId, stages: {} };
+      manifest.stages[stage] = { completedAt: new Date().toISOString() };
+      await writeJson(storage, manifestFile, manifest, videoId);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to save ${key} checkpoint for video ${videoId}:`, error.message);
+  }
+}
+
+/**
+ * Stored original metadata and completed stages, for the resume endpoint
+ * @returns {Promise<object|null>} the manifest
+ */
+async function getManifest(storage, videoId) {
+  return readJson(storage, `${checkpointPrefix(videoId)}manifest.json`);
+}
+
+module.exports = {
+  PIPELINE_STAGES,
+  checkpointPrefix,
+  loadCheckpoint,
+  startCheckpoint,
+  saveCheckpoint,
+  getManifest
+};
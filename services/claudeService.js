@@ -10,7 +10,7 @@ class ClaudeService {
   /**
    * Enhance GPT-4 analysis with Claude tactical intelligence - FIXED to use REAL data only
    */
-  async enhanceTacticalAnalysis(gpt4Analysis, matchMetadata) {
+  async enhanceTacticalAnalysis(gpt4Analysis, matchMetadata, { signal } = {}) {
     try {
       console.log('🧠 Enhancing analysis with Claude tactical intelligence...');
       
@@ -76,7 +76,7 @@ Based on this REAL analysis data, provide tactical intelligence. Return ONLY val
 IMPORTANT: Base all insights on the REAL GPT-4 data provided. Do not generate hypothetical scenarios.`
           }
         ]
-      });
+      }, { signal });
 
       const enhancement = this.parseClaudeResponse(response.content[0].text);
       
@@ -100,6 +100,8 @@ IMPORTANT: Base all insights on the REAL GPT-4 data provided. Do not generate hy
       };
       
     } catch (error) {
+      // Cancelled analyses stop here rather than falling back
+      if (signal?.aborted) throw signal.reason;
       console.error('❌ Claude enhancement failed:', error);
       
       // FIXED: Fall back to real GPT-4 data instead of mock data
@@ -199,7 +201,7 @@ IMPORTANT: Base all insights on the REAL GPT-4 data provided. Do not generate hy
   /**
    * Generate final tactical report - FIXED to use real Claude data
    */
-  async generateFinalReport(enhancedAnalysis, matchMetadata, processingStats) {
+  async generateFinalReport(enhancedAnalysis, matchMetadata, processingStats, { signal } = {}) {
     try {
       console.log('📊 Generating final tactical report...');
       
@@ -275,7 +277,7 @@ Return ONLY valid JSON in this exact format:
 }`
           }
         ]
-      });
+      }, { signal });
 
       const finalReport = this.parseClaudeResponse(response.content[0].text);
       
@@ -301,6 +303,7 @@ Return ONLY valid JSON in this exact format:
       };
       
     } catch (error) {
+      if (signal?.aborted) throw signal.reason;
       console.error('❌ Final report generation failed:', error);
       
       // FIXED: Use real enhanced analysis data instead of mock
@@ -0,0 +1,119 @@
+// Streaming multipart receiver for POST /api/upload/direct
+// The `video` part is piped straight into the storage backend (never buffered in memory) while its
+// SHA-256 and size are computed on the fly. Going over the size limit aborts the write and rejects
+// with a LIMIT_FILE_SIZE error, which errorHandler turns into a 413.
+
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const Busboy = require('busboy');
+
+const MAX_FILE_SIZE = 500 * 1024 * 1024; // 500MB, as advertised by errorHandler's 413 response
+const FILE_FIELD = 'video';
+
+function uploadError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+}
+
+/**
+ * Stream the multipart `video` part of a request into storage
+ * Text fields sent before the file (e.g. matchMetadata) are passed to `buildMetadata` for the
+ * object metadata; all fields are returned once the request has been read.
+ * @param {object} options
+ * @param {object} options.storage - storage instance (storageService.forOrganization)
+ * @param {string} options.videoId - the object is written to `videos/<videoId>/<originalName>`
+ * @param {function} [options.buildMetadata] - (fields, originalName) => object metadata
+ * @returns {Promise<{fileName, originalName, contentType, size, sha256, fields}>}
+ */
+function receiveVideo(req, { storage, videoId, buildMetadata = () => ({}) }) {
+  return new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({ headers: req.headers, limits: { fileSize: MAX_FILE_SIZE, files: 1, fields: 50 } });
+    } catch (error) {
+      return reject(uploadError('Expected a multipart/form-data request', 400));
+    }
+
+    const fields = {};
+    let upload = null;
+    let failed = false;
+
+    // Stop parsing, let the rest of the request body drain and reject once
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      req.unpipe(busboy);
+      req.resume();
+      reject(error);
+    };
+
+    busboy.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    busboy.on('file', (name, file, info) => {
+      if (name !== FILE_FIELD || upload || failed) {
+        file.resume();
+        return fail(uploadError(`Unexpected file field: ${name}`, 400, 'LIMIT_UNEXPECTED_FILE'));
+      }
+      if (!info.mimeType || !info.mimeType.startsWith('video/')) {
+        file.resume();
+        return fail(uploadError('Only video files are allowed', 400, 'LIMIT_UNEXPECTED_FILE'));
+      }
+
+      const originalName = path.basename(info.filename || 'video');
+      const fileName = `videos/${videoId}/${originalName}`;
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+
+      const meter = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          hash.update(chunk);
+          callback(null, chunk);
+        }
+      });
+      // busboy truncates at the limit; abort the write rather than store a partial video
+      file.on('limit', () => {
+        meter.destroy(uploadError('Video file exceeds 500MB limit', 413, 'LIMIT_FILE_SIZE'));
+      });
+      file.on('error', error => meter.destroy(error));
+      file.pipe(meter);
+
+      upload = storage.put(fileName, meter, {
+        contentType: info.mimeType,
+        metadata: buildMetadata({ ...fields }, originalName)
+      })
+        .then(() => ({ fileName, originalName, contentType: info.mimeType, size, sha256: hash.digest('hex') }))
+        .catch(async (error) => {
+          fail(error);
+          await storage.delete(fileName).catch(() => {});
+          throw error;
+        });
+      upload.catch(() => {});
+    });
+
+    busboy.on('close', async () => {
+      if (failed) return;
+      if (!upload) return fail(uploadError('No video file provided', 400));
+      try {
+        resolve({ ...(await upload), fields });
+      } catch (error) {
+        // already rejected via fail()
+      }
+    });
+
+    busboy.on('error', error => fail(uploadError(`Malformed multipart body: ${error.message}`, 400)));
+    req.on('aborted', () => fail(uploadError('Upload aborted by client', 400)));
+
+    req.pipe(busboy);
+  });
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  receiveVideo
+};
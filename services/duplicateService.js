@@ -0,0 +1,81 @@
+// Duplicate upload detection for TAHLEEL.ai
+// Every verified upload gets a content fingerprint recorded in video_uploads.metadata.content_fingerprint.
+// The fingerprint is a SHA-256 over the object size and three 4MB samples (start, middle, end), so it
+// is the same whichever way the file was uploaded and costs at most 12MB of reads for a 6GB match.
+// A fingerprint match inside the same organization (or the same uploader without a club) is a duplicate.
+
+const crypto = require('crypto');
+const storageService = require('./storageService');
+const { findVideoUploadsByFingerprint } = require('./videoUploadService');
+
+const SAMPLE_BYTES = 4 * 1024 * 1024;
+
+function hashRange(storage, fileName, hash, start, end) {
+  return new Promise((resolve, reject) => {
+    storage.createReadStream(fileName, { start, end })
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', resolve);
+  });
+}
+
+/**
+ * Compute the content fingerprint of a stored video
+ * @param {number} size - object size in bytes
+ * @returns {Promise<string>} `v1:<sha256 hex>`
+ */
+async function computeFingerprint(storage, fileName, size) {
+  const hash = crypto.createHash('sha256').update(`${size}:`);
+  if (size <= SAMPLE_BYTES * 3) {
+    await hashRange(storage, fileName, hash, 0, Math.max(size - 1, 0));
+  } else {
+    const middle = Math.floor(size / 2) - SAMPLE_BYTES / 2;
+    for (const start of [0, middle, size - SAMPLE_BYTES]) {
+      await hashRange(storage, fileName, hash, start, start + SAMPLE_BYTES - 1);
+    }
+  }
+  return `v1:${hash.digest('hex')}`;
+}
+
+/**
+ * Find an earlier upload with the same fingerprint visible to the uploader's club
+ * Rejected, expired and deleted uploads and uploads that are themselves duplicates are ignored:
+ * their originals are gone or were never accepted, so they can't stand in for a new upload.
+ * @returns {Promise<object|null>} the video_uploads record
+ */
+async function findDuplicate(fingerprint, { user, excludeVideoId }) {
+  const candidates = await findVideoUploadsByFingerprint(fingerprint, {
+    organizationId: user.organizationId || null,
+    uploadedBy: user.id
+  });
+  return candidates.find(upload =>
+    upload.id !== excludeVideoId &&
+    !['rejected', 'duplicate', 'awaiting_upload', 'expired', 'deleted'].includes(upload.processing_status)
+  ) || null;
+}
+
+/**
+ * Summary of the stored analysis for a video (null when it was never analysed)
+ * @param {object} [upload] - its video_uploads record, if already loaded
+ */
+async function getExistingAnalysis(videoId, upload) {
+  try {
+    const storage = await storageService.forVideo(videoId, upload);
+    if (!(await storage.fileExists(`results/${videoId}/analysis.json`))) return null;
+    const result = await storage.downloadAnalysisResult(videoId);
+    return {
+      videoId: videoId,
+      status: result.analysis_state?.status || 'unknown',
+      completedAt: result.analysis_state?.endTime || null,
+      resultsUrl: `/api/results/${videoId}`
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  computeFingerprint,
+  findDuplicate,
+  getExistingAnalysis
+};
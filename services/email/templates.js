@@ -0,0 +1,67 @@
+// Per-message-type email templates for TAHLEEL.ai
+// Each type has its own SendGrid dynamic template (overridable via env) plus a local
+// subject/text/html rendering used by SMTP and the file outbox transport.
+
+const LEGACY_TEMPLATE_ID = 'd-7a72a2ef1e3345d38ab441aa26e5c638';
+
+const templates = {
+  subscription_confirmation: {
+    sendgridTemplateId: process.env.SENDGRID_TEMPLATE_SUBSCRIPTION_CONFIRMATION || LEGACY_TEMPLATE_ID,
+    subject: () => 'Confirm your TAHLEEL.ai account',
+    text: ({ coach_name, confirm_link }) =>
+      `Hello ${coach_name || 'Coach'},\n\n` +
+      'Welcome to TAHLEEL.ai tactical intelligence.\n' +
+      `Please confirm your email address: ${confirm_link}\n`
+  },
+  password_reset: {
+    sendgridTemplateId: process.env.SENDGRID_TEMPLATE_PASSWORD_RESET || process.env.SENDGRID_PASSWORD_RESET_TEMPLATE_ID,
+    subject: () => 'Reset your TAHLEEL.ai password',
+    text: ({ coach_name, reset_link }) =>
+      `Hello ${coach_name || 'Coach'},\n\n` +
+      `Choose a new password here (link valid for one hour): ${reset_link}\n\n` +
+      'If you did not request this, you can ignore this email.\n'
+  },
+  quota_exceeded: {
+    sendgridTemplateId: process.env.SENDGRID_TEMPLATE_QUOTA_EXCEEDED,
+    subject: () => 'Your TAHLEEL.ai monthly analysis quota is used up',
+    text: ({ coach_name, quota_used, quota_limit }) =>
+      `Hello ${coach_name || 'Coach'},\n\n` +
+      `You have used ${quota_used} of ${quota_limit} analyses this month.\n` +
+      'Please contact support@tahleel.ai to upgrade your plan.\n'
+  },
+  organization_invite: {
+    sendgridTemplateId: process.env.SENDGRID_TEMPLATE_ORGANIZATION_INVITE,
+    subject: ({ organization_name }) => `You're invited to join ${organization_name} on TAHLEEL.ai`,
+    text: ({ organization_name, inviter_name, role, invites_link }) =>
+      'Hello,\n\n' +
+      `${inviter_name || 'A head coach'} invited you to join ${organization_name} as ${role}.\n` +
+      `Sign in with this email address to accept or decline: ${invites_link}\n\n` +
+      'Nothing changes on your account unless you accept.\n'
+  }
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+/**
+ * Render a message type into subject/text/html plus its SendGrid template id
+ */
+function renderTemplate(type, data = {}) {
+  const template = templates[type];
+  if (!template) throw new Error(`Unknown email type: ${type}`);
+  const text = template.text(data);
+  return {
+    type,
+    subject: template.subject(data),
+    text,
+    html: `<div style="font-family: Arial, sans-serif">${escapeHtml(text).replace(/(https?:\/\/[^\s]+)/g, '<a href="$1">$1</a>').replace(/\n/g, '<br>')}</div>`,
+    sendgridTemplateId: template.sendgridTemplateId || null,
+    data
+  };
+}
+
+module.exports = {
+  templates,
+  renderTemplate
+};
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * File transport: writes every rendered message to disk instead of sending it (development/tests)
+ */
+class FileTransport {
+  constructor({ dir = process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'data', 'mail') } = {}) {
+    this.name = 'file';
+    this.dir = dir;
+  }
+
+  async send(message) {
+    const messageId = uuidv4();
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}_${message.type}_${messageId}.json`;
+    await fs.promises.writeFile(
+      path.join(this.dir, fileName),
+      JSON.stringify({ messageId, writtenAt: new Date().toISOString(), ...message }, null, 2)
+    );
+    console.log(`📝 Email written to ${path.join(this.dir, fileName)}`);
+    return { messageId };
+  }
+}
+
+module.exports = FileTransport;
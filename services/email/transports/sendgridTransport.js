@@ -0,0 +1,33 @@
+const sgMail = require('@sendgrid/mail');
+
+/**
+ * SendGrid transport: dynamic templates when configured, rendered content otherwise
+ */
+class SendGridTransport {
+  constructor({ apiKey = process.env.SENDGRID_API_KEY } = {}) {
+    this.name = 'sendgrid';
+    if (!apiKey) throw new Error('SENDGRID_API_KEY is required for the sendgrid email transport');
+    sgMail.setApiKey(apiKey);
+  }
+
+  async send(message) {
+    const msg = message.sendgridTemplateId
+      ? {
+          to: message.to,
+          from: message.from,
+          templateId: message.sendgridTemplateId,
+          dynamic_template_data: message.data
+        }
+      : {
+          to: message.to,
+          from: message.from,
+          subject: message.subject,
+          text: message.text,
+          html: message.html
+        };
+    const [response] = await sgMail.send(msg);
+    return { messageId: response?.headers?.['x-message-id'] || null };
+  }
+}
+
+module.exports = SendGridTransport;
@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP transport (self-hosted relays, Mailpit/MailHog in development)
+ */
+class SmtpTransport {
+  constructor({
+    host = process.env.SMTP_HOST || 'localhost',
+    port = parseInt(process.env.SMTP_PORT) || 587,
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS
+  } = {}) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail({
+      to: message.to,
+      from: message.from,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
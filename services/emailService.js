@@ -1,25 +1,227 @@
-const sgMail = require('@sendgrid/mail');
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+// Transactional email for TAHLEEL.ai
+// EMAIL_TRANSPORT=sendgrid | smtp | file (defaults to sendgrid when SENDGRID_API_KEY is set, else file).
+// The file transport only writes messages to disk, so NODE_ENV=production refuses to start with it.
+// Sends are retried with exponential backoff; if they still fail the message (type and template
+// data) is parked in the persisted `email_outbox` and re-sent by the outbox worker, so nothing is
+// silently lost. Links with a one-time token (verification, password reset) are stored as a template:
+// the token is issued right before each send, so the outbox never holds a usable token.
+// Outbox workers claim a message (compare-and-set to 'sending') before sending it, so several API
+// processes flushing the same outbox don't send it twice; a claim left by a crashed worker expires.
+
+const { v4: uuidv4 } = require('uuid');
+const { renderTemplate } = require('./email/templates');
+const { createStore } = require('./stores');
+const authTokenService = require('./authTokenService');
 
 const EMAIL_FROM = process.env.EMAIL_FROM || 'connect@auwiretech.com';
+const SEND_RETRIES = parseInt(process.env.EMAIL_SEND_RETRIES) || 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.EMAIL_RETRY_BASE_DELAY_MS) || 500;
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || 10;
+const OUTBOX_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+let transport = null;
+let outbox = createStore('email_outbox');
+
+/**
+ * Build the configured transport on first use (no API calls at require time)
+ */
+function getTransport() {
+  if (transport) return transport;
+  const name = process.env.EMAIL_TRANSPORT || (process.env.SENDGRID_API_KEY ? 'sendgrid' : 'file');
+  if (name === 'file' && process.env.NODE_ENV === 'production') {
+    throw new Error('No email transport configured for production: set SENDGRID_API_KEY or EMAIL_TRANSPORT=smtp');
+  }
+  switch (name) {
+    case 'sendgrid': {
+      const SendGridTransport = require('./email/transports/sendgridTransport');
+      transport = new SendGridTransport();
+      break;
+    }
+    case 'smtp': {
+      const SmtpTransport = require('./email/transports/smtpTransport');
+      transport = new SmtpTransport();
+      break;
+    }
+    case 'file': {
+      const FileTransport = require('./email/transports/fileTransport');
+      transport = new FileTransport();
+      break;
+    }
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+  }
+  console.log(`📧 Email transport: ${transport.name}`);
+  return transport;
+}
+
+/**
+ * Swap the transport / outbox store (tests, offline tooling)
+ */
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+function setOutboxStore(adapter) {
+  outbox = adapter;
+}
+
+/**
+ * Send with exponential backoff between attempts
+ */
+async function sendWithRetry(message) {
+  let lastError;
+  for (let attempt = 1; attempt <= SEND_RETRIES; attempt++) {
+    try {
+      return await getTransport().send(message);
+    } catch (error) {
+      lastError = error;
+      console.error(`❌ Email send failed (${message.type} to ${message.to}, attempt ${attempt}/${SEND_RETRIES}):`, error.message);
+      if (attempt < SEND_RETRIES) {
+        await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1)));
+      }
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Render a message, issuing the one-time token of its link first
+ * @param {object} [tokenLink] - { user_id, purpose, field, url } where url contains `{token}`
+ */
+async function buildMessage(type, to, data, tokenLink) {
+  let templateData = data;
+  if (tokenLink) {
+    const token = await authTokenService.issueToken(tokenLink.user_id, tokenLink.purpose);
+    templateData = { ...data, [tokenLink.field]: tokenLink.url.replace('{token}', encodeURIComponent(token)) };
+  }
+  return { ...renderTemplate(type, templateData), to, from: EMAIL_FROM };
+}
+
+/**
+ * Render and send a message type; parks it in the outbox if every retry fails
+ * @param {object} [tokenLink] - one-time token link added to `data` at send time (see buildMessage)
+ * @returns {Promise<{status: 'sent'|'queued', messageId?: string, outboxId?: string}>}
+ */
+async function deliver(type, to, data, tokenLink = null) {
+  try {
+    const message = await buildMessage(type, to, data, tokenLink);
+    const { messageId } = await sendWithRetry(message);
+    return { status: 'sent', messageId };
+  } catch (error) {
+    const record = await outbox.insert({
+      id: uuidv4(),
+      type,
+      recipient: to,
+      data,
+      token_link: tokenLink,
+      status: 'pending',
+      claim_expires_at: null,
+      attempts: SEND_RETRIES,
+      last_error: error.message,
+      next_attempt_at: new Date(Date.now() + 60 * 1000).toISOString(),
+      sent_at: null
+    });
+    console.warn(`📥 Email ${type} to ${to} queued in outbox (${record.id}) after ${SEND_RETRIES} failed attempts`);
+    return { status: 'queued', outboxId: record.id };
+  }
+}
+
+/**
+ * Claim the outbox messages that are due: pending ones past next_attempt_at, and ones whose
+ * sender's claim expired. Each claim is a compare-and-set, so only one worker gets a message.
+ */
+async function claimDueMessages() {
+  const now = new Date();
+  const candidates = [
+    ...(await outbox.find({ status: 'pending' })).filter(record => new Date(record.next_attempt_at) <= now),
+    ...(await outbox.find({ status: 'sending' })).filter(record => new Date(record.claim_expires_at) <= now)
+  ];
+
+  const claimed = [];
+  for (const record of candidates) {
+    const [row] = await outbox.updateWhere(
+      { id: record.id, status: record.status, claim_expires_at: record.claim_expires_at ?? null },
+      { status: 'sending', claim_expires_at: new Date(Date.now() + OUTBOX_CLAIM_TIMEOUT_MS).toISOString() }
+    );
+    if (row) claimed.push(row);
+  }
+  return claimed;
+}
+
+/**
+ * Retry outbox messages that are due
+ */
+async function flushOutbox() {
+  const due = await claimDueMessages();
+  let sent = 0;
+
+  for (const record of due) {
+    try {
+      await getTransport().send(await buildMessage(record.type, record.recipient, record.data, record.token_link));
+      await outbox.update(record.id, { status: 'sent', claim_expires_at: null, sent_at: new Date().toISOString() });
+      sent++;
+    } catch (error) {
+      const attempts = record.attempts + 1;
+      const backoffMinutes = Math.min(2 ** (attempts - SEND_RETRIES), 60);
+      await outbox.update(record.id, {
+        attempts,
+        last_error: error.message,
+        status: attempts >= OUTBOX_MAX_ATTEMPTS ? 'failed' : 'pending',
+        claim_expires_at: null,
+        next_attempt_at: new Date(Date.now() + backoffMinutes * 60 * 1000).toISOString()
+      });
+      if (attempts >= OUTBOX_MAX_ATTEMPTS) {
+        console.error(`🚨 Email ${record.type} to ${record.recipient} permanently failed after ${attempts} attempts`);
+      }
+    }
+  }
+
+  if (due.length > 0) {
+    console.log(`📤 Outbox flush: ${sent}/${due.length} queued emails sent`);
+  }
+  return { due: due.length, sent };
+}
+
+/**
+ * Periodically flush the outbox (throws when no email transport can be built)
+ */
+function startOutboxWorker(intervalMs = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 60 * 1000) {
+  getTransport(); // fail at startup, not on the first email, when no transport is configured
+  return setInterval(() => {
+    flushOutbox().catch(error => console.error('❌ Outbox flush failed:', error));
+  }, intervalMs);
+}
 
 /**
  * Send subscription/registration confirmation email
  * @param {string} to - recipient email
  * @param {string} coach_name - coach or user name
- * @param {string} confirm_link - link for confirmation (if needed)
- */
-async function sendSubscriptionConfirmation({ to, coach_name, confirm_link }) {
-  const msg = {
-    to,
-    from: EMAIL_FROM,
-    templateId: 'd-7a72a2ef1e3345d38ab441aa26e5c638', // your template
-    dynamic_template_data: {
-      coach_name,
-      confirm_link
-    }
-  };
-  await sgMail.send(msg);
+ * @param {string} user_id - user whose address is confirmed
+ * @param {string} confirm_url - confirmation link with a `{token}` placeholder (token issued at send time)
+ */
+async function sendSubscriptionConfirmation({ to, coach_name, user_id, confirm_url }) {
+  return deliver('subscription_confirmation', to, { coach_name }, {
+    user_id,
+    purpose: 'verify_email',
+    field: 'confirm_link',
+    url: confirm_url
+  });
+}
+
+/**
+ * Send password reset email
+ * @param {string} to - recipient email
+ * @param {string} coach_name - coach or user name
+ * @param {string} user_id - user resetting their password
+ * @param {string} reset_url - reset link with a `{token}` placeholder (token issued at send time)
+ */
+async function sendPasswordReset({ to, coach_name, user_id, reset_url }) {
+  return deliver('password_reset', to, { coach_name }, {
+    user_id,
+    purpose: 'password_reset',
+    field: 'reset_link',
+    url: reset_url
+  });
 }
 
 /**
@@ -30,20 +232,29 @@ async function sendSubscriptionConfirmation({ to, coach_name, confirm_link }) {
  * @param {number} quota_limit - monthly limit
  */
 async function sendQuotaExceededNotification({ to, coach_name, quota_used, quota_limit }) {
-  const msg = {
-    to,
-    from: EMAIL_FROM,
-    templateId: 'd-7a72a2ef1e3345d38ab441aa26e5c638', // same template or another
-    dynamic_template_data: {
-      coach_name,
-      quota_used,
-      quota_limit
-    }
-  };
-  await sgMail.send(msg);
+  return deliver('quota_exceeded', to, { coach_name, quota_used, quota_limit });
+}
+
+/**
+ * Send a club invitation (the invitee accepts after signing in; the email carries no token)
+ * @param {string} to - invited email
+ * @param {string} organization_name - club name
+ * @param {string} inviter_name - head coach who sent the invite
+ * @param {string} role - club role offered
+ * @param {string} invites_link - page listing the user's pending invites
+ */
+async function sendOrganizationInvite({ to, organization_name, inviter_name, role, invites_link }) {
+  return deliver('organization_invite', to, { organization_name, inviter_name, role, invites_link });
 }
 
 module.exports = {
   sendSubscriptionConfirmation,
-  sendQuotaExceededNotification
+  sendOrganizationInvite,
+  sendPasswordReset,
+  sendQuotaExceededNotification,
+  deliver,
+  flushOutbox,
+  startOutboxWorker,
+  setTransport,
+  setOutboxStore
 };
@@ -1,5 +1,6 @@
 const ffmpeg = require('fluent-ffmpeg');
-const gcsService = require('./gcsService');
+const storageService = require('./storageService');
+const transcodeService = require('./transcodeService');
 const winston = require('winston');
 const path = require('path');
 const os = require('os');
@@ -29,35 +30,57 @@ class FrameService {
   }
 
   /**
-   * Extract frames from video stored in GCS
+   * Extract frames from video in object storage
    * Parallelized for performance
+   * @param {object} [options]
+   * @param {object[]} [options.previousFrames] - frames from a checkpoint: frames still in storage are
+   *   kept (with fresh signed URLs), only failed or missing ones are extracted again
+   * @param {AbortSignal} [options.signal] - cancels the extraction and kills running ffmpeg processes
    */
-  async extractFrames(videoFileName, videoId, progressCallback) {
+  async extractFrames(videoFileName, videoId, progressCallback, { previousFrames, signal } = {}) {
     logger.info(`🎬 Starting frame extraction for video: ${videoFileName}`, { videoId });
     try {
-      // Generate signed URL for video download
-      const videoUrl = await gcsService.generateSignedDownloadUrl(videoFileName);
+      const storage = await storageService.forVideo(videoId);
+      const extractedFrames = [];
+      let completed = 0;
+      let frameTimestamps;
 
-      // Get video duration first
-      const duration = await this.getVideoDuration(videoUrl);
-      logger.info(`⏱️ Video duration: ${duration} seconds`, { videoId });
+      if (Array.isArray(previousFrames) && previousFrames.length > 0) {
+        const stored = new Set((await storage.list(`frames/${videoId}/`)).map(object => object.name));
+        frameTimestamps = previousFrames.map(frame => frame.timestamp);
+        for (const [i, frame] of previousFrames.entries()) {
+          if (!frame.fileName || !stored.has(frame.fileName)) continue;
+          extractedFrames[i] = { ...frame, url: await storage.getFrameUrl(frame.fileName) };
+          completed++;
+        }
+        logger.info(`♻️ Reusing ${completed}/${frameTimestamps.length} checkpointed frames`, { videoId });
+        if (completed === frameTimestamps.length) return extractedFrames;
+      }
 
-      // Calculate frame timestamps
-      const frameTimestamps = this.calculateFrameTimestamps(duration);
-      logger.info(`🖼️ Will extract ${frameTimestamps.length} frames`, { videoId });
+      // Generate signed URL for the normalized proxy (or the original if it can't be made)
+      const videoUrl = await this.getSourceUrl(storage, videoFileName, videoId, signal);
 
-      const extractedFrames = [];
-      let completed = 0;
+      if (!frameTimestamps) {
+        // Get video duration first
+        const duration = await this.getVideoDuration(videoUrl);
+        logger.info(`⏱️ Video duration: ${duration} seconds`, { videoId });
 
-      // Parallelize frame extraction and upload
+        // Calculate frame timestamps
+        frameTimestamps = this.calculateFrameTimestamps(duration);
+      }
+      logger.info(`🖼️ Will extract ${frameTimestamps.length - completed} frames`, { videoId });
+
+      // Parallelize frame extraction and upload (skipping frames kept from the checkpoint)
       const tasks = frameTimestamps.map((timestamp, i) => async () => {
+        if (extractedFrames[i]) return;
         for (let attempt = 1; attempt <= RETRY_LIMIT + 1; attempt++) {
+          signal?.throwIfAborted();
           try {
             // Extract frame as buffer
-            const frameBuffer = await this.extractFrameAtTimestamp(videoUrl, timestamp);
-            // Upload frame to GCS
-            const frameFileName = await gcsService.uploadFrame(frameBuffer, videoId, i + 1);
-            const frameUrl = await gcsService.getFrameUrl(frameFileName);
+            const frameBuffer = await this.extractFrameAtTimestamp(videoUrl, timestamp, signal);
+            // Upload frame to storage
+            const frameFileName = await storage.uploadFrame(frameBuffer, videoId, i + 1);
+            const frameUrl = await storage.getFrameUrl(frameFileName);
             extractedFrames[i] = {
               frameNumber: i + 1,
               timestamp: timestamp,
@@ -76,6 +99,7 @@ class FrameService {
             logger.info(`✅ Extracted frame ${i + 1} at ${timestamp}s`, { videoId, timestamp, frameFileName });
             break; // Success, exit retry loop
           } catch (err) {
+            if (signal?.aborted) throw signal.reason;
             logger.error(`❌ Failed to extract/upload frame at ${timestamp}s (Attempt ${attempt}): ${err.message}`, {
               videoId,
               timestamp,
@@ -105,11 +129,25 @@ class FrameService {
       return extractedFrames;
 
     } catch (error) {
+      if (signal?.aborted) throw signal.reason;
       logger.error('❌ Frame extraction failed', { videoId, error });
       throw new Error(`Frame extraction failed: ${error.message}`);
     }
   }
 
+  /**
+   * Signed URL to extract from: the 720p CFR proxy, transcoded on demand if the post-upload
+   * stage hasn't produced it yet; falls back to the original when transcoding fails.
+   * Aborting `signal` stops waiting for the proxy (and rejects with the abort reason).
+   */
+  async getSourceUrl(storage, videoFileName, videoId, signal) {
+    const proxyFileName = await transcodeService.ensureProxy(videoId, videoFileName, storage, { signal });
+    if (!proxyFileName) {
+      logger.warn(`⚠️ No proxy for video ${videoId}, extracting from the original`, { videoId });
+    }
+    return storage.generateSignedDownloadUrl(proxyFileName || videoFileName);
+  }
+
   /**
    * Utility: Run async tasks in batches for concurrency
    */
@@ -141,6 +179,55 @@ class FrameService {
     });
   }
 
+  /**
+   * Probe a video with ffprobe: duration, resolution, fps, codecs, bitrate and audio presence
+   * Rejects with code FFPROBE_UNAVAILABLE when ffprobe is not installed, UNDECODABLE otherwise
+   */
+  async probeVideo(videoUrl) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(videoUrl, (err, metadata) => {
+        if (err) {
+          logger.error('ffprobe failed', { videoUrl, error: err });
+          const error = new Error(`Failed to probe video: ${err.message}`);
+          error.code = /Cannot find ffprobe|ENOENT/.test(err.message) ? 'FFPROBE_UNAVAILABLE' : 'UNDECODABLE';
+          return reject(error);
+        }
+        resolve(this.summarizeProbe(metadata));
+      });
+    });
+  }
+
+  /**
+   * Reduce raw ffprobe output to the fields stored on the upload record
+   */
+  summarizeProbe(metadata) {
+    const streams = metadata.streams || [];
+    const video = streams.find(stream => stream.codec_type === 'video');
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+    const toNumber = (value) => {
+      const number = parseFloat(value);
+      return Number.isFinite(number) ? number : null;
+    };
+    const toFps = (rate) => {
+      const [num, den] = String(rate || '').split('/').map(Number);
+      if (!num || !den) return null;
+      return Math.round((num / den) * 100) / 100;
+    };
+
+    return {
+      durationSeconds: toNumber(metadata.format?.duration ?? video?.duration),
+      formatName: metadata.format?.format_name || null,
+      bitrate: toNumber(metadata.format?.bit_rate ?? video?.bit_rate),
+      hasVideo: !!video,
+      width: video?.width || null,
+      height: video?.height || null,
+      fps: video ? toFps(video.avg_frame_rate) || toFps(video.r_frame_rate) : null,
+      videoCodec: video?.codec_name || null,
+      hasAudio: !!audio,
+      audioCodec: audio?.codec_name || null
+    };
+  }
+
   /**
    * Calculate frame timestamps based on interval
    */
@@ -161,12 +248,19 @@ class FrameService {
 
   /**
    * Extract single frame at specific timestamp
+   * Aborting `signal` kills the ffmpeg process and rejects with the abort reason
    */
-  async extractFrameAtTimestamp(videoUrl, timestamp) {
+  async extractFrameAtTimestamp(videoUrl, timestamp, signal) {
+    signal?.throwIfAborted();
     // Save to temporary file due to ffmpeg/fluent-ffmpeg streaming issues under load
     const tmpFile = path.join(os.tmpdir(), `frame_${Date.now()}_${Math.floor(Math.random() * 10000)}.jpg`);
     return new Promise((resolve, reject) => {
-      ffmpeg(videoUrl)
+      const command = ffmpeg(videoUrl);
+      const kill = () => command.kill('SIGKILL');
+      signal?.addEventListener('abort', kill, { once: true });
+      const done = () => signal?.removeEventListener('abort', kill);
+
+      command
         .seekInput(timestamp)
         .frames(1)
         .output(tmpFile)
@@ -175,11 +269,14 @@ class FrameService {
           '-q:v', '2' // High quality
         ])
         .on('error', (err) => {
-          logger.error(`Frame extraction failed at ${timestamp}s`, { videoUrl, timestamp, error: err });
+          done();
           fs.existsSync(tmpFile) && fs.unlinkSync(tmpFile); // Clean up
+          if (signal?.aborted) return reject(signal.reason);
+          logger.error(`Frame extraction failed at ${timestamp}s`, { videoUrl, timestamp, error: err });
           reject(new Error(`Frame extraction failed at ${timestamp}s: ${err.message}`));
         })
         .on('end', () => {
+          done();
           // Read buffer from file then clean up
           fs.readFile(tmpFile, (readErr, frameBuffer) => {
             fs.existsSync(tmpFile) && fs.unlinkSync(tmpFile); // Clean up
@@ -199,7 +296,8 @@ class FrameService {
   async extractKeyMoments(videoFileName, videoId, keyTimestamps, progressCallback) {
     logger.info(`🔑 Extracting key moments for video: ${videoFileName}`, { videoId });
     try {
-      const videoUrl = await gcsService.generateSignedDownloadUrl(videoFileName);
+      const storage = await storageService.forVideo(videoId);
+      const videoUrl = await this.getSourceUrl(storage, videoFileName, videoId);
       const keyFrames = [];
       let completed = 0;
 
@@ -207,7 +305,7 @@ class FrameService {
         const timestamp = keyTimestamps[i];
         try {
           const frameBuffer = await this.extractFrameAtTimestamp(videoUrl, timestamp.time);
-          const frameFileName = await gcsService.uploadFrame(
+          const frameFileName = await storage.uploadFrame(
             frameBuffer,
             videoId,
             `key_${timestamp.type}_${i + 1}`
@@ -217,7 +315,7 @@ class FrameService {
             timestamp: timestamp.time,
             description: timestamp.description || '',
             fileName: frameFileName,
-            url: await gcsService.getFrameUrl(frameFileName)
+            url: await storage.getFrameUrl(frameFileName)
           });
           completed++;
           if (progressCallback) {
@@ -244,12 +342,13 @@ class FrameService {
   async generateThumbnail(videoFileName, videoId) {
     logger.info(`📸 Generating thumbnail for video: ${videoFileName}`, { videoId });
     try {
-      const videoUrl = await gcsService.generateSignedDownloadUrl(videoFileName);
+      const storage = await storageService.forVideo(videoId);
+      const videoUrl = await this.getSourceUrl(storage, videoFileName, videoId);
       const duration = await this.getVideoDuration(videoUrl);
       const thumbnailTimestamp = Math.floor(duration / 2);
       const thumbnailBuffer = await this.extractFrameAtTimestamp(videoUrl, thumbnailTimestamp);
-      const thumbnailFileName = await gcsService.uploadFrame(thumbnailBuffer, videoId, 'thumbnail');
-      const thumbnailUrl = await gcsService.getFrameUrl(thumbnailFileName);
+      const thumbnailFileName = await storage.uploadFrame(thumbnailBuffer, videoId, 'thumbnail');
+      const thumbnailUrl = await storage.getFrameUrl(thumbnailFileName);
       logger.info(`✅ Thumbnail generated: ${thumbnailFileName}`, { videoId });
       return {
         fileName: thumbnailFileName,
@@ -9,8 +9,9 @@ class GPT4Service {
 
   /**
    * Analyze single frame for tactical information
+   * Aborting `signal` cancels the request; cancellation is rethrown instead of returning the fallback.
    */
-  async analyzeFrame(frameUrl, frameNumber, timestamp) {
+  async analyzeFrame(frameUrl, frameNumber, timestamp, { signal } = {}) {
     try {
       console.log(`🤖 Analyzing frame ${frameNumber} with GPT-4 Vision...`);
       
@@ -61,7 +62,7 @@ Provide detailed tactical intelligence that Arab League coaches can use to gain
         ],
         max_tokens: 1000,
         temperature: 0.3
-      });
+      }, { signal });
 
       const analysis = this.parseGPTResponse(response.choices[0].message.content);
       
@@ -75,6 +76,7 @@ Provide detailed tactical intelligence that Arab League coaches can use to gain
       };
       
     } catch (error) {
+      if (signal?.aborted) throw signal.reason;
       console.error(`❌ GPT-4 Vision analysis failed for frame ${frameNumber}:`, error);
       
       // Return fallback analysis
@@ -98,21 +100,35 @@ Provide detailed tactical intelligence that Arab League coaches can use to gain
 
   /**
    * Analyze multiple frames in batch
+   * previousAnalyses (from a checkpoint) are reused unless they failed; onFrameAnalysed is called
+   * with the analyses so far after every newly analysed frame. Aborting `signal` stops the batch.
    */
-  async analyzeFrames(frames, progressCallback) {
+  async analyzeFrames(frames, progressCallback, { previousAnalyses = [], onFrameAnalysed, signal } = {}) {
     try {
-      console.log(`🎬 Starting GPT-4 Vision analysis for ${frames.length} frames...`);
+      const reusable = new Map(
+        previousAnalyses
+          .filter(previous => previous?.analysis && !previous.analysis.error)
+          .map(previous => [previous.frameNumber, previous])
+      );
+      console.log(`🎬 Starting GPT-4 Vision analysis for ${frames.length} frames (${reusable.size} from checkpoint)...`);
       
       const frameAnalyses = [];
       
       for (let i = 0; i < frames.length; i++) {
         const frame = frames[i];
+
+        if (reusable.has(frame.frameNumber)) {
+          frameAnalyses.push(reusable.get(frame.frameNumber));
+          continue;
+        }
+        signal?.throwIfAborted();
         
         try {
           const analysis = await this.analyzeFrame(
             frame.url, 
             frame.frameNumber, 
-            frame.timestamp
+            frame.timestamp,
+            { signal }
           );
           
           frameAnalyses.push(analysis);
@@ -130,6 +146,7 @@ Provide detailed tactical intelligence that Arab League coaches can use to gain
           await new Promise(resolve => setTimeout(resolve, 1000));
           
         } catch (frameError) {
+          if (signal?.aborted) throw signal.reason;
           console.error(`❌ Failed to analyze frame ${frame.frameNumber}:`, frameError);
           
           // Continue with other frames
@@ -142,12 +159,17 @@ Provide detailed tactical intelligence that Arab League coaches can use to gain
             }
           });
         }
+
+        if (onFrameAnalysed) {
+          await onFrameAnalysed(frameAnalyses);
+        }
       }
       
       console.log(`✅ GPT-4 Vision analysis completed for ${frameAnalyses.length} frames`);
       return frameAnalyses;
       
     } catch (error) {
+      if (signal?.aborted) throw signal.reason;
       console.error('❌ Batch frame analysis failed:', error);
       throw new Error(`GPT-4 Vision batch analysis failed: ${error.message}`);
     }
@@ -156,7 +178,7 @@ Provide detailed tactical intelligence that Arab League coaches can use to gain
   /**
    * Generate match summary from frame analyses
    */
-  async generateMatchSummary(frameAnalyses, matchMetadata) {
+  async generateMatchSummary(frameAnalyses, matchMetadata, { signal } = {}) {
     try {
       console.log('📊 Generating match summary with GPT-4...');
       
@@ -212,7 +234,7 @@ Provide insights that give Arab League teams competitive advantage worth $15K-$4
         ],
         max_tokens: 2000,
         temperature: 0.4
-      });
+      }, { signal });
 
       const summary = this.parseGPTResponse(response.choices[0].message.content);
       
@@ -220,6 +242,7 @@ Provide insights that give Arab League teams competitive advantage worth $15K-$4
       return summary;
       
     } catch (error) {
+      if (signal?.aborted) throw signal.reason;
       console.error('❌ Match summary generation failed:', error);
       throw new Error(`Match summary generation failed: ${error.message}`);
     }
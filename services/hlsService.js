@@ -0,0 +1,206 @@
+// HLS rendition of uploaded matches for in-app playback
+// The 720p proxy (keyframe every second) is segmented with ffmpeg's HLS muxer without re-encoding;
+// if there is no proxy the original is encoded with the same settings. Output is stored next to the
+// video under `videos/<videoId>/hls/` (index.m3u8 + segment_NNNNN.ts). The stored playlist keeps
+// relative segment names; GET /api/results/:videoId/hls.m3u8 rewrites them to short-lived signed URLs.
+// Segment URLs expire after HLS_URL_TTL_SECONDS whatever the match length; players re-fetch the playlist
+// (served no-store) for fresh URLs once they expire.
+// Deleting the video cancels packaging (cancelHlsPackaging), and nothing is stored for it after.
+
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const crypto = require('crypto');
+const storageService = require('./storageService');
+const transcodeService = require('./transcodeService');
+const { updateVideoUpload, assertVideoNotDeleted } = require('./videoUploadService');
+
+const SEGMENT_SECONDS = parseInt(process.env.HLS_SEGMENT_SECONDS) || 6;
+// Lifetime of the signed segment URLs in a served playlist
+const URL_TTL_SECONDS = parseInt(process.env.HLS_URL_TTL_SECONDS) || 10 * 60;
+const SIGNING_CONCURRENCY = 25;
+
+// Packaging jobs running in this process
+const inFlight = new Map(); // videoId -> { promise, controller }
+
+function hlsPrefix(videoId) {
+  return `videos/${videoId}/hls/`;
+}
+
+function playlistFileName(videoId) {
+  return `${hlsPrefix(videoId)}index.m3u8`;
+}
+
+async function recordHls(videoId, hls) {
+  try {
+    await assertVideoNotDeleted(videoId);
+    await updateVideoUpload(videoId, { metadata: { hls } });
+  } catch (error) {
+    if (error.code === 'VIDEO_DELETED') return;
+    console.error(`❌ Failed to record HLS status for video ${videoId}:`, error.message);
+  }
+}
+
+/**
+ * Run the ffmpeg segmenter into outputDir
+ * @param {boolean} copy - stream-copy (proxy input) instead of encoding
+ * @param {AbortSignal} [signal] - aborting kills the ffmpeg process and rejects with the abort reason
+ */
+function segment(sourceUrl, outputDir, copy, signal) {
+  signal?.throwIfAborted();
+  const codecOptions = copy
+    ? ['-c', 'copy']
+    : [
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23',
+      '-vf', "scale=-2:'min(720,ih)'", '-pix_fmt', 'yuv420p',
+      '-g', '50', '-keyint_min', '50', '-sc_threshold', '0',
+      '-c:a', 'aac', '-b:a', '96k', '-ac', '2'
+    ];
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(sourceUrl);
+    const kill = () => command.kill('SIGKILL');
+    signal?.addEventListener('abort', kill, { once: true });
+    const done = () => signal?.removeEventListener('abort', kill);
+
+    command
+      .outputOptions([
+        ...codecOptions,
+        '-f', 'hls',
+        '-hls_time', String(SEGMENT_SECONDS),
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', path.join(outputDir, 'segment_%05d.ts')
+      ])
+      .output(path.join(outputDir, 'index.m3u8'))
+      .on('error', (err) => {
+        done();
+        if (signal?.aborted) return reject(signal.reason);
+        reject(new Error(`HLS packaging failed: ${err.message}`));
+      })
+      .on('end', () => {
+        done();
+        resolve();
+      })
+      .run();
+  });
+}
+
+/**
+ * Package and store the HLS rendition for a video
+ * @returns {Promise<string>} the playlist object name
+ */
+async function createHls(videoId, videoFileName, storage, signal) {
+  const workDir = path.join(os.tmpdir(), `hls_${videoId}_${crypto.randomBytes(4).toString('hex')}`);
+  const startedAt = Date.now();
+  console.log(`📺 Packaging HLS for video: ${videoId}`);
+  await recordHls(videoId, { status: 'processing', startedAt: new Date(startedAt).toISOString() });
+
+  try {
+    await fs.promises.mkdir(workDir, { recursive: true });
+    const proxyFileName = await transcodeService.ensureProxy(videoId, videoFileName, storage, { signal });
+    const sourceUrl = await storage.generateSignedDownloadUrl(proxyFileName || videoFileName);
+    await segment(sourceUrl, workDir, !!proxyFileName, signal);
+    signal?.throwIfAborted();
+    await assertVideoNotDeleted(videoId);
+
+    const segments = (await fs.promises.readdir(workDir)).filter(name => name.endsWith('.ts')).sort();
+    if (segments.length === 0) throw new Error('HLS packaging produced no segments');
+
+    // Segments first, playlist last: a stored playlist always has all its segments
+    for (const segmentFile of segments) {
+      signal?.throwIfAborted();
+      await storage.put(`${hlsPrefix(videoId)}${segmentFile}`, fs.createReadStream(path.join(workDir, segmentFile)), {
+        contentType: 'video/mp2t'
+      });
+    }
+    await assertVideoNotDeleted(videoId);
+    await storage.put(playlistFileName(videoId), await fs.promises.readFile(path.join(workDir, 'index.m3u8')), {
+      contentType: 'application/vnd.apple.mpegurl',
+      metadata: { videoId }
+    });
+
+    const seconds = Math.round((Date.now() - startedAt) / 1000);
+    console.log(`✅ HLS ready for video ${videoId}: ${segments.length} segments (${seconds}s)`);
+    await recordHls(videoId, {
+      status: 'ready',
+      segments: segments.length,
+      source: proxyFileName ? 'proxy' : 'original',
+      completedAt: new Date().toISOString()
+    });
+    return playlistFileName(videoId);
+  } catch (error) {
+    if (signal?.aborted || error.code === 'VIDEO_DELETED') {
+      console.log(`🛑 HLS packaging stopped for video ${videoId}`);
+      await recordHls(videoId, { status: 'cancelled' });
+      throw error;
+    }
+    console.error(`❌ HLS packaging failed for video ${videoId}:`, error.message);
+    await recordHls(videoId, { status: 'failed', error: error.message });
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Start packaging in the background (no-op if it is already running)
+ */
+function startHlsPackaging(videoId, videoFileName, storage) {
+  if (inFlight.has(videoId)) return;
+  const controller = new AbortController();
+  const promise = (async () => {
+    const videoStorage = storage || await storageService.forVideo(videoId);
+    return createHls(videoId, videoFileName, videoStorage, controller.signal);
+  })()
+    .catch(() => null)
+    .finally(() => inFlight.delete(videoId));
+  inFlight.set(videoId, { promise, controller });
+}
+
+/**
+ * Stop packaging a video (deleted video)
+ * @returns {Promise<void>} settles once packaging has stopped
+ */
+async function cancelHlsPackaging(videoId, reason = new Error('Video deleted')) {
+  const entry = inFlight.get(videoId);
+  if (!entry) return;
+  entry.controller.abort(reason);
+  await entry.promise;
+}
+
+function isPackaging(videoId) {
+  return inFlight.has(videoId);
+}
+
+/**
+ * Load the stored playlist with every segment URI replaced by a signed URL
+ * @returns {Promise<string|null>} the playlist, or null when it hasn't been packaged
+ */
+async function getSignedPlaylist(videoId, storage) {
+  if (!(await storage.fileExists(playlistFileName(videoId)))) return null;
+  const lines = (await storage.get(playlistFileName(videoId))).toString().split(/\r?\n/);
+
+  const segmentIndexes = lines
+    .map((line, index) => (line && !line.startsWith('#') ? index : -1))
+    .filter(index => index !== -1);
+
+  for (let i = 0; i < segmentIndexes.length; i += SIGNING_CONCURRENCY) {
+    await Promise.all(segmentIndexes.slice(i, i + SIGNING_CONCURRENCY).map(async (index) => {
+      const segmentName = path.posix.basename(lines[index].trim());
+      lines[index] = await storage.getSignedUrl(`${hlsPrefix(videoId)}${segmentName}`, {
+        action: 'read',
+        expiresInSeconds: URL_TTL_SECONDS
+      });
+    }));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  URL_TTL_SECONDS,
+  startHlsPackaging,
+  cancelHlsPackaging,
+  isPackaging,
+  getSignedPlaylist
+};
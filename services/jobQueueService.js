@@ -0,0 +1,284 @@
+// Durable job queue for the analysis pipeline
+// POST /api/analysis/start enqueues a job; workers (inside server.js and/or `node worker.js`, see
+// services/analysisWorker.js) claim it and run the pipeline. A claimed job carries a lease that the
+// worker renews with heartbeats. If the worker dies (deploy, crash, OOM) the lease runs out after the
+// visibility timeout and another worker picks the job up again, up to JOB_MAX_ATTEMPTS times.
+//   queued -> running -> succeeded | failed | cancelled
+// While a job runs, the pipeline's latest analysisState (per-stage progress, errors, ETA) is kept on
+// the job as analysis_state; GET /api/analysis/status/:videoId reports from it.
+// Every state change is a compare-and-set on (status, lease_token), so a job is only ever run by the
+// worker holding the current lease, and a cancelled job can't be completed by a stale worker.
+// One active job per video is enforced by the store: enqueueing checks and inserts in one locked
+// write on the file stores, and by a unique partial index on Supabase (see supabaseTableStore).
+// JOB_QUEUE_STORE=file (default, locked JSON file shared by every process on one host)
+//                | record (the configured DATA_STORE, e.g. Supabase when workers run on other hosts)
+//                | memory (single process, tests)
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createStore, JsonFileStore, LockedJsonFileStore } = require('./stores');
+
+const VISIBILITY_TIMEOUT_MS = (parseInt(process.env.JOB_VISIBILITY_TIMEOUT_SECONDS) || 120) * 1000;
+const HEARTBEAT_INTERVAL_MS = (parseInt(process.env.JOB_HEARTBEAT_SECONDS) || 15) * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+const ACTIVE_STATUSES = ['queued', 'running'];
+const RECENT_EVENTS_LIMIT = 50;
+
+/**
+ * Create the configured job store
+ */
+function createJobStore(driver = process.env.JOB_QUEUE_STORE || 'file') {
+  switch (driver) {
+    case 'file':
+      return new LockedJsonFileStore('analysis_jobs');
+    case 'record':
+      return createStore('analysis_jobs');
+    case 'memory':
+      return new JsonFileStore('analysis_jobs', { persist: false });
+    default:
+      throw new Error(`Unknown JOB_QUEUE_STORE driver: ${driver}`);
+  }
+}
+
+let store = createJobStore();
+
+/**
+ * Swap the underlying store (shared store, tests)
+ */
+function setJobStore(adapter) {
+  store = adapter;
+}
+
+function jobError(message, status, job = null) {
+  const error = new Error(message);
+  error.status = status;
+  error.job = job;
+  return error;
+}
+
+function leaseExpiry() {
+  return new Date(Date.now() + VISIBILITY_TIMEOUT_MS).toISOString();
+}
+
+/**
+ * Compare-and-set: apply the patch only if the job still has the status and lease we last saw
+ * @returns {Promise<object|null>} the updated job, or null if another worker or a cancel got there first
+ */
+async function transition(job, patch) {
+  const [updated] = await store.updateWhere(
+    { id: job.id, status: job.status, lease_token: job.lease_token },
+    patch
+  );
+  return updated || null;
+}
+
+async function getJob(jobId) {
+  return store.get(jobId);
+}
+
+/**
+ * Most recent job for a video (any status)
+ */
+async function getLatestJob(videoId) {
+  const [job] = await store.find({ video_id: videoId }, { orderBy: 'created_at', ascending: false, limit: 1 });
+  return job || null;
+}
+
+/**
+ * The queued or running job for a video, if any
+ */
+async function findActiveJob(videoId) {
+  return store.findOne({ video_id: videoId, status: ACTIVE_STATUSES });
+}
+
+/**
+ * 1-based position of a queued job among the jobs waiting to be claimed
+ */
+async function getQueuePosition(job) {
+  const queued = await store.find({ status: 'queued' });
+  return queued.filter(other => other.created_at < job.created_at).length + 1;
+}
+
+/**
+ * Queue a full analysis, or a resume from checkpoints (one active job per video)
+ * @returns {Promise<object>} the queued job
+ */
+async function enqueueAnalysis({ videoId, videoFileName, matchMetadata, resume = false, fromStage = null }) {
+  const job = await store.insertUnique({
+    id: uuidv4(),
+    type: 'analysis',
+    video_id: videoId,
+    organization_id: matchMetadata?.organization_id || null,
+    created_by: matchMetadata?.userId || null,
+    payload: { videoFileName, matchMetadata, resume, fromStage },
+    status: 'queued',
+    stage: null,
+    attempts: 0,
+    max_attempts: MAX_ATTEMPTS,
+    run_after: new Date().toISOString(),
+    worker_id: null,
+    lease_token: null,
+    lease_expires_at: null,
+    heartbeat_at: null,
+    last_event: null,
+    analysis_state: null,
+    last_error: null,
+    error_stage: null,
+    result: null,
+    started_at: null,
+    finished_at: null
+  }, { video_id: videoId, status: ACTIVE_STATUSES });
+  if (!job) {
+    throw jobError('An analysis is already queued or running for this video', 409, await findActiveJob(videoId));
+  }
+  console.log(`📥 Analysis job ${job.id} queued for video: ${videoId}${resume ? ' (resume)' : ''}`);
+  return job;
+}
+
+/**
+ * Claim the oldest runnable job: queued, or running with an expired lease (its worker is gone)
+ * @returns {Promise<object|null>} the claimed job (status running, fresh lease) or null if there is none
+ */
+async function claimNextJob(workerId) {
+  const now = new Date();
+  const candidates = [
+    ...(await store.find({ status: 'queued' })),
+    ...(await store.find({ status: 'running' }))
+  ]
+    .filter(job => new Date(job.status === 'queued' ? job.run_after : job.lease_expires_at) <= now)
+    .sort((a, b) => (a.created_at > b.created_at ? 1 : -1));
+
+  for (const job of candidates) {
+    if (job.status === 'running') {
+      if (job.attempts >= job.max_attempts) {
+        const error = `Worker ${job.worker_id} stopped responding on attempt ${job.attempts} of ${job.max_attempts}`;
+        const failed = await transition(job, {
+          status: 'failed',
+          last_error: error,
+          error_stage: job.stage,
+          lease_token: null,
+          lease_expires_at: null,
+          finished_at: now.toISOString(),
+          last_event: {
+            name: 'analysis-error',
+            payload: { videoId: job.video_id, status: 'failed', error, failedAt: now.toISOString(), currentStage: job.stage || 'unknown' },
+            at: now.toISOString()
+          }
+        });
+        if (failed) console.error(`🚨 Analysis job ${job.id} failed: ${error}`);
+        continue;
+      }
+      console.warn(`⏰ Analysis job ${job.id} lease expired on worker ${job.worker_id}, reclaiming`);
+    }
+
+    const claimed = await transition(job, {
+      status: 'running',
+      worker_id: workerId,
+      lease_token: crypto.randomBytes(16).toString('hex'),
+      lease_expires_at: leaseExpiry(),
+      heartbeat_at: now.toISOString(),
+      attempts: job.attempts + 1,
+      started_at: job.started_at || now.toISOString()
+    });
+    if (claimed) return claimed;
+  }
+  return null;
+}
+
+/**
+ * Extend the lease of a running job (optionally recording stage / latest event)
+ * @returns {Promise<object|null>} the updated job, or null when the lease was lost (cancelled or reclaimed)
+ */
+async function heartbeat(job, patch = {}) {
+  return transition(job, { ...patch, lease_expires_at: leaseExpiry(), heartbeat_at: new Date().toISOString() });
+}
+
+async function completeJob(job, patch = {}) {
+  return transition(job, {
+    ...patch,
+    status: 'succeeded',
+    lease_token: null,
+    lease_expires_at: null,
+    last_error: null,
+    finished_at: new Date().toISOString()
+  });
+}
+
+async function failJob(job, error, patch = {}) {
+  return transition(job, {
+    ...patch,
+    status: 'failed',
+    last_error: error.message,
+    error_stage: patch.stage || job.stage,
+    lease_token: null,
+    lease_expires_at: null,
+    finished_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Hand a running job back to the queue (graceful worker shutdown) so another worker starts it right away
+ */
+async function releaseJob(job) {
+  return transition(job, {
+    status: 'queued',
+    worker_id: null,
+    lease_token: null,
+    lease_expires_at: null,
+    run_after: new Date().toISOString()
+  });
+}
+
+/**
+ * Cancel the queued or running job for a video
+ * The worker running it loses its lease on the next heartbeat and can no longer complete it.
+ * @returns {Promise<object|null>} the cancelled job, or null if nothing was queued or running
+ */
+async function cancelJob(videoId, { cancelledBy = null } = {}) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const job = await findActiveJob(videoId);
+    if (!job) return null;
+    const cancelled = await transition(job, {
+      status: 'cancelled',
+      cancelled_by: cancelledBy,
+      lease_token: null,
+      lease_expires_at: null,
+      finished_at: new Date().toISOString()
+    });
+    if (cancelled) {
+      console.log(`🛑 Analysis job ${job.id} cancelled for video: ${videoId}`);
+      return cancelled;
+    }
+  }
+  throw jobError('The analysis job changed state while cancelling, try again', 409);
+}
+
+/**
+ * Recently updated jobs with an event newer than `since` (ISO timestamp), oldest event first
+ */
+async function listJobEventsSince(since) {
+  const jobs = await store.find({}, { orderBy: 'updated_at', ascending: false, limit: RECENT_EVENTS_LIMIT });
+  return jobs
+    .filter(job => job.last_event && job.last_event.at > since)
+    .sort((a, b) => (a.last_event.at > b.last_event.at ? 1 : -1));
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  HEARTBEAT_INTERVAL_MS,
+  VISIBILITY_TIMEOUT_MS,
+  createJobStore,
+  setJobStore,
+  getJob,
+  getLatestJob,
+  findActiveJob,
+  getQueuePosition,
+  enqueueAnalysis,
+  claimNextJob,
+  heartbeat,
+  completeJob,
+  failJob,
+  releaseJob,
+  cancelJob,
+  listJobEventsSince
+};
@@ -0,0 +1,260 @@
+// Organization (club) management for TAHLEEL.ai multi-tenancy
+// Organizations live in the `organizations` table; membership is stored on the user
+// record (users.organization_id) so every request can be scoped from the user alone.
+// Members join by invitation: a head coach invites an email address (`organization_invites`) and
+// the holder of that verified address accepts it, so nobody is moved into a club without consent.
+
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./stores');
+const userService = require('./userService');
+
+const INVITE_TTL_DAYS = parseInt(process.env.ORG_INVITE_TTL_DAYS) || 7;
+
+let store = createStore('organizations');
+let inviteStore = createStore('organization_invites');
+
+/**
+ * Swap the underlying stores (tests, offline tooling)
+ */
+function setOrganizationStore(adapter) {
+  store = adapter;
+}
+
+function setInviteStore(adapter) {
+  inviteStore = adapter;
+}
+
+function orgError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Map an `organizations` row to the API shape
+ */
+function toOrganization(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    slug: row.slug,
+    createdBy: row.created_by,
+    settings: row.settings || {},
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Create a club and make the creator its first member
+ */
+async function createOrganization({ name, createdBy }) {
+  const creator = await userService.getUserById(createdBy);
+  if (!creator) throw new Error('Creator not found');
+  if (creator.organizationId) {
+    const error = new Error('User already belongs to an organization');
+    error.status = 409;
+    throw error;
+  }
+
+  const row = await store.insert({
+    id: uuidv4(),
+    name: name.trim(),
+    slug: slugify(name),
+    created_by: createdBy,
+    settings: {}
+  });
+  await userService.setUserOrganization(createdBy, row.id, 'head_coach');
+  console.log(`🏟️ Organization created: ${row.name} (${row.id})`);
+  return toOrganization(row);
+}
+
+async function getOrganizationById(id) {
+  if (!id) return null;
+  return toOrganization(await store.get(id));
+}
+
+async function updateOrganization(id, patch) {
+  return toOrganization(await store.update(id, patch));
+}
+
+async function listMembers(organizationId) {
+  return userService.listUsersByOrganization(organizationId);
+}
+
+async function listOrganizations() {
+  const rows = await store.find({}, { orderBy: 'created_at' });
+  return rows.map(toOrganization);
+}
+
+/**
+ * Map an `organization_invites` row to the API shape
+ */
+function toInvite(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    organizationId: row.organization_id,
+    organizationName: row.organization_name,
+    email: row.email,
+    role: row.role,
+    status: isExpired(row) ? 'expired' : row.status,
+    invitedBy: row.invited_by,
+    expiresAt: row.expires_at,
+    respondedAt: row.responded_at,
+    createdAt: row.created_at
+  };
+}
+
+function isExpired(row) {
+  return row.status === 'pending' && new Date(row.expires_at) <= new Date();
+}
+
+/**
+ * Invite an email address to a club with a club role; the user must accept before joining
+ * Re-inviting the same address replaces its pending invite.
+ */
+async function inviteMember(organizationId, { email, role = 'analyst', invitedBy }) {
+  const organization = await getOrganizationById(organizationId);
+  if (!organization) throw orgError('Organization not found', 404);
+
+  const normalizedEmail = String(email).trim().toLowerCase();
+  const user = await userService.getUserByEmail(normalizedEmail);
+  if (user?.organizationId === organizationId) {
+    throw orgError('User is already a member of this organization', 409);
+  }
+
+  await inviteStore.updateWhere(
+    { organization_id: organizationId, email: normalizedEmail, status: 'pending' },
+    { status: 'replaced', responded_at: new Date().toISOString() }
+  );
+  const row = await inviteStore.insert({
+    id: uuidv4(),
+    organization_id: organizationId,
+    organization_name: organization.name,
+    email: normalizedEmail,
+    role,
+    status: 'pending',
+    invited_by: invitedBy,
+    expires_at: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    responded_at: null
+  });
+  return toInvite(row);
+}
+
+/**
+ * Pending invites of a club
+ */
+async function listOrganizationInvites(organizationId) {
+  const rows = await inviteStore.find({ organization_id: organizationId, status: 'pending' }, { orderBy: 'created_at' });
+  return rows.map(toInvite).filter(invite => invite.status === 'pending');
+}
+
+/**
+ * Pending invites addressed to a user's email
+ */
+async function listInvitesForUser(user) {
+  const rows = await inviteStore.find({ email: String(user.email).toLowerCase(), status: 'pending' }, { orderBy: 'created_at' });
+  return rows.map(toInvite).filter(invite => invite.status === 'pending');
+}
+
+async function revokeInvite(organizationId, inviteId) {
+  const [row] = await inviteStore.updateWhere(
+    { id: inviteId, organization_id: organizationId, status: 'pending' },
+    { status: 'revoked', responded_at: new Date().toISOString() }
+  );
+  if (!row) throw orgError('Pending invite not found', 404);
+  return toInvite(row);
+}
+
+/**
+ * Load a pending invite addressed to this user
+ */
+async function getPendingInviteFor(user, inviteId) {
+  const row = await inviteStore.get(inviteId);
+  if (!row || row.email !== String(user.email).toLowerCase() || row.status !== 'pending') {
+    throw orgError('Invite not found', 404);
+  }
+  if (isExpired(row)) throw orgError('Invite has expired, ask the club for a new one', 410);
+  return row;
+}
+
+/**
+ * Accept an invite: the user joins the club with the invited role
+ * Only the holder of the invited (verified) email can accept, and only while not in another club.
+ */
+async function acceptInvite(user, inviteId) {
+  if (!user.emailVerified) throw orgError('Verify your email address before accepting invites', 403);
+  const row = await getPendingInviteFor(user, inviteId);
+  if (user.organizationId && user.organizationId !== row.organization_id) {
+    throw orgError('Leave your current organization before joining another one', 409);
+  }
+  if (!(await getOrganizationById(row.organization_id))) throw orgError('Organization no longer exists', 404);
+
+  const [accepted] = await inviteStore.updateWhere(
+    { id: row.id, status: 'pending' },
+    { status: 'accepted', responded_at: new Date().toISOString(), accepted_by: user.id }
+  );
+  if (!accepted) throw orgError('Invite is no longer pending', 409);
+  const member = await userService.setUserOrganization(user.id, row.organization_id, row.role);
+  return { invite: toInvite(accepted), member };
+}
+
+async function declineInvite(user, inviteId) {
+  const row = await getPendingInviteFor(user, inviteId);
+  const [declined] = await inviteStore.updateWhere(
+    { id: row.id, status: 'pending' },
+    { status: 'declined', responded_at: new Date().toISOString() }
+  );
+  if (!declined) throw orgError('Invite is no longer pending', 409);
+  return toInvite(declined);
+}
+
+/**
+ * Change a member's club role
+ */
+async function setMemberRole(organizationId, userId, role) {
+  const user = await userService.getUserById(userId);
+  if (!user || user.organizationId !== organizationId) {
+    const error = new Error('User is not a member of this organization');
+    error.status = 404;
+    throw error;
+  }
+  return userService.setUserRole(userId, role);
+}
+
+/**
+ * Remove a member from a club (their uploads stay in the club library)
+ */
+async function removeMember(organizationId, userId) {
+  const user = await userService.getUserById(userId);
+  if (!user || user.organizationId !== organizationId) {
+    const error = new Error('User is not a member of this organization');
+    error.status = 404;
+    throw error;
+  }
+  // Back to a solo account that manages its own library (platform admins keep their role)
+  return userService.setUserOrganization(userId, null, user.role === 'admin' ? undefined : 'head_coach');
+}
+
+module.exports = {
+  createOrganization,
+  getOrganizationById,
+  updateOrganization,
+  listOrganizations,
+  listMembers,
+  inviteMember,
+  listOrganizationInvites,
+  listInvitesForUser,
+  revokeInvite,
+  acceptInvite,
+  declineInvite,
+  setMemberRole,
+  removeMember,
+  setOrganizationStore,
+  setInviteStore
+};
@@ -0,0 +1,25 @@
+const MemoryRateLimitStore = require('./memoryStore');
+const RecordRateLimitStore = require('./recordStore');
+
+// RATE_LIMIT_STORE=memory (default) | record (shared via DATA_STORE)
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+/**
+ * Create the configured rate limit store
+ */
+function createRateLimitStore(driver = RATE_LIMIT_STORE) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+    case 'record':
+      return new RecordRateLimitStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createRateLimitStore,
+  MemoryRateLimitStore,
+  RecordRateLimitStore
+};
@@ -0,0 +1,49 @@
+/**
+ * In-process rate limit store (default).
+ * Counters live in a Map and expire on their own; fine for a single instance,
+ * use a shared store when running several API instances behind a load balancer.
+ *
+ * Store interface (all async):
+ *   get(key)               -> entry object or null
+ *   set(key, entry, ttlMs) -> void
+ *   delete(key)            -> void
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+    this.writesSincePrune = 0;
+  }
+
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) return null;
+    if (item.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return { ...item.value };
+  }
+
+  async set(key, entry, ttlMs) {
+    this.entries.set(key, { value: { ...entry }, expiresAt: Date.now() + ttlMs });
+    if (++this.writesSincePrune >= 1000) this.prune();
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Drop expired counters so the Map does not grow with every IP ever seen
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, item] of this.entries) {
+      if (item.expiresAt <= now) this.entries.delete(key);
+    }
+    this.writesSincePrune = 0;
+  }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,42 @@
+const { createStore } = require('../stores');
+
+/**
+ * Rate limit store on top of the shared record store (`rate_limits` table / collection),
+ * so every API instance sees the same counters and lockouts.
+ * Updates are read-modify-write, so concurrent bursts may be under-counted slightly;
+ * lockouts still take effect on the next attempt.
+ */
+class RecordRateLimitStore {
+  constructor(store = createStore('rate_limits')) {
+    this.name = 'record';
+    this.store = store;
+  }
+
+  async get(key) {
+    const row = await this.store.get(key);
+    if (!row) return null;
+    if (new Date(row.expires_at) <= new Date()) {
+      await this.store.remove(key);
+      return null;
+    }
+    return row.value;
+  }
+
+  async set(key, entry, ttlMs) {
+    const patch = { value: entry, expires_at: new Date(Date.now() + ttlMs).toISOString() };
+    const updated = await this.store.update(key, patch);
+    if (updated) return;
+    try {
+      await this.store.insert({ id: key, ...patch });
+    } catch (error) {
+      // Another instance created the row in the meantime
+      await this.store.update(key, patch);
+    }
+  }
+
+  async delete(key) {
+    await this.store.remove(key);
+  }
+}
+
+module.exports = RecordRateLimitStore;
@@ -0,0 +1,143 @@
+// Brute-force protection and rate limiting for TAHLEEL.ai authentication
+// - hit(): fixed-window request limits for a key (e.g. registrations per IP)
+// - Failed logins are tracked per IP and per account. After a few failures responses are slowed
+//   down progressively; too many failures lock the account (or IP) temporarily. Repeat account
+//   lockouts double in length (15m, 30m, 1h ... capped at LOGIN_MAX_LOCKOUT_MINUTES).
+// Counters live in a pluggable store (RATE_LIMIT_STORE=memory | record), see services/rateLimit.
+
+const { createRateLimitStore } = require('./rateLimit');
+
+const MINUTE = 60 * 1000;
+
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOGIN_FAILURE_WINDOW_MS = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * MINUTE;
+const LOGIN_LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * MINUTE;
+const LOGIN_MAX_LOCKOUT_MS = (parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES) || 24 * 60) * MINUTE;
+const LOGIN_FREE_ATTEMPTS = 2; // failures before responses start slowing down
+const LOGIN_DELAY_BASE_MS = 500;
+const LOGIN_MAX_DELAY_MS = 8000;
+const LOCKOUT_MEMORY_MS = 24 * 60 * MINUTE; // how long repeat lockouts are remembered
+
+let store = createRateLimitStore();
+
+/**
+ * Swap the underlying store (shared store, tests)
+ */
+function setRateLimitStore(adapter) {
+  store = adapter;
+}
+
+/**
+ * Count a request against a fixed window
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, retryAfterSeconds: number}>}
+ */
+async function hit(bucket, key, { windowMs, max }) {
+  const storeKey = `${bucket}:${key}`;
+  const now = Date.now();
+  let entry = await store.get(storeKey);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMs };
+  }
+  entry.count++;
+  await store.set(storeKey, entry, entry.resetAt - now);
+
+  return {
+    allowed: entry.count <= max,
+    limit: max,
+    remaining: Math.max(max - entry.count, 0),
+    retryAfterSeconds: Math.ceil((entry.resetAt - now) / 1000)
+  };
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+}
+
+function failureKeys({ ip, email }) {
+  const keys = [];
+  const account = normalizeEmail(email);
+  if (account) keys.push({ scope: 'account', key: `login_failures:account:${account}`, maxFailures: LOGIN_MAX_FAILURES, progressive: true });
+  if (ip) keys.push({ scope: 'ip', key: `login_failures:ip:${ip}`, maxFailures: LOGIN_IP_MAX_FAILURES, progressive: false });
+  return keys;
+}
+
+/**
+ * Delay before answering the next attempt: 0 for the first failures, then doubling
+ */
+function progressiveDelay(failures) {
+  if (failures <= LOGIN_FREE_ATTEMPTS) return 0;
+  return Math.min(LOGIN_DELAY_BASE_MS * 2 ** (failures - LOGIN_FREE_ATTEMPTS - 1), LOGIN_MAX_DELAY_MS);
+}
+
+/**
+ * Check whether a login attempt may proceed
+ * @returns {Promise<{blocked: boolean, scope?: string, retryAfterSeconds?: number, delayMs: number}>}
+ */
+async function checkLogin({ ip, email }) {
+  const now = Date.now();
+  let delayMs = 0;
+
+  for (const { scope, key } of failureKeys({ ip, email })) {
+    const entry = await store.get(key);
+    if (!entry) continue;
+    if (entry.lockedUntil && entry.lockedUntil > now) {
+      return { blocked: true, scope, retryAfterSeconds: Math.ceil((entry.lockedUntil - now) / 1000), delayMs: 0 };
+    }
+    if (scope === 'account' && now - entry.windowStart < LOGIN_FAILURE_WINDOW_MS) {
+      delayMs = progressiveDelay(entry.failures);
+    }
+  }
+
+  return { blocked: false, delayMs };
+}
+
+/**
+ * Record a failed login for the IP and the attempted account
+ * @returns {Promise<{locked: boolean, scope?: string, retryAfterSeconds?: number}>}
+ */
+async function recordLoginFailure({ ip, email }) {
+  const now = Date.now();
+  let result = { locked: false };
+
+  for (const { scope, key, maxFailures, progressive } of failureKeys({ ip, email })) {
+    let entry = await store.get(key);
+    if (!entry) entry = { failures: 0, windowStart: now, lockedUntil: null, lockouts: 0 };
+    if (now - entry.windowStart >= LOGIN_FAILURE_WINDOW_MS) {
+      entry.failures = 0;
+      entry.windowStart = now;
+    }
+    entry.failures++;
+
+    if (entry.failures >= maxFailures) {
+      entry.lockouts++;
+      const lockoutMs = progressive
+        ? Math.min(LOGIN_LOCKOUT_MS * 2 ** (entry.lockouts - 1), LOGIN_MAX_LOCKOUT_MS)
+        : LOGIN_LOCKOUT_MS;
+      entry.lockedUntil = now + lockoutMs;
+      entry.failures = 0;
+      entry.windowStart = now;
+      if (!result.locked) result = { locked: true, scope, retryAfterSeconds: Math.ceil(lockoutMs / 1000) };
+    }
+
+    await store.set(key, entry, Math.max(LOCKOUT_MEMORY_MS, (entry.lockedUntil || 0) - now));
+  }
+
+  return result;
+}
+
+/**
+ * Successful login: forget the account's failures (IP counters keep running)
+ */
+async function recordLoginSuccess({ email }) {
+  const account = normalizeEmail(email);
+  if (account) await store.delete(`login_failures:account:${account}`);
+}
+
+module.exports = {
+  hit,
+  checkLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  setRateLimitStore
+};
@@ -0,0 +1,279 @@
+// Resumable (tus-style) uploads for full-match videos (2-6 GB)
+// A session is created with the final size; the client PATCHes chunks at the current offset and
+// can ask for the offset after a dropped connection. Each chunk is stored as its own object under
+// `uploads/<uploadId>/parts/`, so sessions survive restarts and work across instances: a chunk is
+// recorded with a compare-and-set on the offset, so when two instances accept a chunk for the same
+// offset only one is kept and the other gets 409.
+// Finalize concatenates the parts into `videos/<videoId>/<fileName>` in one streamed write.
+// Sessions not finished within RESUMABLE_SESSION_TTL_HOURS expire; the retention sweeper calls
+// sweepSessions to mark them expired and delete their parts (and any parts left by other sessions).
+
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./stores');
+const storageService = require('./storageService');
+
+const MAX_FILE_SIZE = parseInt(process.env.RESUMABLE_MAX_FILE_SIZE) || 8 * 1024 * 1024 * 1024; // 8 GB
+const MAX_CHUNK_SIZE = parseInt(process.env.RESUMABLE_MAX_CHUNK_SIZE) || 64 * 1024 * 1024; // 64 MB
+const RECOMMENDED_CHUNK_SIZE = 16 * 1024 * 1024;
+const SESSION_TTL_HOURS = parseInt(process.env.RESUMABLE_SESSION_TTL_HOURS) || 24;
+
+let store = createStore('upload_sessions');
+
+// Chunks for one session are written one at a time (per process)
+const sessionLocks = new Map();
+
+/**
+ * Swap the underlying store (tests, offline tooling)
+ */
+function setUploadSessionStore(adapter) {
+  store = adapter;
+}
+
+function uploadError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function withSessionLock(uploadId, operation) {
+  const previous = sessionLocks.get(uploadId) || Promise.resolve();
+  const run = previous.then(operation, operation);
+  const settled = run.catch(() => {});
+  sessionLocks.set(uploadId, settled);
+  settled.then(() => {
+    if (sessionLocks.get(uploadId) === settled) sessionLocks.delete(uploadId);
+  });
+  return run;
+}
+
+/**
+ * Map an `upload_sessions` row to the API shape
+ */
+function toSession(row) {
+  return {
+    uploadId: row.id,
+    videoId: row.video_id,
+    fileName: row.file_name,
+    contentType: row.content_type,
+    fileSize: row.file_size,
+    offset: row.offset,
+    status: row.status,
+    storageProfile: row.storage_profile,
+    matchMetadata: row.match_metadata || {},
+    expiresAt: row.expires_at
+  };
+}
+
+function isExpired(row) {
+  return new Date(row.expires_at) <= new Date();
+}
+
+/**
+ * Create an upload session
+ * @param {object} storage - storage backend the video will live on (storageService.forOrganization)
+ */
+async function createSession({ fileName, contentType, fileSize, matchMetadata, user, storage }) {
+  const size = parseInt(fileSize);
+  if (!Number.isInteger(size) || size <= 0) throw uploadError('fileSize must be a positive integer (bytes)', 400);
+  if (size > MAX_FILE_SIZE) {
+    throw uploadError(`File too large: maximum is ${Math.round(MAX_FILE_SIZE / (1024 * 1024 * 1024))} GB`, 413);
+  }
+
+  const videoId = uuidv4();
+  const row = await store.insert({
+    id: uuidv4(),
+    video_id: videoId,
+    user_id: user.id,
+    organization_id: user.organizationId || null,
+    file_name: `videos/${videoId}/${path.basename(fileName)}`,
+    content_type: contentType,
+    file_size: size,
+    offset: 0,
+    parts: [],
+    storage_profile: storage.profileName,
+    match_metadata: matchMetadata || {},
+    status: 'uploading',
+    expires_at: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString()
+  });
+  return { ...toSession(row), chunkSize: RECOMMENDED_CHUNK_SIZE, maxChunkSize: MAX_CHUNK_SIZE };
+}
+
+/**
+ * Load a session the user may write to (uploader or same club)
+ */
+async function getSession(uploadId, user) {
+  const row = await store.get(uploadId);
+  if (!row) throw uploadError('Upload session not found', 404);
+  const allowed = row.user_id === user.id || (!!row.organization_id && row.organization_id === user.organizationId);
+  if (!allowed) throw uploadError('Access denied to this upload session', 403);
+  return row;
+}
+
+async function getStatus(uploadId, user) {
+  const row = await getSession(uploadId, user);
+  return toSession(row);
+}
+
+/**
+ * Append one chunk at `offset` (must equal the current offset, like tus Upload-Offset)
+ * @param {stream.Readable} body - request stream
+ */
+async function appendChunk(uploadId, user, { offset, body, contentLength }) {
+  return withSessionLock(uploadId, async () => {
+    const row = await getSession(uploadId, user);
+    if (row.status !== 'uploading') throw uploadError(`Upload session is ${row.status}`, 409);
+    if (isExpired(row)) throw uploadError('Upload session expired', 410);
+    if (parseInt(offset) !== row.offset) {
+      throw uploadError(`Offset mismatch: expected ${row.offset}`, 409);
+    }
+    if (contentLength !== undefined && row.offset + contentLength > row.file_size) {
+      throw uploadError('Chunk exceeds declared file size', 413);
+    }
+
+    // Count bytes while streaming the chunk straight to storage
+    let received = 0;
+    const limit = Math.min(MAX_CHUNK_SIZE, row.file_size - row.offset);
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > limit) return callback(uploadError('Chunk too large', 413));
+        callback(null, chunk);
+      }
+    });
+
+    const storage = storageService.forProfile(row.storage_profile);
+    // Unique per attempt, so a competing write for the same offset can't overwrite the kept part
+    const partKey = `uploads/${row.id}/parts/${String(row.offset).padStart(12, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+    const counted = body.pipe(counter);
+    body.on('error', error => counter.destroy(error));
+    // The counter can fail before the driver starts reading; storage.put still rejects with that
+    // error, so don't let it escape as an unhandled 'error' event (the request stays open for the 413)
+    counter.on('error', () => {});
+    await storage.put(partKey, counted, { contentType: 'application/octet-stream' });
+
+    if (received === 0) {
+      await storage.delete(partKey);
+      throw uploadError('Empty chunk', 400);
+    }
+
+    const [updated] = await store.updateWhere({ id: row.id, offset: row.offset, status: 'uploading' }, {
+      offset: row.offset + received,
+      parts: [...row.parts, { offset: row.offset, size: received, key: partKey }]
+    });
+    if (!updated) {
+      await storage.delete(partKey);
+      throw uploadError('Another request already wrote this chunk, ask for the current offset', 409);
+    }
+    return toSession(updated);
+  });
+}
+
+/**
+ * Concatenate all parts into the final video object and remove the parts
+ * @returns {Promise<object>} the session (status 'finalized') with fileName / videoId
+ */
+async function finalize(uploadId, user) {
+  return withSessionLock(uploadId, async () => {
+    const row = await getSession(uploadId, user);
+    if (row.status === 'finalized') return toSession(row);
+    if (row.status !== 'uploading') throw uploadError(`Upload session is ${row.status}`, 409);
+    if (isExpired(row)) throw uploadError('Upload session expired', 410);
+    if (row.offset !== row.file_size) {
+      throw uploadError(`Upload incomplete: ${row.offset} of ${row.file_size} bytes received`, 409);
+    }
+
+    const storage = storageService.forProfile(row.storage_profile);
+    async function* concatenate() {
+      for (const part of row.parts) {
+        yield* storage.createReadStream(part.key);
+      }
+    }
+
+    await storage.put(row.file_name, Readable.from(concatenate()), {
+      contentType: row.content_type,
+      metadata: {
+        videoId: row.video_id,
+        originalName: path.basename(row.file_name),
+        uploadTime: new Date().toISOString(),
+        uploadedBy: row.user_id,
+        uploadMethod: 'resumable'
+      }
+    });
+    await storage.deletePrefix(`uploads/${row.id}/`);
+
+    const updated = await store.update(row.id, { status: 'finalized', parts: [] });
+    console.log(`📦 Resumable upload finalized: ${row.file_name} (${row.parts.length} chunks)`);
+    return toSession(updated);
+  });
+}
+
+/**
+ * Abort a session and delete its parts
+ */
+async function abort(uploadId, user) {
+  return withSessionLock(uploadId, async () => {
+    const row = await getSession(uploadId, user);
+    if (row.status === 'finalized') throw uploadError('Upload already finalized', 409);
+    await storageService.forProfile(row.storage_profile).deletePrefix(`uploads/${row.id}/`);
+    return toSession(await store.update(row.id, { status: 'aborted', parts: [] }));
+  });
+}
+
+/**
+ * Expire sessions past their TTL and delete the parts of every session that can no longer finish
+ * (expired, aborted, finalized or unknown), e.g. clients that never came back or a failed abort
+ * @param {object[]} backends - storage backends to scan for `uploads/` objects
+ * @returns {Promise<{expiredSessions: number, deletedParts: number, bytes: number, errors: number}>}
+ */
+async function sweepSessions(backends, { dryRun = false, organizationId = null } = {}) {
+  const report = { expiredSessions: 0, deletedParts: 0, bytes: 0, errors: 0 };
+
+  const stale = (await store.find({ status: 'uploading' })).filter(row =>
+    isExpired(row) && (!organizationId || row.organization_id === organizationId)
+  );
+  for (const row of stale) {
+    report.expiredSessions++;
+    if (dryRun) continue;
+    // Compare-and-set, so a session finalized or aborted meanwhile keeps its status
+    await store.updateWhere({ id: row.id, status: 'uploading' }, { status: 'expired', parts: [] });
+  }
+
+  const sessions = new Map(); // uploadId -> row (null when unknown)
+  for (const storage of backends) {
+    for (const object of await storage.list('uploads/')) {
+      const uploadId = object.name.split('/')[1];
+      if (!sessions.has(uploadId)) sessions.set(uploadId, await store.get(uploadId));
+      const row = sessions.get(uploadId);
+      if (organizationId && row?.organization_id !== organizationId) continue;
+      if (row?.status === 'uploading' && !isExpired(row)) continue;
+
+      if (!dryRun) {
+        try {
+          await storage.delete(object.name);
+        } catch (error) {
+          report.errors++;
+          console.error(`❌ Failed to delete upload part ${object.name}:`, error.message);
+          continue;
+        }
+      }
+      report.deletedParts++;
+      report.bytes += parseInt(object.size) || 0;
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  MAX_CHUNK_SIZE,
+  createSession,
+  getStatus,
+  appendChunk,
+  finalize,
+  abort,
+  sweepSessions,
+  setUploadSessionStore
+};
@@ -0,0 +1,255 @@
+// Storage lifecycle / retention for TAHLEEL.ai
+// Each organization can set how many days to keep each kind of stored object
+// (organizations.settings.retention); anything not set falls back to the platform defaults below.
+//   rawVideoDays  original uploads            videos/<videoId>/<file>
+//   proxyDays     derived renditions          videos/<videoId>/{proxy,hls,storyboard}/
+//   framesDays    extracted analysis frames   frames/<videoId>/
+//   resultsDays   analysis results            results/<videoId>/, videos/<videoId>/checkpoints/
+// A value of null keeps that category forever. The sweeper runs on startup and on a schedule,
+// deletes objects older than the policy on every storage backend and logs each deletion to
+// logs/retention.log. Dry runs report what would be deleted without touching anything.
+// Each sweep also expires abandoned resumable upload sessions and deletes their `uploads/` parts.
+
+const winston = require('winston');
+const storageService = require('./storageService');
+const organizationService = require('./organizationService');
+const { getVideoUpload, updateVideoUpload } = require('./videoUploadService');
+const resumableUploadService = require('./resumableUploadService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DERIVED_FOLDERS = ['proxy', 'hls', 'storyboard'];
+const POLICY_KEYS = ['rawVideoDays', 'proxyDays', 'framesDays', 'resultsDays'];
+const MAX_REPORTED_ITEMS = 500;
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/retention.log' })
+  ]
+});
+
+function envDays(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  if (value === 'forever') return null;
+  const days = parseFloat(value);
+  return Number.isFinite(days) && days > 0 ? days : fallback;
+}
+
+/**
+ * Platform defaults (frames used to be deleted 30 minutes after analysis)
+ */
+function defaultPolicy() {
+  return {
+    rawVideoDays: envDays('RETENTION_RAW_VIDEO_DAYS', null),
+    proxyDays: envDays('RETENTION_PROXY_DAYS', null),
+    framesDays: envDays('RETENTION_FRAMES_DAYS', 1),
+    resultsDays: envDays('RETENTION_RESULTS_DAYS', null)
+  };
+}
+
+/**
+ * Effective policy for an organization's settings (missing keys use the defaults)
+ */
+function resolvePolicy(settings = {}) {
+  const custom = settings.retention || {};
+  const policy = defaultPolicy();
+  for (const key of POLICY_KEYS) {
+    if (custom[key] !== undefined) policy[key] = custom[key];
+  }
+  return policy;
+}
+
+/**
+ * Validate a retention patch from PATCH /api/orgs/:orgId/settings
+ * @returns {object|null} the cleaned policy overrides (null resets to the defaults)
+ */
+function validatePolicy(input) {
+  if (input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw policyError('retention must be an object');
+  }
+  const policy = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (!POLICY_KEYS.includes(key)) {
+      throw policyError(`Unknown retention setting: ${key}. Allowed: ${POLICY_KEYS.join(', ')}`);
+    }
+    if (value !== null && !(typeof value === 'number' && Number.isFinite(value) && value > 0)) {
+      throw policyError(`${key} must be a positive number of days, or null to keep forever`);
+    }
+    policy[key] = value;
+  }
+  return policy;
+}
+
+function policyError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Map an object name to its video and retention category
+ */
+function classify(name) {
+  const parts = name.split('/');
+  if (parts.length < 3 || !parts[1]) return null;
+  const [root, videoId] = parts;
+  if (root === 'frames') return { videoId, category: 'framesDays' };
+  if (root === 'results') return { videoId, category: 'resultsDays' };
+  if (root === 'videos') {
+    if (parts.length === 3) return { videoId, category: 'rawVideoDays' };
+    if (DERIVED_FOLDERS.includes(parts[2])) return { videoId, category: 'proxyDays' };
+    if (parts[2] === 'checkpoints') return { videoId, category: 'resultsDays' };
+  }
+  return null;
+}
+
+/**
+ * Every distinct storage backend (default + configured profiles)
+ */
+function listBackends() {
+  return [storageService, ...storageService.listProfiles().map(name => storageService.forProfile(name))];
+}
+
+let sweeping = false;
+
+/**
+ * Delete expired objects everywhere (or for one organization)
+ * @param {object} options
+ * @param {boolean} [options.dryRun] - only report what would be deleted
+ * @param {string} [options.organizationId] - restrict the sweep to one club
+ * @returns {Promise<object>} report
+ */
+async function sweep({ dryRun = false, organizationId = null } = {}) {
+  if (sweeping) {
+    const error = new Error('A retention sweep is already running');
+    error.status = 409;
+    throw error;
+  }
+  sweeping = true;
+
+  const startedAt = new Date();
+  const report = {
+    dryRun,
+    organizationId,
+    startedAt: startedAt.toISOString(),
+    scanned: 0,
+    deleted: 0,
+    bytes: 0,
+    byCategory: {},
+    items: [],
+    errors: 0,
+    uploadSessions: null
+  };
+  const uploads = new Map();
+  const policies = new Map();
+  const expiredVideos = new Set();
+
+  // Cached lookups: video -> upload record -> organization policy
+  const policyForVideo = async (videoId) => {
+    if (!uploads.has(videoId)) {
+      uploads.set(videoId, await getVideoUpload(videoId).catch(() => null));
+    }
+    const orgId = uploads.get(videoId)?.organization_id || null;
+    if (!policies.has(orgId)) {
+      const organization = orgId ? await organizationService.getOrganizationById(orgId) : null;
+      policies.set(orgId, resolvePolicy(organization?.settings));
+    }
+    return { orgId, policy: policies.get(orgId) };
+  };
+
+  try {
+    for (const storage of listBackends()) {
+      for (const prefix of ['videos/', 'frames/', 'results/']) {
+        const objects = await storage.list(prefix);
+        for (const object of objects) {
+          const target = classify(object.name);
+          if (!target || !object.timeCreated) continue;
+          report.scanned++;
+
+          const { orgId, policy } = await policyForVideo(target.videoId);
+          if (organizationId && orgId !== organizationId) continue;
+
+          const days = policy[target.category];
+          const ageDays = (startedAt - new Date(object.timeCreated)) / DAY_MS;
+          if (days === null || days === undefined || ageDays < days) continue;
+
+          const item = {
+            backend: storage.profileName,
+            organizationId: orgId,
+            videoId: target.videoId,
+            category: target.category.replace(/Days$/, ''),
+            fileName: object.name,
+            size: parseInt(object.size) || 0,
+            ageDays: Math.round(ageDays * 10) / 10,
+            retentionDays: days
+          };
+
+          if (!dryRun) {
+            try {
+              await storage.delete(object.name);
+            } catch (error) {
+              report.errors++;
+              logger.error('Retention delete failed', { ...item, error: error.message });
+              continue;
+            }
+            if (target.category === 'rawVideoDays') expiredVideos.add(target.videoId);
+          }
+          logger.info(dryRun ? 'Would delete' : 'Deleted', item);
+
+          report.deleted++;
+          report.bytes += item.size;
+          const totals = report.byCategory[item.category] || { files: 0, bytes: 0 };
+          report.byCategory[item.category] = { files: totals.files + 1, bytes: totals.bytes + item.size };
+          if (report.items.length < MAX_REPORTED_ITEMS) report.items.push(item);
+        }
+      }
+    }
+
+    // Uploads whose original is gone can no longer be analysed
+    for (const videoId of expiredVideos) {
+      if (!uploads.get(videoId)) continue;
+      await updateVideoUpload(videoId, {
+        processing_status: 'expired',
+        metadata: { retention: { rawVideoDeletedAt: new Date().toISOString() } }
+      }).catch(error => console.error(`❌ Failed to mark video ${videoId} expired:`, error.message));
+    }
+
+    // Parts of resumable uploads that were abandoned, aborted or expired
+    report.uploadSessions = await resumableUploadService.sweepSessions(listBackends(), { dryRun, organizationId });
+    report.errors += report.uploadSessions.errors;
+    logger.info(dryRun ? 'Would delete upload parts' : 'Deleted upload parts', report.uploadSessions);
+  } finally {
+    sweeping = false;
+  }
+
+  report.finishedAt = new Date().toISOString();
+  const mb = Math.round(report.bytes / (1024 * 1024));
+  console.log(`🧹 Retention sweep${dryRun ? ' (dry run)' : ''}: ${report.deleted} of ${report.scanned} objects ${dryRun ? 'would be ' : ''}deleted (${mb} MB)`);
+  logger.info('Retention sweep finished', { ...report, items: undefined });
+  return report;
+}
+
+/**
+ * Sweep on startup and then periodically (RETENTION_DRY_RUN=true only reports)
+ */
+function startRetentionSweeper(intervalMs = (parseFloat(process.env.RETENTION_SWEEP_INTERVAL_HOURS) || 6) * 60 * 60 * 1000) {
+  const dryRun = process.env.RETENTION_DRY_RUN === 'true';
+  const run = () => sweep({ dryRun }).catch(error => console.error('❌ Retention sweep failed:', error.message));
+  run();
+  return setInterval(run, intervalMs);
+}
+
+module.exports = {
+  POLICY_KEYS,
+  defaultPolicy,
+  resolvePolicy,
+  validatePolicy,
+  sweep,
+  startRetentionSweeper
+};
@@ -0,0 +1,160 @@
+// Login sessions and rotating refresh tokens for TAHLEEL.ai
+// Each login creates a session (one per device). Access tokens carry the session id (sid)
+// and are only honoured while that session is active, so revoking a session logs the device out.
+// Refresh tokens are `<sessionId>.<secret>`; only a SHA-256 hash of the secret is stored and
+// it is rotated on every refresh. Presenting an already-rotated secret revokes the session.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./stores');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+let store = createStore('user_sessions');
+
+/**
+ * Swap the underlying store (tests, offline tooling)
+ */
+function setSessionStore(adapter) {
+  store = adapter;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+}
+
+function isActive(session) {
+  return !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+}
+
+/**
+ * Map a `user_sessions` row to the API shape
+ */
+function toSession(row) {
+  return {
+    id: row.id,
+    device: row.device,
+    ipAddress: row.ip_address,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Create a session for a login and return its first refresh token
+ */
+async function createSession(userId, { device, ipAddress } = {}) {
+  const secret = newSecret();
+  const now = new Date();
+  const session = await store.insert({
+    id: uuidv4(),
+    user_id: userId,
+    refresh_token_hash: hashSecret(secret),
+    device: device || 'Unknown device',
+    ip_address: ipAddress || null,
+    last_used_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    revoked_at: null,
+    revoked_reason: null
+  });
+  return { session, refreshToken: `${session.id}.${secret}` };
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * @returns {Promise<{session: object, refreshToken: string}>}
+ */
+async function rotateRefreshToken(refreshToken, { ipAddress } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw sessionError('Malformed refresh token');
+
+  const session = await store.get(parsed.sessionId);
+  if (!isActive(session)) throw sessionError('Session expired or revoked');
+
+  const presentedHash = hashSecret(parsed.secret);
+  if (session.refresh_token_hash !== presentedHash) return rejectReuse(session);
+
+  // Compare-and-set on the presented hash: of two refreshes with the same token only one rotates,
+  // and the other is treated like any replayed token
+  const secret = newSecret();
+  const [updated] = await store.updateWhere({ id: session.id, refresh_token_hash: presentedHash, revoked_at: null }, {
+    refresh_token_hash: hashSecret(secret),
+    last_used_at: new Date().toISOString(),
+    ip_address: ipAddress || session.ip_address
+  });
+  if (!updated) return rejectReuse(session);
+  return { session: updated, refreshToken: `${session.id}.${secret}` };
+}
+
+/**
+ * An old refresh token was replayed: assume it was stolen and kill the session
+ */
+async function rejectReuse(session) {
+  await revokeSession(session.id, 'refresh_token_reuse');
+  console.warn(`🚨 Refresh token reuse detected - session ${session.id} revoked for user ${session.user_id}`);
+  throw sessionError('Refresh token already used');
+}
+
+/**
+ * Check whether access tokens for a session are still honoured
+ */
+async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+  return isActive(await store.get(sessionId));
+}
+
+async function getSession(sessionId) {
+  return store.get(sessionId);
+}
+
+async function revokeSession(sessionId, reason = 'logout') {
+  const session = await store.get(sessionId);
+  if (!session || session.revoked_at) return false;
+  await store.update(sessionId, { revoked_at: new Date().toISOString(), revoked_reason: reason });
+  return true;
+}
+
+/**
+ * Revoke every active session of a user ("log out all devices")
+ */
+async function revokeAllSessions(userId, reason = 'logout_all') {
+  const sessions = await store.find({ user_id: userId });
+  const active = sessions.filter(isActive);
+  for (const session of active) {
+    await revokeSession(session.id, reason);
+  }
+  return active.length;
+}
+
+async function listActiveSessions(userId) {
+  const sessions = await store.find({ user_id: userId }, { orderBy: 'last_used_at', ascending: false });
+  return sessions.filter(isActive).map(toSession);
+}
+
+function sessionError(message) {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  getSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  setSessionStore
+};
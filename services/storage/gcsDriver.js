@@ -0,0 +1,111 @@
+const { Storage } = require('@google-cloud/storage');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Google Cloud Storage driver (production default)
+ * Objects are addressed by key (`videos/<id>/<file>`, `frames/<id>/...`, `results/<id>/analysis.json`).
+ */
+class GcsStorageDriver {
+  constructor({ bucketName = process.env.GOOGLE_CLOUD_STORAGE_BUCKET || 'tahleel-ai-videos', projectId = process.env.GOOGLE_CLOUD_PROJECT_ID } = {}) {
+    this.name = 'gcs';
+
+    // Production: Parse JSON credentials from environment
+    if (process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
+      const credentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON);
+      this.storage = new Storage({ projectId, credentials });
+      console.log('✅ Using JSON credentials for GCS');
+    } else {
+      // Fallback for development
+      this.storage = new Storage({ projectId });
+      console.log('✅ Using default credentials for GCS');
+    }
+
+    this.bucketName = bucketName;
+    this.bucket = this.storage.bucket(bucketName);
+    console.log(`✅ GCS initialized - Project: ${projectId}, Bucket: ${bucketName}`);
+  }
+
+  /**
+   * Write an object from a Buffer, string or readable stream
+   */
+  async put(key, data, { contentType, metadata = {} } = {}) {
+    const file = this.bucket.file(key);
+    const options = { metadata: { contentType, metadata } };
+    if (data && typeof data.pipe === 'function') {
+      await pipeline(data, file.createWriteStream({ ...options, resumable: false }));
+    } else {
+      await file.save(data, options);
+    }
+    return key;
+  }
+
+  async get(key) {
+    const [content] = await this.bucket.file(key).download();
+    return content;
+  }
+
+  createReadStream(key, { start, end } = {}) {
+    return this.bucket.file(key).createReadStream({ start, end });
+  }
+
+  /**
+   * List objects under a prefix (lexicographic order)
+   */
+  async list(prefix) {
+    const [files] = await this.bucket.getFiles({ prefix });
+    return files.map(file => toObjectInfo(file.metadata));
+  }
+
+  async delete(key) {
+    await this.bucket.file(key).delete({ ignoreNotFound: true });
+  }
+
+  async exists(key) {
+    const [exists] = await this.bucket.file(key).exists();
+    return exists;
+  }
+
+  async getMetadata(key) {
+    const [metadata] = await this.bucket.file(key).getMetadata();
+    return toObjectInfo(metadata);
+  }
+
+  /**
+   * V4 signed URL for reading or writing (PUT) an object
+   */
+  async getSignedUrl(key, { action = 'read', expiresInSeconds = 3600, contentType } = {}) {
+    const [signedUrl] = await this.bucket.file(key).getSignedUrl({
+      version: 'v4',
+      action,
+      expires: Date.now() + expiresInSeconds * 1000,
+      ...(action === 'write' && contentType ? { contentType } : {})
+    });
+    return signedUrl;
+  }
+
+  async testConnection() {
+    const [exists] = await this.bucket.exists();
+    if (!exists) throw new Error(`Bucket ${this.bucketName} does not exist`);
+    return true;
+  }
+
+  uri(key) {
+    return `gs://${this.bucketName}/${key}`;
+  }
+}
+
+/**
+ * Normalize GCS object metadata to the driver-independent shape
+ */
+function toObjectInfo(metadata) {
+  return {
+    name: metadata.name,
+    size: parseInt(metadata.size) || 0,
+    contentType: metadata.contentType || null,
+    timeCreated: metadata.timeCreated,
+    updated: metadata.updated,
+    metadata: metadata.metadata || {}
+  };
+}
+
+module.exports = GcsStorageDriver;
@@ -0,0 +1,40 @@
+// STORAGE_DRIVER=gcs (default) | s3 | local
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'gcs';
+
+/**
+ * Create an object storage driver
+ *
+ * Driver interface (all async unless noted):
+ *   put(key, data, { contentType, metadata })  data: Buffer | string | readable stream
+ *   get(key) -> Buffer
+ *   createReadStream(key, { start, end })     (sync, returns a readable stream)
+ *   list(prefix) -> [{ name, size, contentType, timeCreated, updated, metadata }]
+ *   delete(key)
+ *   exists(key) -> boolean
+ *   getMetadata(key) -> { name, size, contentType, timeCreated, updated, metadata }
+ *   getSignedUrl(key, { action: 'read' | 'write', expiresInSeconds, contentType }) -> url
+ *   testConnection() -> true (throws when unreachable)
+ *   uri(key) -> storage URI recorded in video_uploads.storage_url   (sync)
+ */
+function createStorageDriver(driver = STORAGE_DRIVER, options = {}) {
+  switch (driver) {
+    case 'gcs': {
+      const GcsStorageDriver = require('./gcsDriver');
+      return new GcsStorageDriver(options);
+    }
+    case 's3': {
+      const S3StorageDriver = require('./s3Driver');
+      return new S3StorageDriver(options);
+    }
+    case 'local': {
+      const LocalStorageDriver = require('./localDriver');
+      return new LocalStorageDriver(options);
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStorageDriver
+};
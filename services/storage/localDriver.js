@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Local-disk storage driver for development, tests and fully offline installs.
+ * Objects live under `<root>/objects/<key>` with a JSON sidecar in `<root>/meta/<key>.json`
+ * (content type, custom metadata). Signed URLs point at routes/storage.js, which checks an
+ * HMAC signature and expiry the same way a GCS V4 signed URL would be checked. URLs name the
+ * storage profile the driver serves, so routes/storage.js checks them against the right root and key.
+ * The HMAC key is STORAGE_SIGNING_SECRET (or the JWT secret); without one the driver refuses to
+ * start, since a well-known key would let anyone forge upload and download URLs.
+ */
+class LocalStorageDriver {
+  constructor({
+    root = process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'data', 'storage'),
+    baseUrl = process.env.STORAGE_PUBLIC_URL || process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`,
+    signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.SUPABASE_JWT_SECRET,
+    profile = 'default'
+  } = {}) {
+    if (!signingSecret) {
+      throw new Error('Local storage driver requires STORAGE_SIGNING_SECRET (or SUPABASE_JWT_SECRET) to sign URLs');
+    }
+    this.name = 'local';
+    this.signingSecret = signingSecret;
+    this.profile = profile;
+    this.root = path.resolve(root);
+    this.bucketName = 'local';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.objectsDir = path.join(this.root, 'objects');
+    this.metaDir = path.join(this.root, 'meta');
+  }
+
+  /**
+   * Resolve a key to its file path, refusing keys that escape the storage root
+   * Keys must already be normalized: no `.`/`..` segments, no leading or doubled slashes.
+   */
+  objectPath(key) {
+    return path.join(this.objectsDir, ...validateKey(key).split('/'));
+  }
+
+  metaPath(key) {
+    return `${path.join(this.metaDir, ...validateKey(key).split('/'))}.json`;
+  }
+
+  async readMeta(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.metaPath(key), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Write an object from a Buffer, string or readable stream (atomic: tmp file + rename)
+   */
+  async put(key, data, { contentType, metadata = {} } = {}) {
+    const filePath = this.objectPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      if (data && typeof data.pipe === 'function') {
+        await pipeline(data, fs.createWriteStream(tmpPath));
+      } else {
+        await fs.promises.writeFile(tmpPath, data);
+      }
+      await fs.promises.rename(tmpPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw error;
+    }
+
+    const previous = await this.readMeta(key);
+    const now = new Date().toISOString();
+    await fs.promises.mkdir(path.dirname(this.metaPath(key)), { recursive: true });
+    await fs.promises.writeFile(this.metaPath(key), JSON.stringify({
+      contentType: contentType || 'application/octet-stream',
+      metadata,
+      timeCreated: previous.timeCreated || now,
+      updated: now
+    }));
+    return key;
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.objectPath(key));
+    } catch (error) {
+      throw error.code === 'ENOENT' ? storageError(`No such object: ${key}`, 404) : error;
+    }
+  }
+
+  createReadStream(key, { start, end } = {}) {
+    return fs.createReadStream(this.objectPath(key), { start, end });
+  }
+
+  /**
+   * List objects under a prefix (lexicographic order, like GCS)
+   */
+  async list(prefix = '') {
+    // Only walk the directory the prefix points into
+    const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const startDir = prefixDir ? this.objectPath(prefixDir) : this.objectsDir;
+
+    const keys = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (!entry.name.endsWith('.tmp')) {
+          const key = path.relative(this.objectsDir, fullPath).split(path.sep).join('/');
+          if (key.startsWith(prefix)) keys.push(key);
+        }
+      }
+    };
+    await walk(startDir);
+
+    keys.sort();
+    return Promise.all(keys.map(key => this.getMetadata(key)));
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.objectPath(key), { force: true });
+    await fs.promises.rm(this.metaPath(key), { force: true });
+  }
+
+  async exists(key) {
+    try {
+      const stat = await fs.promises.stat(this.objectPath(key));
+      return stat.isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async getMetadata(key) {
+    let stat;
+    try {
+      stat = await fs.promises.stat(this.objectPath(key));
+    } catch (error) {
+      throw error.code === 'ENOENT' ? storageError(`No such object: ${key}`, 404) : error;
+    }
+    const meta = await this.readMeta(key);
+    return {
+      name: key,
+      size: stat.size,
+      contentType: meta.contentType || 'application/octet-stream',
+      timeCreated: meta.timeCreated || stat.birthtime.toISOString(),
+      updated: meta.updated || stat.mtime.toISOString(),
+      metadata: meta.metadata || {}
+    };
+  }
+
+  /**
+   * Signed URL served by routes/storage.js (GET for read, PUT for write)
+   */
+  async getSignedUrl(key, { action = 'read', expiresInSeconds = 3600, contentType } = {}) {
+    this.objectPath(key); // validate
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    const params = new URLSearchParams({ profile: this.profile, action, expires: String(expires) });
+    if (action === 'write' && contentType) params.set('contentType', contentType);
+    params.set('signature', sign(this.signingSecret, this.profile, action, key, expires, params.get('contentType')));
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}/api/storage/local/${encodedKey}?${params.toString()}`;
+  }
+
+  /**
+   * Check a signed URL's query parameters for a key
+   */
+  verifySignature(key, { action, expires, contentType, signature }) {
+    if (!action || !expires || !signature) return false;
+    if (parseInt(expires) < Math.floor(Date.now() / 1000)) return false;
+    const expected = Buffer.from(sign(this.signingSecret, this.profile, action, key, parseInt(expires), contentType || null));
+    const presented = Buffer.from(String(signature));
+    return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+  }
+
+  async testConnection() {
+    await fs.promises.mkdir(this.objectsDir, { recursive: true });
+    await fs.promises.access(this.objectsDir, fs.constants.W_OK);
+    return true;
+  }
+
+  uri(key) {
+    return `file://${this.objectPath(key)}`;
+  }
+}
+
+function validateKey(key) {
+  const value = String(key || '');
+  const segments = value.replace(/\/$/, '').split('/');
+  if (
+    !value ||
+    value.startsWith('/') ||
+    path.posix.normalize(value) !== value ||
+    segments.some(segment => segment === '' || segment === '.' || segment === '..')
+  ) {
+    throw storageError(`Invalid object key: ${key}`, 400);
+  }
+  return value;
+}
+
+function sign(secret, profile, action, key, expires, contentType) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update([profile, action, key, expires, contentType || ''].join('\n'))
+    .digest('base64url');
+}
+
+function storageError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = status;
+  return error;
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,182 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  HeadBucketCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { PassThrough } = require('stream');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, Ceph, Wasabi ...)
+ * Used for clubs whose data must stay in their own cloud account (see STORAGE_PROFILES).
+ * Set `endpoint` + `forcePathStyle` for MinIO; credentials fall back to the AWS default chain.
+ */
+class S3StorageDriver {
+  constructor({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+    endpoint = process.env.S3_ENDPOINT,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY
+  } = {}) {
+    if (!bucket) throw new Error('S3 driver requires a bucket (S3_BUCKET)');
+
+    this.name = 's3';
+    this.bucketName = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+    console.log(`✅ S3 initialized - Bucket: ${bucket}${endpoint ? `, Endpoint: ${endpoint}` : `, Region: ${region}`}`);
+  }
+
+  /**
+   * Write an object from a Buffer, string or readable stream (streams use multipart upload)
+   */
+  async put(key, data, { contentType, metadata = {} } = {}) {
+    const params = {
+      Bucket: this.bucketName,
+      Key: key,
+      Body: data,
+      ContentType: contentType,
+      Metadata: toS3Metadata(metadata)
+    };
+    if (data && typeof data.pipe === 'function') {
+      await new Upload({ client: this.client, params }).done();
+    } else {
+      await this.client.send(new PutObjectCommand(params));
+    }
+    return key;
+  }
+
+  async get(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucketName, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      throw normalizeError(error, key);
+    }
+  }
+
+  /**
+   * Readable stream for an object (byte range optional)
+   * The stream is returned synchronously like the other drivers; the request starts on first read.
+   */
+  createReadStream(key, { start, end } = {}) {
+    const output = new PassThrough();
+    const range = start !== undefined || end !== undefined ? `bytes=${start || 0}-${end !== undefined ? end : ''}` : undefined;
+    this.client.send(new GetObjectCommand({ Bucket: this.bucketName, Key: key, Range: range }))
+      .then(response => {
+        response.Body.on('error', error => output.destroy(error));
+        response.Body.pipe(output);
+      })
+      .catch(error => output.destroy(normalizeError(error, key)));
+    return output;
+  }
+
+  /**
+   * List objects under a prefix (lexicographic order); follows continuation tokens
+   */
+  async list(prefix) {
+    const objects = [];
+    let ContinuationToken;
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        ContinuationToken
+      }));
+      for (const item of response.Contents || []) {
+        objects.push({
+          name: item.Key,
+          size: item.Size || 0,
+          contentType: null, // not returned by ListObjectsV2; use getMetadata when needed
+          timeCreated: item.LastModified?.toISOString(),
+          updated: item.LastModified?.toISOString(),
+          metadata: {}
+        });
+      }
+      ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return objects;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucketName, Key: key }));
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: key }));
+      return true;
+    } catch (error) {
+      if (normalizeError(error, key).status === 404) return false;
+      throw error;
+    }
+  }
+
+  async getMetadata(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: key }));
+      return {
+        name: key,
+        size: head.ContentLength || 0,
+        contentType: head.ContentType || null,
+        timeCreated: head.LastModified?.toISOString(),
+        updated: head.LastModified?.toISOString(),
+        metadata: head.Metadata || {}
+      };
+    } catch (error) {
+      throw normalizeError(error, key);
+    }
+  }
+
+  /**
+   * SigV4 presigned URL for GET (read) or PUT (write)
+   */
+  async getSignedUrl(key, { action = 'read', expiresInSeconds = 3600, contentType } = {}) {
+    const command = action === 'write'
+      ? new PutObjectCommand({ Bucket: this.bucketName, Key: key, ContentType: contentType })
+      : new GetObjectCommand({ Bucket: this.bucketName, Key: key });
+    return getSignedUrl(this.client, command, { expiresIn: expiresInSeconds });
+  }
+
+  async testConnection() {
+    await this.client.send(new HeadBucketCommand({ Bucket: this.bucketName }));
+    return true;
+  }
+
+  uri(key) {
+    return `s3://${this.bucketName}/${key}`;
+  }
+}
+
+/**
+ * S3 user metadata values must be strings
+ */
+function toS3Metadata(metadata) {
+  return Object.fromEntries(
+    Object.entries(metadata || {}).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+  );
+}
+
+function normalizeError(error, key) {
+  const status = error.$metadata?.httpStatusCode;
+  if (status === 404 || error.name === 'NoSuchKey' || error.name === 'NotFound') {
+    const notFound = new Error(`No such object: ${key}`);
+    notFound.status = 404;
+    notFound.code = 404;
+    return notFound;
+  }
+  return error;
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,371 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStorageDriver } = require('./storage');
+
+// Named storage backends for clubs with data-residency requirements, e.g.
+// STORAGE_PROFILES='{"gulf-s3":{"driver":"s3","bucket":"club-videos","region":"me-south-1"}}'
+// An organization opts in via settings.storageProfile; everyone else uses the default driver.
+const STORAGE_PROFILES = parseProfiles(process.env.STORAGE_PROFILES);
+const DEFAULT_PROFILE = 'default';
+const profileInstances = new Map();
+
+function parseProfiles(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error(`STORAGE_PROFILES is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Object storage for videos, frames and analysis results.
+ * Wraps a storage driver (GCS in production, local disk for offline use; see services/storage)
+ * with the TAHLEEL.ai object layout:
+ *   videos/<videoId>/<fileName>      uploaded match video
+ *   frames/<videoId>/frame_0001.jpg  extracted frames (temporary)
+ *   results/<videoId>/analysis.json  completed analysis
+ *
+ * The exported instance is the default backend; forOrganization()/forVideo() return the
+ * backend a club's data lives on.
+ */
+class StorageService {
+  constructor(driver, profileName = DEFAULT_PROFILE) {
+    try {
+      this.driver = driver || createStorageDriver();
+      this.profileName = profileName;
+      console.log(`✅ Storage initialized - Profile: ${profileName}, Driver: ${this.driver.name}`);
+    } catch (error) {
+      console.error('❌ Storage initialization failed:', error.message);
+      throw error;
+    }
+  }
+
+  get driverName() {
+    return this.driver.name;
+  }
+
+  get bucketName() {
+    return this.driver.bucketName;
+  }
+
+  /**
+   * Swap the driver (tests, offline tooling)
+   */
+  setDriver(driver) {
+    this.driver = driver;
+  }
+
+  // --- Per-organization backends ---
+
+  /**
+   * Names of the configured storage profiles (besides the default)
+   */
+  listProfiles() {
+    return Object.keys(STORAGE_PROFILES);
+  }
+
+  hasProfile(name) {
+    return name === DEFAULT_PROFILE || Object.prototype.hasOwnProperty.call(STORAGE_PROFILES, name);
+  }
+
+  /**
+   * Storage for a named profile (drivers are created once and cached)
+   */
+  forProfile(name) {
+    if (!name || name === DEFAULT_PROFILE) return defaultStorage;
+    if (!profileInstances.has(name)) {
+      const config = STORAGE_PROFILES[name];
+      if (!config) throw new Error(`Unknown storage profile: ${name}`);
+      const { driver, ...options } = config;
+      profileInstances.set(name, new StorageService(createStorageDriver(driver, { ...options, profile: name }), name));
+    }
+    return profileInstances.get(name);
+  }
+
+  /**
+   * Storage a club's new uploads and results go to
+   */
+  async forOrganization(organizationId) {
+    if (!organizationId) return defaultStorage;
+    const organizationService = require('./organizationService');
+    const organization = await organizationService.getOrganizationById(organizationId);
+    return this.forProfile(organization?.settings?.storageProfile);
+  }
+
+  /**
+   * Storage a video's objects live on: the profile recorded at upload time, else its club's current one
+   * @param {string} videoId
+   * @param {object} [upload] - video_uploads record when already loaded (e.g. from checkVideoAccess)
+   */
+  async forVideo(videoId, upload) {
+    if (upload === undefined) {
+      const { getVideoUpload } = require('./videoUploadService');
+      upload = await getVideoUpload(videoId);
+    }
+    if (!upload) return defaultStorage;
+    if (upload.metadata?.storage_profile) return this.forProfile(upload.metadata.storage_profile);
+    return this.forOrganization(upload.organization_id);
+  }
+
+  // --- Generic object operations (delegated to the driver) ---
+
+  put(key, data, options) {
+    return this.driver.put(key, data, options);
+  }
+
+  get(key) {
+    return this.driver.get(key);
+  }
+
+  createReadStream(key, options) {
+    return this.driver.createReadStream(key, options);
+  }
+
+  list(prefix) {
+    return this.driver.list(prefix);
+  }
+
+  delete(key) {
+    return this.driver.delete(key);
+  }
+
+  exists(key) {
+    return this.driver.exists(key);
+  }
+
+  getMetadata(key) {
+    return this.driver.getMetadata(key);
+  }
+
+  getSignedUrl(key, options) {
+    return this.driver.getSignedUrl(key, options);
+  }
+
+  uri(key) {
+    return this.driver.uri(key);
+  }
+
+  /**
+   * Delete every object under a prefix
+   * @returns {Promise<number>} number of deleted objects
+   */
+  async deletePrefix(prefix) {
+    const objects = await this.driver.list(prefix);
+    await Promise.all(objects.map(object => this.driver.delete(object.name)));
+    return objects.length;
+  }
+
+  /**
+   * Test storage connection
+   */
+  async testConnection() {
+    try {
+      console.log(`🧪 Testing storage connection (${this.driver.name})...`);
+      await this.driver.testConnection();
+      console.log('✅ Storage connection successful');
+      return true;
+    } catch (error) {
+      console.error('❌ Storage connection test failed:', error.message);
+      return false;
+    }
+  }
+
+  // --- TAHLEEL.ai object layout ---
+
+  /**
+   * Find the uploaded video object for a videoId (first object directly under videos/<videoId>/)
+   */
+  async findVideoFile(videoId) {
+    const prefix = `videos/${videoId}/`;
+    const objects = await this.driver.list(prefix);
+    return objects.find(object => !object.name.slice(prefix.length).includes('/')) || null;
+  }
+
+  /**
+   * Generate signed URL for video upload
+   */
+  async generateSignedUploadUrl(fileName, contentType) {
+    try {
+      const videoId = uuidv4();
+      const fullFileName = `videos/${videoId}/${fileName}`;
+
+      const signedUrl = await this.driver.getSignedUrl(fullFileName, {
+        action: 'write',
+        expiresInSeconds: 30 * 60, // 30 minutes
+        contentType
+      });
+
+      console.log(`📤 Generated upload URL for: ${fullFileName}`);
+
+      return {
+        uploadUrl: signedUrl,
+        fileName: fullFileName,
+        videoId: videoId,
+        bucketName: this.bucketName
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating signed upload URL:', error);
+      throw new Error(`Failed to generate upload URL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate signed URL for reading video
+   */
+  async generateSignedDownloadUrl(fileName) {
+    try {
+      const signedUrl = await this.driver.getSignedUrl(fileName, {
+        action: 'read',
+        expiresInSeconds: 60 * 60 // 1 hour
+      });
+
+      console.log(`📥 Generated download URL for: ${fileName}`);
+      return signedUrl;
+
+    } catch (error) {
+      console.error('❌ Error generating signed download URL:', error);
+      throw new Error(`Failed to generate download URL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload frame to temp folder
+   */
+  async uploadFrame(frameBuffer, videoId, frameNumber) {
+    try {
+      const fileName = `frames/${videoId}/frame_${frameNumber.toString().padStart(4, '0')}.jpg`;
+
+      await this.driver.put(fileName, frameBuffer, {
+        contentType: 'image/jpeg',
+        metadata: {
+          videoId: videoId,
+          frameNumber: frameNumber.toString(),
+          uploadTime: new Date().toISOString()
+        }
+      });
+
+      console.log(`🖼️ Uploaded frame: ${fileName}`);
+      return fileName;
+
+    } catch (error) {
+      console.error('❌ Error uploading frame:', error);
+      throw new Error(`Failed to upload frame: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate signed URL for frame
+   */
+  async getFrameUrl(fileName) {
+    try {
+      return await this.driver.getSignedUrl(fileName, {
+        action: 'read',
+        expiresInSeconds: 30 * 60 // 30 minutes
+      });
+    } catch (error) {
+      console.error('❌ Error generating frame URL:', error);
+      throw new Error(`Failed to generate frame URL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload analysis result
+   */
+  async uploadAnalysisResult(analysisData, videoId) {
+    try {
+      const fileName = `results/${videoId}/analysis.json`;
+
+      await this.driver.put(fileName, JSON.stringify(analysisData, null, 2), {
+        contentType: 'application/json',
+        metadata: {
+          videoId: videoId,
+          analysisTime: new Date().toISOString(),
+          version: '1.0.0'
+        }
+      });
+
+      console.log(`📊 Uploaded analysis result: ${fileName}`);
+      return fileName;
+
+    } catch (error) {
+      console.error('❌ Error uploading analysis result:', error);
+      throw new Error(`Failed to upload analysis result: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download analysis result
+   */
+  async downloadAnalysisResult(videoId) {
+    try {
+      const content = await this.driver.get(`results/${videoId}/analysis.json`);
+      const analysisData = JSON.parse(content.toString());
+
+      console.log(`📥 Downloaded analysis result for video: ${videoId}`);
+      return analysisData;
+
+    } catch (error) {
+      console.error('❌ Error downloading analysis result:', error);
+      throw new Error(`Failed to download analysis result: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read every stored analysis result (history, quota); unreadable files are skipped
+   */
+  async listAnalysisResults() {
+    const objects = await this.driver.list('results/');
+    const results = [];
+    for (const object of objects) {
+      if (!object.name.endsWith('/analysis.json')) continue;
+      try {
+        results.push(JSON.parse((await this.driver.get(object.name)).toString()));
+      } catch (parseError) {
+        console.warn(`⚠️ Skipping unreadable analysis result: ${object.name}`);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Cleanup temporary files
+   */
+  async cleanupTempFiles(videoId) {
+    try {
+      const deleted = await this.deletePrefix(`frames/${videoId}/`);
+      console.log(`🧹 Cleaned up ${deleted} temp frames for video: ${videoId}`);
+    } catch (error) {
+      console.error('❌ Error during cleanup:', error);
+      // Don't throw error for cleanup failures
+    }
+  }
+
+  /**
+   * Check if file exists
+   */
+  async fileExists(fileName) {
+    try {
+      return await this.driver.exists(fileName);
+    } catch (error) {
+      console.error('❌ Error checking file existence:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get file metadata
+   */
+  async getFileMetadata(fileName) {
+    try {
+      return await this.driver.getMetadata(fileName);
+    } catch (error) {
+      console.error('❌ Error getting file metadata:', error);
+      throw new Error(`Failed to get file metadata: ${error.message}`);
+    }
+  }
+}
+
+const defaultStorage = new StorageService();
+
+module.exports = defaultStorage;
@@ -0,0 +1,31 @@
+const JsonFileStore = require('./jsonFileStore');
+const LockedJsonFileStore = require('./lockedFileStore');
+const SupabaseTableStore = require('./supabaseTableStore');
+
+// DATA_STORE=supabase (default) | file | memory
+// `file` stores hold a lock file while writing, so server.js and `node worker.js` processes on one host
+// can write the same collections (e.g. video_uploads) without losing each other's updates.
+const DATA_STORE = process.env.DATA_STORE || 'supabase';
+
+/**
+ * Create a record store for a table/collection using the configured driver
+ */
+function createStore(name, driver = DATA_STORE) {
+  switch (driver) {
+    case 'supabase':
+      return new SupabaseTableStore(name);
+    case 'file':
+      return new LockedJsonFileStore(name);
+    case 'memory':
+      return new JsonFileStore(name, { persist: false });
+    default:
+      throw new Error(`Unknown DATA_STORE driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  JsonFileStore,
+  LockedJsonFileStore,
+  SupabaseTableStore
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+/**
+ * JSON-file backed record store for local development, tests and offline use.
+ * Each collection lives in one file (`<dataDir>/<name>.json`) holding an array of records.
+ * Writes are serialized per store and replaced atomically (tmp file + rename).
+ * Pass `{ persist: false }` for a purely in-memory store.
+ */
+class JsonFileStore {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.persist = options.persist !== false;
+    this.dataDir = options.dataDir || DEFAULT_DATA_DIR;
+    this.filePath = path.join(this.dataDir, `${name}.json`);
+    this.records = [];
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Read records from disk (re-read on every operation so separate processes see each other's writes)
+   * Returns a fresh array: reads never touch `this.records`, which belongs to the write in progress.
+   */
+  async read() {
+    if (!this.persist) return this.records;
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read ${this.name} store: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Load records for a write (only called from inside the write queue)
+   */
+  async load() {
+    this.records = await this.read();
+    return this.records;
+  }
+
+  /**
+   * Write records to disk atomically
+   */
+  async save() {
+    if (!this.persist) return;
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(this.records, null, 2));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Run a read-modify-write operation after any pending writes
+   */
+  mutate(operation) {
+    const run = this.writeQueue.then(async () => {
+      await this.load();
+      const result = await operation(this.records);
+      await this.save();
+      return result;
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async get(id) {
+    const records = await this.read();
+    return records.find(record => record.id === id) || null;
+  }
+
+  async findOne(match = {}) {
+    const records = await this.read();
+    return records.find(record => matches(record, match)) || null;
+  }
+
+  async find(match = {}, { limit, orderBy, ascending = true } = {}) {
+    const records = await this.read();
+    let results = records.filter(record => matches(record, match));
+    if (orderBy) {
+      results = results.sort((a, b) => {
+        if (a[orderBy] === b[orderBy]) return 0;
+        return (a[orderBy] > b[orderBy] ? 1 : -1) * (ascending ? 1 : -1);
+      });
+    }
+    return limit ? results.slice(0, limit) : results;
+  }
+
+  async insert(record) {
+    if (!record.id) throw new Error(`${this.name} record requires an id`);
+    return this.mutate(records => {
+      if (records.some(existing => existing.id === record.id)) {
+        throw new Error(`${this.name} record ${record.id} already exists`);
+      }
+      const now = new Date().toISOString();
+      const created = { created_at: now, updated_at: now, ...record };
+      records.push(created);
+      return created;
+    });
+  }
+
+  /**
+   * Insert the record unless a record matching `match` already exists, in one write
+   * @returns {Promise<object|null>} the created record, or null when a matching record exists
+   */
+  async insertUnique(record, match) {
+    if (!record.id) throw new Error(`${this.name} record requires an id`);
+    return this.mutate(records => {
+      if (records.some(existing => matches(existing, match))) return null;
+      const now = new Date().toISOString();
+      const created = { created_at: now, updated_at: now, ...record };
+      records.push(created);
+      return created;
+    });
+  }
+
+  /**
+   * Insert the record, or merge it into the existing record with the same id
+   */
+  async upsert(record) {
+    if (!record.id) throw new Error(`${this.name} record requires an id`);
+    return this.mutate(records => {
+      const now = new Date().toISOString();
+      const index = records.findIndex(existing => existing.id === record.id);
+      if (index === -1) {
+        const created = { created_at: now, updated_at: now, ...record };
+        records.push(created);
+        return created;
+      }
+      records[index] = { ...records[index], ...record, updated_at: now };
+      return records[index];
+    });
+  }
+
+  async update(id, patch) {
+    return this.mutate(records => {
+      const index = records.findIndex(record => record.id === id);
+      if (index === -1) return null;
+      records[index] = { ...records[index], ...patch, updated_at: new Date().toISOString() };
+      return records[index];
+    });
+  }
+
+  /**
+   * Shallow-merge `patch` into a JSON column in one write (concurrent merges of different keys all land)
+   */
+  async mergeJson(id, column, patch) {
+    return this.mutate(records => {
+      const index = records.findIndex(record => record.id === id);
+      if (index === -1) return null;
+      records[index] = {
+        ...records[index],
+        [column]: { ...(records[index][column] || {}), ...patch },
+        updated_at: new Date().toISOString()
+      };
+      return records[index];
+    });
+  }
+
+  /**
+   * Update every record matching `match` in one write (a compare-and-set when match includes the id)
+   * @returns {Promise<object[]>} the updated records
+   */
+  async updateWhere(match, patch) {
+    return this.mutate(records => {
+      const updated = [];
+      records.forEach((record, index) => {
+        if (!matches(record, match)) return;
+        records[index] = { ...record, ...patch, updated_at: new Date().toISOString() };
+        updated.push(records[index]);
+      });
+      return updated;
+    });
+  }
+
+  async remove(id) {
+    return this.mutate(records => {
+      const index = records.findIndex(record => record.id === id);
+      if (index === -1) return false;
+      records.splice(index, 1);
+      return true;
+    });
+  }
+
+  async removeWhere(match) {
+    return this.mutate(records => {
+      const before = records.length;
+      const kept = records.filter(record => !matches(record, match));
+      records.splice(0, records.length, ...kept);
+      return before - kept.length;
+    });
+  }
+}
+
+/**
+ * Shallow equality match on every key of `match` (an array value matches any of its items)
+ * `column->>field` keys match a field of a JSON column, like the PostgREST filter of the same name.
+ */
+function matches(record, match) {
+  return Object.keys(match).every(key => {
+    const value = fieldValue(record, key);
+    return Array.isArray(match[key]) ? match[key].includes(value) : value === match[key];
+  });
+}
+
+function fieldValue(record, key) {
+  const [column, field] = key.split('->>');
+  return field === undefined ? record[column] : record[column]?.[field];
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const JsonFileStore = require('./jsonFileStore');
+
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const LOCK_STALE_MS = 30 * 1000; // a lock this old was left behind by a crashed process
+
+/**
+ * JSON-file store whose writes also hold a lock file (`<name>.json.lock`), so several processes on
+ * the same host (API + workers) can safely read-modify-write the same collection. Used for records
+ * that need compare-and-set across processes, e.g. claiming queued analysis jobs.
+ */
+class LockedJsonFileStore extends JsonFileStore {
+  constructor(name, options = {}) {
+    super(name, options);
+    this.lockPath = `${this.filePath}.lock`;
+  }
+
+  mutate(operation) {
+    const run = this.writeQueue.then(() => this.withFileLock(async () => {
+      await this.load();
+      const result = await operation(this.records);
+      await this.save();
+      return result;
+    }));
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async withFileLock(operation) {
+    if (!this.persist) return operation();
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(this.lockPath, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        const stat = await fs.promises.stat(this.lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+          await fs.promises.rm(this.lockPath, { force: true });
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for the ${this.name} store lock`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+
+    try {
+      return await operation();
+    } finally {
+      await fs.promises.rm(this.lockPath, { force: true });
+    }
+  }
+}
+
+module.exports = LockedJsonFileStore;
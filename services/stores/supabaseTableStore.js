@@ -0,0 +1,131 @@
+/**
+ * Supabase table adapter exposing the same record interface as JsonFileStore.
+ * supabaseService is required lazily so file-backed deployments never need Supabase credentials.
+ *
+ * mergeJson(id, column, patch) runs a server-side `jsonb ||` so concurrent writers of different keys
+ * don't overwrite each other. It calls the function `merge_<table>_<column>`, e.g. for video_uploads:
+ *
+ *   create or replace function merge_video_uploads_metadata(record_id text, patch jsonb)
+ *   returns setof video_uploads language sql as $$
+ *     update video_uploads
+ *        set metadata = coalesce(metadata, '{}'::jsonb) || patch, updated_at = now()
+ *      where id::text = record_id
+ *     returning *;
+ *   $$;
+ *
+ * insertUnique(record, match) relies on a unique index covering `match` and returns null when the
+ * insert violates it, e.g. one active analysis job per video:
+ *
+ *   create unique index analysis_jobs_one_active_per_video
+ *     on analysis_jobs (video_id) where status in ('queued', 'running');
+ */
+const UNIQUE_VIOLATION = '23505';
+
+class SupabaseTableStore {
+  constructor(table) {
+    this.table = table;
+  }
+
+  get client() {
+    return require('../supabaseService').supabase;
+  }
+
+  async get(id) {
+    return this.findOne({ id });
+  }
+
+  async findOne(match = {}) {
+    const { data, error } = await applyMatch(this.client.from(this.table).select('*'), match).limit(1);
+    if (error) throw new Error(`Supabase ${this.table} lookup failed: ${error.message}`);
+    return data?.[0] || null;
+  }
+
+  async find(match = {}, { limit, orderBy, ascending = true } = {}) {
+    let query = applyMatch(this.client.from(this.table).select('*'), match);
+    if (orderBy) query = query.order(orderBy, { ascending });
+    if (limit) query = query.limit(limit);
+    const { data, error } = await query;
+    if (error) throw new Error(`Supabase ${this.table} query failed: ${error.message}`);
+    return data || [];
+  }
+
+  async insert(record) {
+    const now = new Date().toISOString();
+    const { data, error } = await this.client
+      .from(this.table)
+      .insert([{ created_at: now, updated_at: now, ...record }])
+      .select();
+    if (error) throw new Error(`Supabase ${this.table} insert failed: ${error.message}`);
+    return data?.[0] || null;
+  }
+
+  async insertUnique(record) {
+    const now = new Date().toISOString();
+    const { data, error } = await this.client
+      .from(this.table)
+      .insert([{ created_at: now, updated_at: now, ...record }])
+      .select();
+    if (error?.code === UNIQUE_VIOLATION) return null;
+    if (error) throw new Error(`Supabase ${this.table} insert failed: ${error.message}`);
+    return data?.[0] || null;
+  }
+
+  async upsert(record) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .upsert([{ ...record, updated_at: new Date().toISOString() }], { onConflict: 'id' })
+      .select();
+    if (error) throw new Error(`Supabase ${this.table} upsert failed: ${error.message}`);
+    return data?.[0] || null;
+  }
+
+  async update(id, patch) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select();
+    if (error) throw new Error(`Supabase ${this.table} update failed: ${error.message}`);
+    return data?.[0] || null;
+  }
+
+  async mergeJson(id, column, patch) {
+    const { data, error } = await this.client.rpc(`merge_${this.table}_${column}`, { record_id: id, patch });
+    if (error) throw new Error(`Supabase ${this.table}.${column} merge failed: ${error.message}`);
+    return (Array.isArray(data) ? data[0] : data) || null;
+  }
+
+  async updateWhere(match, patch) {
+    const { data, error } = await applyMatch(
+      this.client.from(this.table).update({ ...patch, updated_at: new Date().toISOString() }),
+      match
+    ).select();
+    if (error) throw new Error(`Supabase ${this.table} update failed: ${error.message}`);
+    return data || [];
+  }
+
+  async remove(id) {
+    const { data, error } = await this.client.from(this.table).delete().eq('id', id).select('id');
+    if (error) throw new Error(`Supabase ${this.table} delete failed: ${error.message}`);
+    return (data || []).length > 0;
+  }
+
+  async removeWhere(match) {
+    const { data, error } = await applyMatch(this.client.from(this.table).delete(), match).select('id');
+    if (error) throw new Error(`Supabase ${this.table} delete failed: ${error.message}`);
+    return (data || []).length;
+  }
+}
+
+/**
+ * Apply equality filters (null values become IS NULL, which PostgREST eq cannot express; arrays become IN)
+ */
+function applyMatch(query, match) {
+  return Object.entries(match).reduce((filtered, [key, value]) => {
+    if (value === null) return filtered.is(key, null);
+    if (Array.isArray(value)) return filtered.in(key, value);
+    return filtered.eq(key, value);
+  }, query);
+}
+
+module.exports = SupabaseTableStore;
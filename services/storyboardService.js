@@ -0,0 +1,226 @@
+// Storyboard sprite sheets and WebVTT thumbnail track for match review
+// One ffmpeg pass over the proxy samples a thumbnail every STORYBOARD_INTERVAL seconds and tiles
+// them into JPEG sprite sheets. Stored next to the video under `videos/<videoId>/storyboard/`
+// (kept when analysis results are deleted):
+//   sheet_001.jpg ...   sprite sheets (COLUMNS x ROWS thumbnails each)
+//   storyboard.vtt      WebVTT thumbnails track (cues point at `sheet_NNN.jpg#xywh=x,y,w,h`)
+//   storyboard.json     manifest used by GET /api/results/:videoId/storyboard
+// Sheet URLs in the served track are signed on request, so private buckets work.
+// Deleting the video cancels generation (cancelStoryboard), and nothing is stored for it after.
+
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const crypto = require('crypto');
+const storageService = require('./storageService');
+const frameService = require('./frameService');
+const transcodeService = require('./transcodeService');
+const { updateVideoUpload, assertVideoNotDeleted } = require('./videoUploadService');
+
+const INTERVAL_SECONDS = parseInt(process.env.STORYBOARD_INTERVAL) || 10;
+const TILE_WIDTH = 160;
+const TILE_HEIGHT = 90;
+const COLUMNS = 10;
+const ROWS = 10;
+
+// Storyboards being generated in this process
+const inFlight = new Map(); // videoId -> { promise, controller }
+
+function storyboardPrefix(videoId) {
+  return `videos/${videoId}/storyboard/`;
+}
+
+function manifestFileName(videoId) {
+  return `${storyboardPrefix(videoId)}storyboard.json`;
+}
+
+async function recordStoryboard(videoId, storyboard) {
+  try {
+    await assertVideoNotDeleted(videoId);
+    await updateVideoUpload(videoId, { metadata: { storyboard } });
+  } catch (error) {
+    if (error.code === 'VIDEO_DELETED') return;
+    console.error(`❌ Failed to record storyboard status for video ${videoId}:`, error.message);
+  }
+}
+
+function formatTimestamp(seconds) {
+  const date = new Date(Math.round(seconds * 1000));
+  return date.toISOString().substring(11, 23); // HH:MM:SS.mmm
+}
+
+/**
+ * Build the WebVTT thumbnails track for a manifest
+ * @param {function} sheetUrl - maps a sheet object name to the URL written into the cues
+ */
+function buildVtt(manifest, sheetUrl = fileName => path.posix.basename(fileName)) {
+  const perSheet = manifest.columns * manifest.rows;
+  const lines = ['WEBVTT', ''];
+  for (let i = 0; i < manifest.thumbnailCount; i++) {
+    const start = i * manifest.interval;
+    const end = Math.min(start + manifest.interval, manifest.durationSeconds);
+    const position = i % perSheet;
+    const x = (position % manifest.columns) * manifest.tileWidth;
+    const y = Math.floor(position / manifest.columns) * manifest.tileHeight;
+    const sheet = manifest.sheets[Math.floor(i / perSheet)];
+    lines.push(`${formatTimestamp(start)} --> ${formatTimestamp(end)}`);
+    lines.push(`${sheetUrl(sheet)}#xywh=${x},${y},${manifest.tileWidth},${manifest.tileHeight}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Run ffmpeg: sample + tile thumbnails into sheet_%03d.jpg in outputDir
+ * Aborting `signal` kills the ffmpeg process and rejects with the abort reason
+ */
+function renderSheets(sourceUrl, outputDir, signal) {
+  signal?.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(sourceUrl);
+    const kill = () => command.kill('SIGKILL');
+    signal?.addEventListener('abort', kill, { once: true });
+    const done = () => signal?.removeEventListener('abort', kill);
+
+    command
+      .outputOptions([
+        '-vf', [
+          `fps=1/${INTERVAL_SECONDS}`,
+          `scale=${TILE_WIDTH}:${TILE_HEIGHT}:force_original_aspect_ratio=decrease`,
+          `pad=${TILE_WIDTH}:${TILE_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+          `tile=${COLUMNS}x${ROWS}`
+        ].join(','),
+        '-q:v', '5',
+        '-an'
+      ])
+      .output(path.join(outputDir, 'sheet_%03d.jpg'))
+      .on('error', (err) => {
+        done();
+        if (signal?.aborted) return reject(signal.reason);
+        reject(new Error(`Storyboard generation failed: ${err.message}`));
+      })
+      .on('end', () => {
+        done();
+        resolve();
+      })
+      .run();
+  });
+}
+
+/**
+ * Generate and store the storyboard for a video
+ * @returns {Promise<object>} the manifest
+ */
+async function createStoryboard(videoId, videoFileName, storage, signal) {
+  const workDir = path.join(os.tmpdir(), `storyboard_${videoId}_${crypto.randomBytes(4).toString('hex')}`);
+  console.log(`🎞️ Generating storyboard for video: ${videoId}`);
+  await recordStoryboard(videoId, { status: 'processing' });
+
+  try {
+    await fs.promises.mkdir(workDir, { recursive: true });
+    const proxyFileName = await transcodeService.ensureProxy(videoId, videoFileName, storage, { signal });
+    const sourceUrl = await storage.generateSignedDownloadUrl(proxyFileName || videoFileName);
+    const { durationSeconds } = await frameService.probeVideo(sourceUrl);
+
+    await renderSheets(sourceUrl, workDir, signal);
+    signal?.throwIfAborted();
+    await assertVideoNotDeleted(videoId);
+
+    const sheetFiles = (await fs.promises.readdir(workDir)).filter(name => name.endsWith('.jpg')).sort();
+    if (sheetFiles.length === 0) throw new Error('Storyboard generation produced no sheets');
+
+    const sheets = [];
+    for (const sheetFile of sheetFiles) {
+      const fileName = `${storyboardPrefix(videoId)}${sheetFile}`;
+      await storage.put(fileName, await fs.promises.readFile(path.join(workDir, sheetFile)), {
+        contentType: 'image/jpeg',
+        metadata: { videoId }
+      });
+      sheets.push(fileName);
+    }
+
+    const manifest = {
+      videoId,
+      interval: INTERVAL_SECONDS,
+      tileWidth: TILE_WIDTH,
+      tileHeight: TILE_HEIGHT,
+      columns: COLUMNS,
+      rows: ROWS,
+      durationSeconds,
+      thumbnailCount: Math.min(Math.ceil(durationSeconds / INTERVAL_SECONDS), sheets.length * COLUMNS * ROWS),
+      sheets,
+      vttFileName: `${storyboardPrefix(videoId)}storyboard.vtt`,
+      source: proxyFileName ? 'proxy' : 'original',
+      createdAt: new Date().toISOString()
+    };
+
+    await storage.put(manifest.vttFileName, buildVtt(manifest), { contentType: 'text/vtt', metadata: { videoId } });
+    await storage.put(manifestFileName(videoId), JSON.stringify(manifest, null, 2), {
+      contentType: 'application/json',
+      metadata: { videoId }
+    });
+
+    console.log(`✅ Storyboard ready for video ${videoId}: ${sheets.length} sheets, ${manifest.thumbnailCount} thumbnails`);
+    await recordStoryboard(videoId, { status: 'ready', sheets: sheets.length, completedAt: manifest.createdAt });
+    return manifest;
+  } catch (error) {
+    if (signal?.aborted || error.code === 'VIDEO_DELETED') {
+      console.log(`🛑 Storyboard generation stopped for video ${videoId}`);
+      await recordStoryboard(videoId, { status: 'cancelled' });
+      throw error;
+    }
+    console.error(`❌ Storyboard generation failed for video ${videoId}:`, error.message);
+    await recordStoryboard(videoId, { status: 'failed', error: error.message });
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Load the stored manifest (null when the storyboard hasn't been generated)
+ */
+async function getManifest(videoId, storage) {
+  if (!(await storage.fileExists(manifestFileName(videoId)))) return null;
+  return JSON.parse((await storage.get(manifestFileName(videoId))).toString());
+}
+
+/**
+ * Start generating the storyboard in the background (no-op if it is already running)
+ */
+function startStoryboard(videoId, videoFileName, storage) {
+  if (inFlight.has(videoId)) return;
+  const controller = new AbortController();
+  const promise = (async () => {
+    const videoStorage = storage || await storageService.forVideo(videoId);
+    return createStoryboard(videoId, videoFileName, videoStorage, controller.signal);
+  })()
+    .catch(() => null)
+    .finally(() => inFlight.delete(videoId));
+  inFlight.set(videoId, { promise, controller });
+}
+
+/**
+ * Stop generating the storyboard of a video (deleted video)
+ * @returns {Promise<void>} settles once generation has stopped
+ */
+async function cancelStoryboard(videoId, reason = new Error('Video deleted')) {
+  const entry = inFlight.get(videoId);
+  if (!entry) return;
+  entry.controller.abort(reason);
+  await entry.promise;
+}
+
+function isGenerating(videoId) {
+  return inFlight.has(videoId);
+}
+
+module.exports = {
+  INTERVAL_SECONDS,
+  buildVtt,
+  getManifest,
+  startStoryboard,
+  cancelStoryboard,
+  isGenerating
+};
@@ -1,5 +1,7 @@
 // Supabase backend integration for TAHLEEL.ai (Node.js)
-// Synchronous upsert for users, video_uploads, analyses
+// Supabase client (also used by stores/supabaseTableStore for DATA_STORE=supabase), users upsert
+// and the health check. Video upload and analysis records go through the configured DATA_STORE
+// (services/videoUploadService, services/analysisRecordService).
 
 const { createClient } = require('@supabase/supabase-js');
 
@@ -40,67 +42,6 @@ async function upsertUser({ id, email, first_name, last_name, team, user_type =
   }
 }
 
-// Upsert video upload (after upload/verify)
-async function upsertVideoUpload({ id, organization_id, uploaded_by, file_name, file_type, file_size_bytes, storage_url, media_duration_seconds, opponent_team, match_date, processing_status, metadata = {} }) {
-  try {
-    const { data, error } = await supabase
-      .from('video_uploads')
-      .upsert([{
-        id,
-        organization_id,
-        uploaded_by,
-        file_name,
-        file_type,
-        file_size_bytes,
-        storage_url,
-        media_duration_seconds,
-        opponent_team,
-        match_date,
-        processing_status,
-        metadata,
-        updated_at: new Date().toISOString()
-      }], { onConflict: ['id'] });
-    if (error) throw error;
-    return data?.[0] || null;
-  } catch (err) {
-    console.error('❌ Supabase upsertVideoUpload failed:', err);
-    throw err;
-  }
-}
-
-// Upsert analysis result
-async function upsertAnalysis({ id, organization_id, created_by, opponent_team, analysis_type = 'tactical', analysis_data, weaknesses, strategies, formation_recommendation, key_players, recent_news, confidence_score, ai_enhanced, data_source, processing_time_seconds, is_favorite = false, shared_with_squad = false }) {
-  try {
-    const { data, error } = await supabase
-      .from('analyses')
-      .upsert([{
-        id,
-        organization_id,
-        created_by,
-        opponent_team,
-        analysis_type,
-        analysis_data,
-        weaknesses,
-        strategies,
-        formation_recommendation,
-        key_players,
-        recent_news,
-        confidence_score,
-        ai_enhanced,
-        data_source,
-        processing_time_seconds,
-        is_favorite,
-        shared_with_squad,
-        updated_at: new Date().toISOString()
-      }], { onConflict: ['id'] });
-    if (error) throw error;
-    return data?.[0] || null;
-  } catch (err) {
-    console.error('❌ Supabase upsertAnalysis failed:', err);
-    throw err;
-  }
-}
-
 // Health check: basic select from users table
 async function checkSupabaseConnection() {
   try {
@@ -114,8 +55,6 @@ async function checkSupabaseConnection() {
 
 module.exports = {
   upsertUser,
-  upsertVideoUpload,
-  upsertAnalysis,
   checkSupabaseConnection, // <-- REQUIRED EXPORT FOR HEALTH CHECK
   supabase
 };
@@ -0,0 +1,195 @@
+// Normalized proxy transcoding for uploaded matches
+// Phone recordings (variable framerate, long GOPs) and MKV/AVI containers make per-frame ffmpeg
+// seeks against the original slow or unreliable. After upload we transcode a 720p, constant
+// framerate H.264 proxy with a keyframe every second and store it next to the original as
+// `videos/<videoId>/proxy/proxy.mp4`. frameService extracts from the proxy when it exists.
+// An analysis waiting for the proxy passes its AbortSignal: cancelling stops the wait, and kills
+// ffmpeg too once no one else (the post-upload transcode or another analysis) still needs it.
+// Deleting the video cancels the transcode outright (cancelProxy), and nothing is stored for it after.
+
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const crypto = require('crypto');
+const storageService = require('./storageService');
+const { updateVideoUpload, assertVideoNotDeleted } = require('./videoUploadService');
+
+const PROXY_HEIGHT = parseInt(process.env.PROXY_HEIGHT) || 720;
+const PROXY_FPS = parseInt(process.env.PROXY_FPS) || 25;
+const PROXY_PRESET = process.env.PROXY_PRESET || 'veryfast';
+const PROXY_CRF = parseInt(process.env.PROXY_CRF) || 23;
+
+// Transcodes running in this process, so concurrent callers share one ffmpeg run
+const inFlight = new Map(); // videoId -> { promise, controller, waiters, keepAlive }
+
+function proxyFileName(videoId) {
+  return `videos/${videoId}/proxy/proxy.mp4`;
+}
+
+async function recordProxy(videoId, proxy) {
+  try {
+    await assertVideoNotDeleted(videoId);
+    await updateVideoUpload(videoId, { metadata: { proxy } });
+  } catch (error) {
+    if (error.code === 'VIDEO_DELETED') return;
+    console.error(`❌ Failed to record proxy status for video ${videoId}:`, error.message);
+  }
+}
+
+/**
+ * Run ffmpeg: original (signed URL) -> local temporary proxy file
+ * Aborting `signal` kills the ffmpeg process and rejects with the abort reason
+ */
+function transcodeToFile(sourceUrl, outputPath, signal) {
+  signal?.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(sourceUrl);
+    const kill = () => command.kill('SIGKILL');
+    signal?.addEventListener('abort', kill, { once: true });
+    const done = () => signal?.removeEventListener('abort', kill);
+
+    command
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .outputOptions([
+        '-vf', `scale=-2:'min(${PROXY_HEIGHT},ih)'`, // never upscale, keep aspect ratio
+        '-r', String(PROXY_FPS),
+        '-vsync', 'cfr',
+        '-preset', PROXY_PRESET,
+        '-crf', String(PROXY_CRF),
+        '-g', String(PROXY_FPS), // keyframe every second for cheap seeks
+        '-keyint_min', String(PROXY_FPS),
+        '-sc_threshold', '0',
+        '-pix_fmt', 'yuv420p',
+        '-b:a', '96k',
+        '-ac', '2',
+        '-movflags', '+faststart'
+      ])
+      .output(outputPath)
+      .on('error', (err) => {
+        done();
+        if (signal?.aborted) return reject(signal.reason);
+        reject(new Error(`Proxy transcode failed: ${err.message}`));
+      })
+      .on('end', () => {
+        done();
+        resolve();
+      })
+      .run();
+  });
+}
+
+/**
+ * Transcode the proxy for a video and store it next to the original
+ * @returns {Promise<string>} the proxy object name
+ */
+async function createProxy(videoId, videoFileName, storage, signal) {
+  const target = proxyFileName(videoId);
+  const tmpFile = path.join(os.tmpdir(), `proxy_${videoId}_${crypto.randomBytes(4).toString('hex')}.mp4`);
+  const startedAt = Date.now();
+
+  console.log(`🎞️ Transcoding proxy for video: ${videoId}`);
+  await recordProxy(videoId, { status: 'processing', fileName: target, startedAt: new Date(startedAt).toISOString() });
+
+  try {
+    const sourceUrl = await storage.generateSignedDownloadUrl(videoFileName);
+    await transcodeToFile(sourceUrl, tmpFile, signal);
+    signal?.throwIfAborted();
+    await assertVideoNotDeleted(videoId);
+    await storage.put(target, fs.createReadStream(tmpFile), {
+      contentType: 'video/mp4',
+      metadata: { videoId, sourceFileName: videoFileName, height: String(PROXY_HEIGHT), fps: String(PROXY_FPS) }
+    });
+
+    const seconds = Math.round((Date.now() - startedAt) / 1000);
+    console.log(`✅ Proxy ready for video ${videoId} (${seconds}s)`);
+    await recordProxy(videoId, {
+      status: 'ready',
+      fileName: target,
+      height: PROXY_HEIGHT,
+      fps: PROXY_FPS,
+      completedAt: new Date().toISOString()
+    });
+    return target;
+  } catch (error) {
+    if (signal?.aborted || error.code === 'VIDEO_DELETED') {
+      console.log(`🛑 Proxy transcode stopped for video ${videoId}`);
+      await recordProxy(videoId, { status: 'cancelled', fileName: null });
+      throw error;
+    }
+    console.error(`❌ Proxy transcode failed for video ${videoId}:`, error.message);
+    await recordProxy(videoId, { status: 'failed', fileName: null, error: error.message });
+    throw error;
+  } finally {
+    await fs.promises.rm(tmpFile, { force: true });
+  }
+}
+
+/**
+ * Return the proxy object name, transcoding it first if needed
+ * Resolves to null when the proxy cannot be produced, so callers can fall back to the original.
+ * With `signal`, aborting rejects with the abort reason; the transcode itself is killed once every
+ * caller waiting with a signal has aborted and no caller without one (post-upload) is waiting.
+ */
+function ensureProxy(videoId, videoFileName, storage, { signal } = {}) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  let entry = inFlight.get(videoId);
+  if (!entry) {
+    const controller = new AbortController();
+    const promise = (async () => {
+      const videoStorage = storage || await storageService.forVideo(videoId);
+      if (await videoStorage.fileExists(proxyFileName(videoId))) {
+        return proxyFileName(videoId);
+      }
+      return createProxy(videoId, videoFileName, videoStorage, controller.signal);
+    })().finally(() => inFlight.delete(videoId));
+    entry = { promise, controller, waiters: 0, keepAlive: false };
+    inFlight.set(videoId, entry);
+  }
+
+  const result = entry.promise.catch(() => null);
+  if (!signal) {
+    entry.keepAlive = true;
+    return result;
+  }
+
+  entry.waiters++;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      entry.waiters--;
+      if (entry.waiters === 0 && !entry.keepAlive) entry.controller.abort(signal.reason);
+      reject(signal.reason);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    result.then(proxy => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(proxy);
+    });
+  });
+}
+
+/**
+ * Stop the proxy transcode of a video (deleted video), whoever is waiting for it
+ * @returns {Promise<void>} settles once the transcode has stopped
+ */
+async function cancelProxy(videoId, reason = new Error('Video deleted')) {
+  const entry = inFlight.get(videoId);
+  if (!entry) return;
+  entry.controller.abort(reason);
+  await entry.promise.catch(() => null);
+}
+
+/**
+ * Kick off the proxy transcode after upload without waiting for it
+ */
+function startProxyTranscode(videoId, videoFileName, storage) {
+  ensureProxy(videoId, videoFileName, storage);
+}
+
+module.exports = {
+  proxyFileName,
+  ensureProxy,
+  startProxyTranscode,
+  cancelProxy
+};
@@ -1,21 +1,197 @@
-// Replace with Supabase/Postgres/your DB integration as needed
+// User persistence for TAHLEEL.ai authentication
+// Backed by the Supabase `users` table by default; set DATA_STORE=file (or memory) for
+// local JSON-file storage in tests and offline development.
 
-// Example in-memory user store (replace with DB queries)
-const users = [];
-let userIdCounter = 1;
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./stores');
+
+let store = createStore('users');
+
+/**
+ * Swap the underlying store (tests, offline tooling)
+ * @param {object} adapter - object implementing get/findOne/insert/update
+ */
+function setUserStore(adapter) {
+  store = adapter;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Map a `users` row to the shape used by routes/auth.js
+ */
+function toUser(row) {
+  if (!row) return null;
+  const profile = row.profile_data || {};
+  return {
+    id: row.id,
+    name: [row.first_name, row.last_name].filter(Boolean).join(' '),
+    email: row.email,
+    passwordHash: row.password_hash,
+    team: profile.team || null,
+    organizationId: row.organization_id || null,
+    role: row.role || 'head_coach',
+    emailVerified: !!row.email_verified_at,
+    twoFactorEnabled: !!row.totp_enabled_at,
+    twoFactor: {
+      secret: row.totp_secret || null,
+      pendingSecret: row.totp_pending_secret || null,
+      lastUsedStep: row.totp_last_step ?? null,
+      recoveryCodeHashes: row.recovery_code_hashes || []
+    },
+    userType: row.user_type,
+    isActive: row.is_active !== false,
+    createdAt: row.created_at
+  };
+}
 
 async function getUserByEmail(email) {
-  return users.find(u => u.email === email);
+  const row = await store.findOne({ email: normalizeEmail(email) });
+  return toUser(row);
 }
 
-async function createUser({ name, email, passwordHash, team }) {
-  const user = { id: userIdCounter++, name, email, passwordHash, team };
-  users.push(user);
-  return user;
+async function createUser({ name, email, passwordHash, team, role = 'head_coach' }) {
+  const [firstName, ...rest] = String(name || '').trim().split(/\s+/);
+  const row = await store.insert({
+    id: uuidv4(),
+    email: normalizeEmail(email),
+    first_name: firstName || null,
+    last_name: rest.join(' ') || null,
+    password_hash: passwordHash,
+    user_type: 'Professional Coach',
+    is_active: true,
+    organization_id: null,
+    role,
+    email_verified_at: null,
+    profile_data: { team: team || null }
+  });
+  return toUser(row);
 }
 
 async function getUserById(id) {
-  return users.find(u => u.id === id);
+  if (!id) return null;
+  const row = await store.get(id);
+  return toUser(row);
+}
+
+/**
+ * Assign (or clear with null) the organization a user belongs to, optionally with a new role
+ */
+async function setUserOrganization(id, organizationId, role) {
+  const patch = { organization_id: organizationId };
+  if (role) patch.role = role;
+  const row = await store.update(id, patch);
+  return toUser(row);
+}
+
+async function setUserRole(id, role) {
+  const row = await store.update(id, { role });
+  return toUser(row);
+}
+
+async function markEmailVerified(id) {
+  const row = await store.update(id, { email_verified_at: new Date().toISOString() });
+  return toUser(row);
+}
+
+async function updatePassword(id, passwordHash) {
+  const row = await store.update(id, { password_hash: passwordHash });
+  return toUser(row);
+}
+
+/**
+ * Two-factor state changes (secrets arrive already encrypted by totpService)
+ */
+async function setPendingTwoFactorSecret(id, encryptedSecret) {
+  const row = await store.update(id, { totp_pending_secret: encryptedSecret });
+  return toUser(row);
+}
+
+async function enableTwoFactor(id, { secret, recoveryCodeHashes, lastUsedStep }) {
+  const row = await store.update(id, {
+    totp_secret: secret,
+    totp_pending_secret: null,
+    totp_enabled_at: new Date().toISOString(),
+    totp_last_step: lastUsedStep,
+    recovery_code_hashes: recoveryCodeHashes,
+    recovery_codes_version: uuidv4()
+  });
+  return toUser(row);
+}
+
+async function disableTwoFactor(id) {
+  const row = await store.update(id, {
+    totp_secret: null,
+    totp_pending_secret: null,
+    totp_enabled_at: null,
+    totp_last_step: null,
+    recovery_code_hashes: [],
+    recovery_codes_version: uuidv4()
+  });
+  return toUser(row);
+}
+
+async function recordTwoFactorUse(id, { lastUsedStep, recoveryCodeHashes }) {
+  const patch = {};
+  if (lastUsedStep !== undefined) patch.totp_last_step = lastUsedStep;
+  if (recoveryCodeHashes !== undefined) {
+    patch.recovery_code_hashes = recoveryCodeHashes;
+    patch.recovery_codes_version = uuidv4();
+  }
+  const row = await store.update(id, patch);
+  return toUser(row);
+}
+
+/**
+ * Record a TOTP step as used, only if no other login recorded a step since `previousStep` was read
+ * @returns {Promise<boolean>} false when a concurrent login got there first (replay)
+ */
+async function consumeTotpStep(id, previousStep, step) {
+  const [row] = await store.updateWhere({ id, totp_last_step: previousStep ?? null }, { totp_last_step: step });
+  return !!row;
+}
+
+/**
+ * Remove a recovery code, so it works once even when two logins present it at the same time
+ * recovery_codes_version changes on every write to the codes and is the compare-and-set version
+ * (updated_at can repeat within a millisecond); a write in between means re-reading the codes.
+ * @returns {Promise<boolean>} whether the code was still unused
+ */
+async function consumeRecoveryCode(id, hash) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const row = await store.get(id);
+    const hashes = row?.recovery_code_hashes || [];
+    if (!hashes.includes(hash)) return false;
+    const [updated] = await store.updateWhere(
+      { id, recovery_codes_version: row.recovery_codes_version ?? null },
+      { recovery_code_hashes: hashes.filter(existing => existing !== hash), recovery_codes_version: uuidv4() }
+    );
+    if (updated) return true;
+  }
+  return false;
+}
+
+async function listUsersByOrganization(organizationId) {
+  const rows = await store.find({ organization_id: organizationId }, { orderBy: 'created_at' });
+  return rows.map(toUser);
 }
 
-module.exports = { getUserByEmail, createUser, getUserById };
+module.exports = {
+  getUserByEmail,
+  createUser,
+  getUserById,
+  setUserOrganization,
+  setUserRole,
+  markEmailVerified,
+  updatePassword,
+  setPendingTwoFactorSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  recordTwoFactorUse,
+  consumeTotpStep,
+  consumeRecoveryCode,
+  listUsersByOrganization,
+  setUserStore
+};
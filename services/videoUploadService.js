@@ -0,0 +1,87 @@
+// Video upload records (`video_uploads`) for TAHLEEL.ai
+// One row per videoId: reserved when an upload starts, completed by verification, then carries
+// ownership (uploaded_by / organization_id), storage profile and processing metadata
+// (proxy, storyboard, HLS, retention). Stored through the configured DATA_STORE, so
+// DATA_STORE=file runs without Supabase.
+
+const { createStore } = require('./stores');
+
+let store = createStore('video_uploads');
+
+/**
+ * Swap the underlying store (tests, offline tooling)
+ */
+function setVideoUploadStore(adapter) {
+  store = adapter;
+}
+
+/**
+ * Create or replace the columns of a video upload record (reservation, direct upload)
+ */
+async function upsertVideoUpload({ id, organization_id, uploaded_by, file_name, file_type, file_size_bytes, storage_url, media_duration_seconds, opponent_team, match_date, processing_status, metadata = {} }) {
+  return store.upsert({
+    id,
+    organization_id,
+    uploaded_by,
+    file_name,
+    file_type,
+    file_size_bytes,
+    storage_url,
+    media_duration_seconds,
+    opponent_team,
+    match_date,
+    processing_status,
+    metadata
+  });
+}
+
+/**
+ * Get a video upload record (ownership and organization scoping)
+ */
+async function getVideoUpload(id) {
+  return store.get(id);
+}
+
+/**
+ * Update selected columns of a video upload record
+ * Metadata keys are merged in the store in one step: proxy, storyboard and HLS report their status
+ * at the same time, and a read-modify-write here would let them overwrite each other.
+ */
+async function updateVideoUpload(id, { metadata, ...fields } = {}) {
+  let updated = null;
+  if (Object.keys(fields).length > 0) updated = await store.update(id, fields);
+  if (metadata) updated = await store.mergeJson(id, 'metadata', metadata);
+  return updated;
+}
+
+/**
+ * Stop a background job (proxy, storyboard, HLS) for a video deleted while it ran, before it stores
+ * derived files that nothing would clean up
+ */
+async function assertVideoNotDeleted(id) {
+  const upload = await store.get(id);
+  if (upload?.processing_status === 'deleted') {
+    const error = new Error(`Video ${id} was deleted`);
+    error.code = 'VIDEO_DELETED';
+    throw error;
+  }
+}
+
+/**
+ * Find video uploads with a content fingerprint (duplicate detection), scoped to a club or uploader
+ */
+async function findVideoUploadsByFingerprint(fingerprint, { organizationId, uploadedBy } = {}) {
+  return store.find({
+    'metadata->>content_fingerprint': fingerprint,
+    ...(organizationId ? { organization_id: organizationId } : { uploaded_by: uploadedBy })
+  });
+}
+
+module.exports = {
+  upsertVideoUpload,
+  getVideoUpload,
+  updateVideoUpload,
+  assertVideoNotDeleted,
+  findVideoUploadsByFingerprint,
+  setVideoUploadStore
+};
@@ -0,0 +1,73 @@
+// Upload-time video validation for TAHLEEL.ai
+// Every stored upload is probed with ffprobe (via frameService) before it is marked ready for
+// analysis. The media facts are kept on the upload record; files that cannot be decoded, have no
+// video stream, are too short to analyse or exceed the configured length are rejected with a
+// structured reason ({ code, message, ... }).
+
+const frameService = require('./frameService');
+
+const MIN_DURATION_SECONDS = parseInt(process.env.VIDEO_MIN_DURATION_SECONDS) || 30;
+const MAX_DURATION_SECONDS = parseInt(process.env.VIDEO_MAX_DURATION_SECONDS) || 4 * 60 * 60; // 4 hours
+
+function rejection(code, message, details = {}) {
+  return { code, message, ...details };
+}
+
+/**
+ * Check probed media against the analysis requirements
+ * @returns {object|null} the rejection, or null when the video is acceptable
+ */
+function validateMedia(media) {
+  if (!media.hasVideo) {
+    return rejection('no_video_stream', 'The file does not contain a video stream');
+  }
+  if (media.durationSeconds === null) {
+    return rejection('undecodable', 'The video duration could not be read - the file may be corrupted or incomplete');
+  }
+  if (media.durationSeconds < MIN_DURATION_SECONDS) {
+    return rejection('too_short', `Video is too short to analyse (minimum ${MIN_DURATION_SECONDS} seconds)`, {
+      durationSeconds: media.durationSeconds,
+      minDurationSeconds: MIN_DURATION_SECONDS
+    });
+  }
+  if (media.durationSeconds > MAX_DURATION_SECONDS) {
+    return rejection('too_long', `Video is longer than the maximum of ${Math.round(MAX_DURATION_SECONDS / 60)} minutes`, {
+      durationSeconds: media.durationSeconds,
+      maxDurationSeconds: MAX_DURATION_SECONDS
+    });
+  }
+  return null;
+}
+
+/**
+ * Probe a stored video and validate it
+ * @returns {Promise<{media: object|null, rejection: object|null}>}
+ */
+async function inspectStoredVideo(storage, fileName) {
+  const videoUrl = await storage.generateSignedDownloadUrl(fileName);
+
+  let media;
+  try {
+    media = await frameService.probeVideo(videoUrl);
+  } catch (error) {
+    if (error.code !== 'UNDECODABLE') {
+      // Not the file's fault (ffprobe missing, storage unreachable) - let the caller retry later
+      const unavailable = new Error('Video validation is temporarily unavailable');
+      unavailable.status = 503;
+      throw unavailable;
+    }
+    return {
+      media: null,
+      rejection: rejection('undecodable', 'The file could not be decoded as a video', { detail: error.message })
+    };
+  }
+
+  return { media, rejection: validateMedia(media) };
+}
+
+module.exports = {
+  MIN_DURATION_SECONDS,
+  MAX_DURATION_SECONDS,
+  validateMedia,
+  inspectStoredVideo
+};
@@ -0,0 +1,79 @@
+// Organization API keys: `thk_<keyId>_<secret>` parsing, rotation/revocation and scope checks
+// Run with `npm test`
+
+const test = require('node:test');
+const assert = require('node:assert');
+const apiKeyService = require('../services/apiKeyService');
+const { userHasPermission } = require('../middleware/permissions');
+const { JsonFileStore } = require('../services/stores');
+
+test.beforeEach(() => {
+  apiKeyService.setApiKeyStore(new JsonFileStore('api_keys', { persist: false }));
+});
+
+function createKey(scopes = ['results:read']) {
+  return apiKeyService.createApiKey('org-1', { name: 'CI', scopes, createdBy: 'user-1' });
+}
+
+test('apiKeyService: a created key authenticates and is shown only as a preview', async () => {
+  const { apiKey, key } = await createKey(['results:read', 'results:read', 'upload:write']);
+
+  assert.match(key, /^thk_[0-9a-f]{32}_[A-Za-z0-9_-]+$/);
+  assert.strictEqual(apiKey.keyPreview, `thk_…${key.slice(-4)}`);
+  assert.deepStrictEqual(apiKey.scopes, ['results:read', 'upload:write']);
+  assert.strictEqual(apiKey.key_hash, undefined);
+
+  const authenticated = await apiKeyService.authenticateApiKey(key);
+  assert.strictEqual(authenticated.id, apiKey.id);
+  assert.strictEqual(authenticated.createdBy, 'user-1');
+});
+
+test('apiKeyService: malformed keys and wrong secrets do not authenticate', async () => {
+  const { key } = await createKey();
+  const [, keyId] = key.split('_');
+
+  assert.strictEqual(apiKeyService.isApiKey(key), true);
+  assert.strictEqual(apiKeyService.isApiKey('eyJhbGciOiJIUzI1NiJ9.payload.signature'), false);
+
+  for (const presented of [null, '', 'thk_', `thk_${keyId}`, `thk_${keyId.slice(1)}_secret`, `thk_${keyId}_wrong-secret`, key.replace('thk_', 'thx_')]) {
+    assert.strictEqual(await apiKeyService.authenticateApiKey(presented), null, String(presented));
+  }
+});
+
+test('apiKeyService: rotation and revocation stop the old key', async () => {
+  const { apiKey, key } = await createKey();
+
+  const rotated = await apiKeyService.rotateApiKey('org-1', apiKey.id);
+  assert.strictEqual(await apiKeyService.authenticateApiKey(key), null);
+  assert.strictEqual((await apiKeyService.authenticateApiKey(rotated.key)).id, apiKey.id);
+
+  await apiKeyService.revokeApiKey('org-1', apiKey.id);
+  assert.strictEqual(await apiKeyService.authenticateApiKey(rotated.key), null);
+  await assert.rejects(apiKeyService.rotateApiKey('org-1', apiKey.id), { status: 409 });
+});
+
+test('apiKeyService: keys are scoped to their organization', async () => {
+  const { apiKey } = await createKey();
+
+  await assert.rejects(apiKeyService.rotateApiKey('org-2', apiKey.id), { status: 404 });
+  assert.deepStrictEqual(await apiKeyService.listApiKeys('org-2'), []);
+  assert.strictEqual((await apiKeyService.listApiKeys('org-1')).length, 1);
+});
+
+test('apiKeyService: only known scopes can be granted', async () => {
+  await assert.rejects(createKey([]), { status: 400 });
+  await assert.rejects(createKey(['results:read', 'org:manage']), { status: 400, message: 'Unknown scopes: org:manage' });
+  await assert.rejects(createKey(['*']), { status: 400 });
+});
+
+test('permissions: a key gets the intersection of its scopes and the creator role', () => {
+  const analystKey = { role: 'analyst', apiKeyId: 'key', scopes: ['results:read', 'results:delete'] };
+
+  assert.strictEqual(userHasPermission(analystKey, 'results:read'), true);
+  assert.strictEqual(userHasPermission(analystKey, 'results:delete'), false);
+  assert.strictEqual(userHasPermission(analystKey, 'upload:write'), false);
+
+  const adminKey = { role: 'admin', apiKeyId: 'key', scopes: ['analysis:read'] };
+  assert.strictEqual(userHasPermission(adminKey, 'analysis:read'), true);
+  assert.strictEqual(userHasPermission(adminKey, 'services:manage'), false);
+});
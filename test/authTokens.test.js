@@ -0,0 +1,51 @@
+// One-time email tokens (verification, password reset): each token can be used once
+// Run with `npm test`
+
+const test = require('node:test');
+const assert = require('node:assert');
+const authTokenService = require('../services/authTokenService');
+const { JsonFileStore } = require('../services/stores');
+
+test.beforeEach(() => {
+  authTokenService.setAuthTokenStore(new JsonFileStore('auth_tokens', { persist: false }));
+});
+
+test('authTokenService: a token returns its user once and is refused after that', async () => {
+  const token = await authTokenService.issueToken('user-1', 'password_reset');
+
+  assert.strictEqual(await authTokenService.consumeToken(token, 'password_reset'), 'user-1');
+  await assert.rejects(authTokenService.consumeToken(token, 'password_reset'), { status: 400, message: 'Token has already been used' });
+});
+
+test('authTokenService: one of two concurrent uses of a token gets through', async () => {
+  const token = await authTokenService.issueToken('user-1', 'verify_email');
+
+  const results = await Promise.allSettled([
+    authTokenService.consumeToken(token, 'verify_email'),
+    authTokenService.consumeToken(token, 'verify_email')
+  ]);
+
+  assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 400);
+});
+
+test('authTokenService: a token is only valid for its own purpose', async () => {
+  const token = await authTokenService.issueToken('user-1', 'verify_email');
+
+  await assert.rejects(authTokenService.consumeToken(token, 'password_reset'), { status: 400, message: 'Invalid or expired token' });
+  assert.strictEqual(await authTokenService.consumeToken(token, 'verify_email'), 'user-1');
+});
+
+test('authTokenService: issuing a new token retires the previous one', async () => {
+  const first = await authTokenService.issueToken('user-1', 'password_reset');
+  const second = await authTokenService.issueToken('user-1', 'password_reset');
+
+  await assert.rejects(authTokenService.consumeToken(first, 'password_reset'), { status: 400 });
+  assert.strictEqual(await authTokenService.consumeToken(second, 'password_reset'), 'user-1');
+});
+
+test('authTokenService: tampered tokens are rejected', async () => {
+  const token = await authTokenService.issueToken('user-1', 'password_reset');
+
+  await assert.rejects(authTokenService.consumeToken(`${token}x`, 'password_reset'), { status: 400, message: 'Invalid or expired token' });
+});
@@ -0,0 +1,110 @@
+// Resumable uploads: chunks must arrive at the current offset, stay within the size limits,
+// and finalize stitches them into the video object
+// Run with `npm test`
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local disk storage in a temp directory, and a small chunk limit to test oversize chunks
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tahleel-resumable-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = storageDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+process.env.RESUMABLE_MAX_CHUNK_SIZE = '8';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const resumableUploadService = require('../services/resumableUploadService');
+const storageService = require('../services/storageService');
+const { JsonFileStore } = require('../services/stores');
+
+const user = { id: 'user-1', organizationId: null };
+
+test.after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+test.beforeEach(() => {
+  resumableUploadService.setUploadSessionStore(new JsonFileStore('upload_sessions', { persist: false }));
+});
+
+function createSession(fileSize) {
+  return resumableUploadService.createSession({
+    fileName: 'match.mp4',
+    contentType: 'video/mp4',
+    fileSize,
+    user,
+    storage: storageService
+  });
+}
+
+function appendChunk(uploadId, offset, text) {
+  const body = Buffer.from(text);
+  return resumableUploadService.appendChunk(uploadId, user, { offset, body: Readable.from([body]), contentLength: body.length });
+}
+
+test('resumableUploadService: chunks are appended at the current offset and finalized into the video', async () => {
+  const session = await createSession(20);
+
+  assert.strictEqual((await appendChunk(session.uploadId, 0, 'kickoff-')).offset, 8);
+  assert.strictEqual((await appendChunk(session.uploadId, 8, 'goal-')).offset, 13);
+  assert.strictEqual((await appendChunk(session.uploadId, 13, 'fulltim')).offset, 20);
+
+  const finalized = await resumableUploadService.finalize(session.uploadId, user);
+  assert.strictEqual(finalized.status, 'finalized');
+  assert.strictEqual((await storageService.get(finalized.fileName)).toString(), 'kickoff-goal-fulltim');
+  assert.deepStrictEqual(await storageService.list(`uploads/${session.uploadId}/`), []);
+
+  assert.strictEqual((await resumableUploadService.finalize(session.uploadId, user)).status, 'finalized');
+});
+
+test('resumableUploadService: a chunk at the wrong offset is refused with the current offset', async () => {
+  const session = await createSession(20);
+  await appendChunk(session.uploadId, 0, 'kickoff-');
+
+  await assert.rejects(appendChunk(session.uploadId, 0, 'kickoff-'), { status: 409, message: 'Offset mismatch: expected 8' });
+  await assert.rejects(appendChunk(session.uploadId, 12, 'goal'), { status: 409, message: 'Offset mismatch: expected 8' });
+  assert.strictEqual((await resumableUploadService.getStatus(session.uploadId, user)).offset, 8);
+});
+
+test('resumableUploadService: oversize chunks are refused and leave the offset unchanged', async () => {
+  const session = await createSession(20);
+
+  await assert.rejects(appendChunk(session.uploadId, 0, 'more than eight bytes'), { status: 413 });
+  await appendChunk(session.uploadId, 0, 'kickoff-');
+  await appendChunk(session.uploadId, 8, 'goal-');
+  await assert.rejects(appendChunk(session.uploadId, 13, 'fulltime'), { status: 413, message: 'Chunk exceeds declared file size' });
+
+  // A client that under-reports Content-Length is cut off by the byte count
+  const body = Readable.from([Buffer.from('fulltime!')]);
+  await assert.rejects(resumableUploadService.appendChunk(session.uploadId, user, { offset: 13, body }), { status: 413, message: 'Chunk too large' });
+  assert.strictEqual((await resumableUploadService.getStatus(session.uploadId, user)).offset, 13);
+});
+
+test('resumableUploadService: only one of two concurrent chunks for one offset is kept', async () => {
+  const session = await createSession(16);
+
+  const results = await Promise.allSettled([
+    appendChunk(session.uploadId, 0, 'AAAAAAAA'),
+    appendChunk(session.uploadId, 0, 'BBBBBBBB')
+  ]);
+
+  assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 409);
+  assert.strictEqual((await storageService.list(`uploads/${session.uploadId}/parts/`)).length, 1);
+});
+
+test('resumableUploadService: an incomplete upload cannot be finalized', async () => {
+  const session = await createSession(20);
+  await appendChunk(session.uploadId, 0, 'kickoff-');
+
+  await assert.rejects(resumableUploadService.finalize(session.uploadId, user), { status: 409, message: 'Upload incomplete: 8 of 20 bytes received' });
+});
+
+test('resumableUploadService: sessions belong to their uploader', async () => {
+  const session = await createSession(20);
+  const otherUser = { id: 'user-2', organizationId: 'org-2' };
+
+  await assert.rejects(resumableUploadService.getStatus(session.uploadId, otherUser), { status: 403 });
+  await assert.rejects(resumableUploadService.getStatus('missing', user), { status: 404 });
+});
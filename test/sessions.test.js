@@ -0,0 +1,51 @@
+// Refresh-token rotation: every refresh issues a new token and a replayed one revokes the session
+// Run with `npm test`
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sessionService = require('../services/sessionService');
+const { JsonFileStore } = require('../services/stores');
+
+test.beforeEach(() => {
+  sessionService.setSessionStore(new JsonFileStore('user_sessions', { persist: false }));
+});
+
+test('sessionService: rotation issues a new refresh token for the same session', async () => {
+  const { session, refreshToken } = await sessionService.createSession('user-1', { device: 'Test', ipAddress: '10.0.0.1' });
+
+  const rotated = await sessionService.rotateRefreshToken(refreshToken, { ipAddress: '10.0.0.2' });
+
+  assert.notStrictEqual(rotated.refreshToken, refreshToken);
+  assert.strictEqual(rotated.session.id, session.id);
+  assert.strictEqual(rotated.session.ip_address, '10.0.0.2');
+  assert.strictEqual(await sessionService.isSessionActive(session.id), true);
+});
+
+test('sessionService: replaying a rotated refresh token revokes the session', async () => {
+  const { session, refreshToken } = await sessionService.createSession('user-1');
+  const rotated = await sessionService.rotateRefreshToken(refreshToken);
+
+  await assert.rejects(sessionService.rotateRefreshToken(refreshToken), { status: 401, message: 'Refresh token already used' });
+
+  assert.strictEqual(await sessionService.isSessionActive(session.id), false);
+  assert.strictEqual((await sessionService.getSession(session.id)).revoked_reason, 'refresh_token_reuse');
+  await assert.rejects(sessionService.rotateRefreshToken(rotated.refreshToken), { status: 401, message: 'Session expired or revoked' });
+});
+
+test('sessionService: two concurrent refreshes with one token count as reuse', async () => {
+  const { session, refreshToken } = await sessionService.createSession('user-1');
+
+  const results = await Promise.allSettled([
+    sessionService.rotateRefreshToken(refreshToken),
+    sessionService.rotateRefreshToken(refreshToken)
+  ]);
+
+  assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 401);
+  assert.strictEqual(await sessionService.isSessionActive(session.id), false);
+});
+
+test('sessionService: malformed refresh tokens are rejected', async () => {
+  await assert.rejects(sessionService.rotateRefreshToken('not-a-token'), { status: 401, message: 'Malformed refresh token' });
+  await assert.rejects(sessionService.rotateRefreshToken('missing.session'), { status: 401, message: 'Session expired or revoked' });
+});
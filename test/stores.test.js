@@ -0,0 +1,109 @@
+// Record store concurrency: reads that overlap writes must never drop an update
+// Run with `npm test`
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, JsonFileStore, LockedJsonFileStore } = require('../services/stores');
+
+const UPDATES = 200;
+
+function tempDataDir(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tahleel-stores-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+// Increment a counter UPDATES times while get/find calls keep running alongside the writes
+async function incrementWithReaders(writer, reader = writer) {
+  let writing = true;
+  const readLoop = async () => {
+    while (writing) {
+      await reader.find({ id: 'counter' });
+      await reader.get('counter');
+    }
+  };
+  const readers = [readLoop(), readLoop()];
+
+  const writes = [];
+  for (let i = 0; i < UPDATES; i++) {
+    writes.push(writer.mutate(records => {
+      const counter = records.find(record => record.id === 'counter');
+      counter.count += 1;
+    }));
+  }
+  await Promise.all(writes);
+  writing = false;
+  await Promise.all(readers);
+}
+
+for (const Store of [JsonFileStore, LockedJsonFileStore]) {
+  test(`${Store.name}: concurrent reads do not lose updates`, async (t) => {
+    const store = new Store('counters', { dataDir: tempDataDir(t) });
+    await store.insert({ id: 'counter', count: 0 });
+
+    await incrementWithReaders(store);
+
+    assert.strictEqual((await store.get('counter')).count, UPDATES);
+  });
+}
+
+test('LockedJsonFileStore: two store instances on one file do not lose updates', async (t) => {
+  const dataDir = tempDataDir(t);
+  const first = new LockedJsonFileStore('counters', { dataDir });
+  const second = new LockedJsonFileStore('counters', { dataDir });
+  await first.insert({ id: 'counter', count: 0 });
+
+  await Promise.all([incrementWithReaders(first, second), incrementWithReaders(second, first)]);
+
+  assert.strictEqual((await first.get('counter')).count, UPDATES * 2);
+});
+
+test('LockedJsonFileStore: updateWhere is a compare-and-set', async (t) => {
+  const dataDir = tempDataDir(t);
+  const first = new LockedJsonFileStore('jobs', { dataDir });
+  const second = new LockedJsonFileStore('jobs', { dataDir });
+  await first.insert({ id: 'job', status: 'queued' });
+
+  const claims = await Promise.all([
+    first.updateWhere({ id: 'job', status: 'queued' }, { status: 'running', worker_id: 'first' }),
+    second.updateWhere({ id: 'job', status: 'queued' }, { status: 'running', worker_id: 'second' })
+  ]);
+
+  assert.strictEqual(claims.filter(updated => updated.length === 1).length, 1);
+});
+
+for (const Store of [JsonFileStore, LockedJsonFileStore]) {
+  test(`${Store.name}: concurrent mergeJson calls keep every key`, async (t) => {
+    const store = new Store('video_uploads', { dataDir: tempDataDir(t) });
+    await store.insert({ id: 'video', metadata: { storage_profile: 'default' } });
+
+    await Promise.all(['proxy', 'storyboard', 'hls'].map(key =>
+      store.mergeJson('video', 'metadata', { [key]: { status: 'ready' } })
+    ));
+
+    assert.deepStrictEqual(Object.keys((await store.get('video')).metadata).sort(), ['hls', 'proxy', 'storage_profile', 'storyboard']);
+  });
+}
+
+test('LockedJsonFileStore: insertUnique lets one of two concurrent inserts through', async (t) => {
+  const dataDir = tempDataDir(t);
+  const first = new LockedJsonFileStore('jobs', { dataDir });
+  const second = new LockedJsonFileStore('jobs', { dataDir });
+  await first.insert({ id: 'finished', video_id: 'video', status: 'succeeded' });
+
+  const active = { video_id: 'video', status: ['queued', 'running'] };
+  const inserted = await Promise.all([
+    first.insertUnique({ id: 'first', video_id: 'video', status: 'queued' }, active),
+    second.insertUnique({ id: 'second', video_id: 'video', status: 'queued' }, active)
+  ]);
+
+  assert.strictEqual(inserted.filter(Boolean).length, 1);
+  assert.strictEqual((await first.find(active)).length, 1);
+});
+
+test('createStore: the file driver locks writes across processes', () => {
+  assert.ok(createStore('video_uploads', 'file') instanceof LockedJsonFileStore);
+});
@@ -0,0 +1,94 @@
+// Two-factor authentication: RFC 6238 codes, step replay and one-time recovery codes
+// Run with `npm test`
+
+const test = require('node:test');
+const assert = require('node:assert');
+const totpService = require('../services/totpService');
+const userService = require('../services/userService');
+const { JsonFileStore } = require('../services/stores');
+
+// RFC 6238 appendix B: ASCII secret "12345678901234567890" (base32 below), SHA-1, last 6 digits
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+async function createTwoFactorUser(hashes) {
+  userService.setUserStore(new JsonFileStore('users', { persist: false }));
+  const user = await userService.createUser({ name: 'Test Coach', email: 'coach@example.com', passwordHash: 'hash' });
+  await userService.enableTwoFactor(user.id, { secret: 'encrypted', recoveryCodeHashes: hashes, lastUsedStep: null });
+  return user;
+}
+
+test('totpService: generateCode matches the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.strictEqual(totpService.generateCode(RFC_SECRET, seconds * 1000), code, `T=${seconds}`);
+  }
+});
+
+test('totpService: verifyCode returns the step and refuses it once used', () => {
+  const time = 1111111111 * 1000;
+  const step = totpService.verifyCode(RFC_SECRET, '050471', { time });
+  assert.strictEqual(step, Math.floor(1111111111 / 30));
+
+  assert.strictEqual(totpService.verifyCode(RFC_SECRET, '050 471', { time }), step);
+  assert.strictEqual(totpService.verifyCode(RFC_SECRET, '050471', { time, lastUsedStep: step }), null);
+  assert.strictEqual(totpService.verifyCode(RFC_SECRET, '000000', { time }), null);
+});
+
+test('totpService: verifyCode accepts one step of clock drift', () => {
+  const time = 1111111111 * 1000;
+  assert.notStrictEqual(totpService.verifyCode(RFC_SECRET, '050471', { time: time + 30 * 1000 }), null);
+  assert.strictEqual(totpService.verifyCode(RFC_SECRET, '050471', { time: time + 90 * 1000 }), null);
+});
+
+test('totpService: recovery code hashes ignore case and separators', () => {
+  const { codes, hashes } = totpService.generateRecoveryCodes(2);
+  assert.strictEqual(codes.length, 2);
+  assert.match(codes[0], /^[A-Z2-7]{4}-[A-Z2-7]{4}$/);
+  assert.strictEqual(totpService.hashRecoveryCode(codes[0].toLowerCase().replace('-', ' ')), hashes[0]);
+});
+
+test('userService: a recovery code works once', async () => {
+  const { codes, hashes } = totpService.generateRecoveryCodes(2);
+  const user = await createTwoFactorUser(hashes);
+
+  assert.strictEqual(await userService.consumeRecoveryCode(user.id, totpService.hashRecoveryCode(codes[0])), true);
+  assert.strictEqual(await userService.consumeRecoveryCode(user.id, totpService.hashRecoveryCode(codes[0])), false);
+
+  const stored = await userService.getUserById(user.id);
+  assert.deepStrictEqual(stored.twoFactor.recoveryCodeHashes, [hashes[1]]);
+});
+
+test('userService: one of two concurrent logins with the same recovery code gets through', async () => {
+  const { codes, hashes } = totpService.generateRecoveryCodes(3);
+  const user = await createTwoFactorUser(hashes);
+  const hash = totpService.hashRecoveryCode(codes[1]);
+
+  const results = await Promise.all([
+    userService.consumeRecoveryCode(user.id, hash),
+    userService.consumeRecoveryCode(user.id, hash)
+  ]);
+
+  assert.deepStrictEqual(results.sort(), [false, true]);
+  const stored = await userService.getUserById(user.id);
+  assert.deepStrictEqual(stored.twoFactor.recoveryCodeHashes, [hashes[0], hashes[2]]);
+});
+
+test('userService: a TOTP step is consumed by only one of two concurrent logins', async () => {
+  const user = await createTwoFactorUser([]);
+
+  const results = await Promise.all([
+    userService.consumeTotpStep(user.id, null, 100),
+    userService.consumeTotpStep(user.id, null, 100)
+  ]);
+
+  assert.deepStrictEqual(results.sort(), [false, true]);
+  assert.strictEqual(await userService.consumeTotpStep(user.id, 100, 101), true);
+  assert.strictEqual((await userService.getUserById(user.id)).twoFactor.lastUsedStep, 101);
+});
@@ -0,0 +1,23 @@
+// Standalone analysis worker: `node worker.js` (or `npm run worker`)
+// Runs queued analysis jobs outside the API process, so deploys of server.js don't interrupt them.
+// Run as many as needed; they share the job queue (JOB_QUEUE_STORE) and storage configuration with
+// the API. Set ANALYSIS_WORKER_IN_PROCESS=false on the API when all analysis should run here.
+require('dotenv').config();
+
+const { startAnalysisWorker } = require('./services/analysisWorker');
+
+console.log('🚀 Starting TAHLEEL.ai analysis worker...');
+const worker = startAnalysisWorker();
+
+// Hand running jobs back to the queue on shutdown so another worker resumes them immediately
+let stopping = false;
+async function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  console.log(`🛑 ${signal} received, stopping worker ${worker.workerId}`);
+  await worker.stop();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));